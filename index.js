@@ -2,10 +2,27 @@
 // Standalone scanner microservice that can run anywhere (Bolt, VPS, Local, etc.)
 
 import express from 'express';
+import path from 'node:path';
 import cors from 'cors';
-import { chromium } from 'playwright';
-import puppeteer from 'puppeteer';
 import dotenv from 'dotenv';
+import { PlaywrightScanner, TARGETED_URL_TYPES } from './scanner.js';
+import { JobQueue, FINISHED_STATES } from './services/job-queue.js';
+import { WebhookDispatcher, validateCallbackUrl } from './services/webhooks.js';
+import { runWithConcurrency } from './services/concurrency.js';
+import { ScanCache } from './services/scan-cache.js';
+import { ApiKeyStore } from './services/api-keys.js';
+import { UrlGuard, BlockedUrlError } from './services/url-guard.js';
+import { RobotsPolicy } from './services/robots.js';
+import { HostScheduler } from './services/host-scheduler.js';
+import { SCANNER_MODES, createEngines, scanWithEngine, renderOptionsError, expandOptionsError } from './services/engines/index.js';
+import { localesError } from './services/locales.js';
+import { sitemapsOptionError } from './services/sitemaps.js';
+import { discoveryOptionsError } from './services/url-discovery.js';
+import { verifyLinksError } from './services/link-verifier.js';
+import { crawlOptionsError, crawlSettings } from './services/crawler.js';
+import { ArtifactStore } from './services/artifact-store.js';
+import { CONTENT_FORMATS } from './services/main-content.js';
+import { recipeErrors } from './services/extract-recipe.js';
 
 dotenv.config();
 
@@ -43,46 +60,203 @@ app.use(cors({
 
 app.use(express.json());
 
-// Simple API key authentication
-const API_KEY = process.env.SCANNER_API_KEY || 'your-secret-api-key-here';
+// API keys - hashed entries from API_KEYS_FILE and/or the single SCANNER_API_KEY
+let apiKeys;
+try {
+  apiKeys = await ApiKeyStore.load({
+    filePath: process.env.API_KEYS_FILE,
+    legacyKey: process.env.SCANNER_API_KEY,
+    legacyWebhookSecret: process.env.WEBHOOK_SECRET,
+    defaultRateLimitPerMinute: parseInt(process.env.DEFAULT_RATE_LIMIT_PER_MINUTE) || 60,
+    defaultDailyQuota: parseInt(process.env.DEFAULT_DAILY_QUOTA) || 1000
+  });
+} catch (error) {
+  console.error(`❌ Refusing to start: ${error.message}`);
+  process.exit(1);
+}
+
+const setLimitHeaders = (res, prefix, usage) => {
+  if (usage.limit === null) return;
+  res.set({
+    [`${prefix}-Limit`]: String(usage.limit),
+    [`${prefix}-Remaining`]: String(usage.remaining),
+    [`${prefix}-Reset`]: String(usage.resetSeconds)
+  });
+};
 
 const authenticateRequest = (req, res, next) => {
-  const apiKey = req.headers['x-api-key'];
+  const client = apiKeys.authenticate(req.headers['x-api-key']);
   
-  if (apiKey !== API_KEY) {
+  if (!client) {
     return res.status(401).json({ error: 'Unauthorized' });
   }
   
+  const rate = apiKeys.checkRateLimit(client);
+  setLimitHeaders(res, 'X-RateLimit', rate);
+  if (!rate.allowed) {
+    res.set('Retry-After', String(rate.resetSeconds));
+    return res.status(429).json({ success: false, error: `Rate limit of ${rate.limit} requests per minute exceeded` });
+  }
+  
+  req.client = client;
+  next();
+};
+
+// admin keys pass every scope check
+const requireScope = (scope) => (req, res, next) => {
+  if (!apiKeys.hasScope(req.client, scope)) {
+    return res.status(403).json({ success: false, error: `API key is missing the "${scope}" scope` });
+  }
   next();
 };
 
+// Screenshots and PDFs need their own scope on top of scan/deep-scan - sends 403 and returns false without it
+function allowScreenshot(req, res, options = {}) {
+  if ((options.screenshot || options.pdf) && !apiKeys.hasScope(req.client, 'screenshot')) {
+    res.status(403).json({ success: false, error: 'API key is missing the "screenshot" scope' });
+    return false;
+  }
+  return true;
+}
+
+// Count scans against the key's daily quota - sends 429 and returns false once it is used up
+function consumeQuota(req, res, units = 1) {
+  const quota = apiKeys.consumeQuota(req.client, units);
+  setLimitHeaders(res, 'X-Quota', quota);
+  if (!quota.allowed) {
+    res.set('Retry-After', String(quota.resetSeconds));
+    res.status(429).json({ success: false, error: `Daily quota of ${quota.limit} scans exceeded` });
+    return false;
+  }
+  return true;
+}
+
+// Jobs are visible to the key that submitted them, and to admin keys
+function canAccessJob(req, job) {
+  return job.clientId === req.client.id || apiKeys.hasScope(req.client, 'admin');
+}
+
+// Webhook payloads are signed with the submitting key's own secret (WEBHOOK_SECRET for the SCANNER_API_KEY key) - a
+// file-configured key without one cannot register callbacks, rather than borrowing a secret other keys may know
+function webhookSecretFor(clientId) {
+  return apiKeys.get(clientId)?.webhookSecret || null;
+}
+
+// Scan targets and every request the browser makes are checked against private/internal addresses
+const urlGuard = UrlGuard.fromEnv();
+
+// Scans honour robots.txt, and each host gets a minimum delay between requests and a cap on concurrent ones
+const robots = RobotsPolicy.fromEnv({ urlGuard });
+const hostScheduler = HostScheduler.fromEnv();
+
+// SCANNER_MODE picks the engines: full (Playwright, Puppeteer, fetch), light (Puppeteer, fetch) or simple (fetch only)
+// Browser engines share long-lived pooled browsers - each scan gets its own context
+const SCANNER_MODE = process.env.SCANNER_MODE || 'full';
+let engines;
+try {
+  engines = createEngines(SCANNER_MODE, { urlGuard });
+} catch (error) {
+  console.error(`❌ Refusing to start: ${error.message}`);
+  process.exit(1);
+}
+const DEFAULT_ENGINE = engines[process.env.DEFAULT_ENGINE] ? process.env.DEFAULT_ENGINE : SCANNER_MODES[SCANNER_MODE][0];
+
+// Returns an error message for an engine this server does not run, or null
+function engineError(engine) {
+  if (engines[engine]) return null;
+  return `Engine "${engine}" is not available in ${SCANNER_MODE} mode (available: ${Object.keys(engines).join(', ')})`;
+}
+
+// Returns an error message for an unusable engine or scan options, or null
+function scanRequestError(engine, options = {}) {
+  if (options.format !== undefined && !CONTENT_FORMATS.includes(options.format)) {
+    return `options.format must be one of: ${CONTENT_FORMATS.join(', ')}`;
+  }
+  if (options.maxTokens !== undefined && !(Number.isInteger(options.maxTokens) && options.maxTokens > 0)) {
+    return 'options.maxTokens must be a positive integer';
+  }
+  // Every recipe problem is reported at once, one per field
+  if (options.extract !== undefined) {
+    const errors = recipeErrors(options.extract);
+    if (errors.length) return `Invalid extract recipe - ${errors.join('; ')}`;
+  }
+  return renderOptionsError(options) || expandOptionsError(options.expand) || engineError(engine);
+}
+
+// Scan results cached by normalized URL + engine + options
+const scanCache = new ScanCache({
+  ttlSeconds: parseInt(process.env.SCAN_CACHE_TTL_SECONDS) || 86400,
+  maxEntries: parseInt(process.env.SCAN_CACHE_MAX_ENTRIES) || 500
+});
+
+// Screenshots and PDFs, served from GET /artifacts/:id until they expire
+const artifactStore = new ArtifactStore({
+  dir: process.env.ARTIFACTS_DIR || './data/artifacts',
+  ttlSeconds: parseInt(process.env.ARTIFACT_TTL_SECONDS) || 3600
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ 
     status: 'healthy', 
     service: 'scanner-microservice',
-    playwright: 'available',
-    puppeteer: 'available'
+    mode: SCANNER_MODE,
+    engines: Object.keys(engines),
+    defaultEngine: DEFAULT_ENGINE,
+    browserPools: Object.fromEntries(
+      Object.values(engines).filter(engine => engine.pool).map(engine => [engine.name, engine.pool.status()])
+    ),
+    cache: scanCache.status(),
+    artifacts: artifactStore.status(),
+    robots: robots.status(),
+    politeness: hostScheduler.status()
   });
 });
 
 // Main scanner endpoint
-app.post('/scan', authenticateRequest, async (req, res) => {
-  const { url, engine = 'playwright', options = {} } = req.body;
+app.post('/scan', authenticateRequest, requireScope('scan'), async (req, res) => {
+  const { url, engine = DEFAULT_ENGINE, options = {}, callbackUrl } = req.body;
   
   if (!url) {
     return res.status(400).json({ error: 'URL is required' });
   }
+  const requestError = scanRequestError(engine, options);
+  if (requestError) {
+    return res.status(400).json({ error: requestError });
+  }
+  if (!isHttpUrl(url)) {
+    return res.status(400).json({ error: `Invalid URL: ${url}` });
+  }
+  const blockedReason = await urlGuard.check(url);
+  if (blockedReason) {
+    return res.status(400).json({ error: `Blocked URL ${url}: ${blockedReason}` });
+  }
+  
+  if (!allowScreenshot(req, res, options)) return;
+  
+  // Cache-Control: no-cache or fresh: true bypasses the cached result
+  const fresh = Boolean(req.body.fresh || options.fresh || /no-cache/i.test(req.headers['cache-control'] || ''));
+  
+  // With a callback the scan runs as a job and the result is POSTed when done
+  if (callbackUrl) {
+    return queueJob(req, res, 'scan', { url, engine, options, fresh }, 1);
+  }
+  if (!consumeQuota(req, res)) return;
   
   console.log(`📡 Scan request received for ${url} using ${engine}`);
   
   try {
-    let result;
+    const { result, etag, ageSeconds, maxAgeSeconds, cacheStatus } = await cachedScan(url, engine, options, { fresh });
     
-    if (engine === 'puppeteer') {
-      result = await scanWithPuppeteer(url, options);
-    } else {
-      result = await scanWithPlaywright(url, options);
+    res.set({
+      'ETag': etag,
+      'Age': String(ageSeconds),
+      'Cache-Control': `private, max-age=${maxAgeSeconds}`,
+      'X-Cache': cacheStatus
+    });
+    
+    if (cacheStatus === 'HIT' && req.headers['if-none-match'] === etag) {
+      return res.status(304).end();
     }
     
     res.json({
@@ -93,239 +267,577 @@ app.post('/scan', authenticateRequest, async (req, res) => {
     
   } catch (error) {
     console.error('Scan error:', error);
-    res.status(500).json({
+    res.status(error instanceof BlockedUrlError ? 400 : 500).json({
       success: false,
       error: error.message
     });
   }
 });
 
-// Playwright scanner
-async function scanWithPlaywright(url, options) {
-  console.log('🎭 Using Playwright scanner...');
-  
-  const browser = await chromium.launch({
-    headless: true,
-    args: ['--no-sandbox', '--disable-setuid-sandbox']
+// Batch scan - streams one NDJSON line per finished URL, then a summary line
+const BATCH_MAX_URLS = parseInt(process.env.BATCH_MAX_URLS) || 200;
+const BATCH_MAX_CONCURRENCY = parseInt(process.env.BATCH_MAX_CONCURRENCY) || 2;
+
+app.post('/scan/batch', authenticateRequest, requireScope('scan'), async (req, res) => {
+  const { urls, engine = DEFAULT_ENGINE, options = {}, concurrency = BATCH_MAX_CONCURRENCY } = req.body;
+  const fresh = Boolean(req.body.fresh || options.fresh || /no-cache/i.test(req.headers['cache-control'] || ''));
+
+  if (!Array.isArray(urls) || urls.length === 0) {
+    return res.status(400).json({ success: false, error: 'urls must be a non-empty array' });
+  }
+  if (urls.length > BATCH_MAX_URLS) {
+    return res.status(400).json({ success: false, error: `A batch can contain at most ${BATCH_MAX_URLS} URLs` });
+  }
+  const requestError = scanRequestError(engine, options);
+  if (requestError) {
+    return res.status(400).json({ success: false, error: requestError });
+  }
+  if (!allowScreenshot(req, res, options) || !consumeQuota(req, res, urls.length)) return;
+
+  const parallel = Math.min(Math.max(1, parseInt(concurrency) || 1), BATCH_MAX_CONCURRENCY);
+  console.log(`📦 Batch scan of ${urls.length} URLs using ${engine} (${parallel} at a time)`);
+
+  res.status(200);
+  res.setHeader('Content-Type', 'application/x-ndjson');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.flushHeaders();
+
+  // Stop scanning the rest of the batch if the client goes away
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
   });
-  
+
+  const writeLine = (line) => {
+    if (!res.writableEnded && !res.destroyed) res.write(JSON.stringify(line) + '\n');
+  };
+
+  const startTime = Date.now();
+  let succeeded = 0;
+  let failed = 0;
+
+  await runWithConcurrency(urls, parallel, async (url, index) => {
+    const urlStart = Date.now();
+    try {
+      if (!isHttpUrl(url)) {
+        throw new Error(`Invalid URL: ${url}`);
+      }
+      const { result: data, cacheStatus } = await cachedScan(url, engine, options, { fresh, signal: controller.signal });
+      succeeded++;
+      writeLine({ type: 'result', index, url, success: true, cached: cacheStatus === 'HIT', durationMs: Date.now() - urlStart, data });
+    } catch (error) {
+      if (controller.signal.aborted) return;
+      failed++;
+      writeLine({ type: 'result', index, url, success: false, durationMs: Date.now() - urlStart, error: error.message });
+    }
+  }, controller.signal);
+
+  writeLine({ type: 'summary', total: urls.length, succeeded, failed, durationMs: Date.now() - startTime });
+  res.end();
+});
+
+// Run a single-page scan on the requested engine
+async function runScan(url, engine, options, signal) {
+  if (engineError(engine)) throw new Error(engineError(engine));
+  await urlGuard.assertAllowed(url);
+  const { crawlDelayMs } = await robots.assertAllowed(url);
+  return hostScheduler.schedule(
+    url,
+    () => scanWithEngine(engines[engine], url, options, { signal, artifactStore }),
+    { delayMs: crawlDelayMs, signal }
+  );
+}
+
+// runScan through the result cache - fresh skips the lookup but still stores the new result
+async function cachedScan(url, engine, options, { fresh = false, signal } = {}) {
+  const key = scanCache.keyFor(url, engine, options);
+
+  if (!fresh) {
+    const cached = scanCache.get(key);
+    // A result whose screenshot or PDF has expired is scanned again
+    if (cached && [cached.result.screenshot, cached.result.pdf].every(artifact => !artifact || artifactStore.has(artifact.id))) {
+      return { ...cached, cacheStatus: 'HIT' };
+    }
+  }
+
+  const result = await runScan(url, engine, options, signal);
+  return { ...scanCache.set(key, url, result), cacheStatus: 'MISS' };
+}
+
+function isHttpUrl(url) {
   try {
-    const page = await browser.newPage();
-    
-    // Set viewport
-    await page.setViewportSize({
-      width: options.viewport?.width || 1920,
-      height: options.viewport?.height || 1080
-    });
-    
-    // Navigate to URL
-    console.log(`📍 Navigating to ${url}...`);
-    await page.goto(url, {
-      waitUntil: 'networkidle',
-      timeout: 30000
-    });
-    
-    // Wait for content to load
-    if (options.waitForSelector) {
-      await page.waitForSelector(options.waitForSelector, { 
-        timeout: 5000 
-      }).catch(() => console.log('Selector not found, continuing...'));
+    return ['http:', 'https:'].includes(new URL(url).protocol);
+  } catch {
+    return false;
+  }
+}
+
+// Download a screenshot or PDF. The unguessable id is the credential, so links work without an API key
+// (in an <img> tag, for example) until the artifact expires
+app.get('/artifacts/:id', (req, res) => {
+  const found = artifactStore.get(req.params.id);
+  if (!found) {
+    return res.status(404).json({ success: false, error: 'Artifact not found or expired' });
+  }
+
+  const { artifact, filePath } = found;
+  const maxAgeSeconds = Math.max(0, Math.floor((Date.parse(artifact.expiresAt) - Date.now()) / 1000));
+  res.sendFile(path.resolve(filePath), {
+    headers: {
+      'Content-Type': artifact.contentType,
+      'Cache-Control': `private, max-age=${maxAgeSeconds}`,
+      'Expires': new Date(artifact.expiresAt).toUTCString()
     }
-    
-    // Additional wait for dynamic content
-    await page.waitForTimeout(2000);
-    
-    // Extract metadata
-    const metadata = await page.evaluate(() => {
-      const getMeta = (name) => {
-        const el = document.querySelector(`meta[name="${name}"], meta[property="${name}"]`);
-        return el ? el.getAttribute('content') : null;
-      };
-      
-      return {
-        title: document.title,
-        description: getMeta('description'),
-        keywords: getMeta('keywords'),
-        ogTitle: getMeta('og:title'),
-        ogDescription: getMeta('og:description'),
-        ogImage: getMeta('og:image'),
-        canonical: document.querySelector('link[rel="canonical"]')?.getAttribute('href'),
-        favicon: document.querySelector('link[rel="icon"]')?.getAttribute('href')
-      };
-    });
-    
-    // Extract content
-    const content = await page.evaluate(() => {
-      // Get structured data
-      const structuredData = [];
-      document.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
-        try {
-          structuredData.push(JSON.parse(script.textContent));
-        } catch (e) {}
-      });
-      
-      // Get main content
-      const mainContent = document.querySelector('main, .main-content, #content, article, .container');
-      const textContent = mainContent ? mainContent.innerText : document.body.innerText;
-      
-      // Get links
-      const links = Array.from(document.querySelectorAll('a')).map(a => ({
-        text: a.innerText?.trim(),
-        href: a.href
-      })).filter(l => l.text && l.href).slice(0, 50);
-      
-      // Get images
-      const images = Array.from(document.querySelectorAll('img')).map(img => ({
-        src: img.src,
-        alt: img.alt
-      })).filter(i => i.src).slice(0, 20);
-      
-      return {
-        structuredData,
-        text: textContent?.substring(0, 10000),
-        links,
-        images,
-        hasVideo: document.querySelectorAll('video, iframe[src*="youtube"], iframe[src*="vimeo"]').length > 0
-      };
-    });
-    
-    // Extract pricing if requested
-    let pricing = null;
-    if (options.extractPricing) {
-      pricing = await page.evaluate(() => {
-        const priceElements = document.querySelectorAll(
-          '.pricing, .price, [data-price], .cost, .plan, .tier'
-        );
-        
-        const prices = [];
-        priceElements.forEach(el => {
-          const text = el.innerText?.trim();
-          if (text && (text.includes('$') || text.toLowerCase().includes('free'))) {
-            prices.push(text);
-          }
-        });
-        
-        return prices.length > 0 ? prices.join(' | ') : null;
-      });
+  }, (error) => {
+    if (error && !res.headersSent) res.status(404).json({ success: false, error: 'Artifact not found or expired' });
+  });
+});
+
+// Purge cached scans for one URL (?url=) or a whole domain including subdomains (?domain=)
+app.delete('/cache', authenticateRequest, requireScope('admin'), (req, res) => {
+  const { url, domain } = { ...req.query, ...req.body };
+
+  if (!url && !domain) {
+    return res.status(400).json({ success: false, error: 'url or domain is required' });
+  }
+  if (url && !isHttpUrl(url)) {
+    return res.status(400).json({ success: false, error: `Invalid URL: ${url}` });
+  }
+
+  const purged = scanCache.purge({ url, domain });
+  console.log(`🧹 Purged ${purged} cached scans for ${url || domain}`);
+  res.json({ success: true, purged });
+});
+
+// Validate a TargetedUrls map - returns an error message or null
+async function validateTargetedUrls(urls) {
+  if (!urls || typeof urls !== 'object' || Array.isArray(urls)) {
+    return 'urls must be an object keyed by URL type';
+  }
+
+  const entries = Object.entries(urls).filter(([, url]) => url);
+  if (entries.length === 0) {
+    return 'At least one URL is required';
+  }
+
+  for (const [urlType, url] of entries) {
+    if (!TARGETED_URL_TYPES.includes(urlType)) {
+      return `Unknown URL type "${urlType}" (expected one of: ${TARGETED_URL_TYPES.join(', ')})`;
     }
-    
-    // Extract features if requested
-    let features = [];
-    if (options.extractFeatures) {
-      features = await page.evaluate(() => {
-        const featureElements = document.querySelectorAll(
-          '.features li, .feature-list li, .benefits li, .feature-item'
-        );
-        
-        const featureList = [];
-        featureElements.forEach(el => {
-          const text = el.innerText?.trim();
-          if (text && text.length > 5 && text.length < 200) {
-            featureList.push(text);
-          }
-        });
-        
-        return [...new Set(featureList)].slice(0, 15);
-      });
+    try {
+      new URL(url);
+    } catch {
+      return `Invalid URL for ${urlType}: ${url}`;
     }
-    
-    // Take screenshot if requested
-    let screenshot = null;
-    if (options.screenshot) {
-      console.log('📸 Taking screenshot...');
-      const screenshotBuffer = await page.screenshot({
-        fullPage: false,
-        type: 'png'
-      });
-      screenshot = screenshotBuffer.toString('base64');
+    const blockedReason = await urlGuard.check(url);
+    if (blockedReason) {
+      return `Blocked URL for ${urlType}: ${blockedReason}`;
     }
-    
-    console.log('✅ Scan complete!');
-    
-    return {
-      url,
-      metadata,
-      content,
-      pricing,
-      features,
-      screenshot,
-      timestamp: new Date().toISOString()
-    };
-    
-  } finally {
-    await browser.close();
   }
+
+  return null;
 }
 
-// Puppeteer scanner (fallback for environments where Playwright doesn't work)
-async function scanWithPuppeteer(url, options) {
-  console.log('🐶 Using Puppeteer scanner...');
-  
-  const browser = await puppeteer.launch({
-    headless: 'new',
-    args: ['--no-sandbox', '--disable-setuid-sandbox']
-  });
-  
+const targetedScanner = new PlaywrightScanner({ engine: engines[DEFAULT_ENGINE], urlGuard, robots, scheduler: hostScheduler });
+
+// Targeted deep scan across a tool's main, help center, tutorials... URLs
+app.post('/targeted-scan', authenticateRequest, requireScope('deep-scan'), async (req, res) => {
+  const { urls, toolName, expand, locales, sitemaps, verifyLinks, callbackUrl } = req.body;
+
+  const validationError = await validateTargetedUrls(urls) || expandOptionsError(expand, 'expand') || localesError(locales) ||
+    sitemapsOptionError(sitemaps) || verifyLinksError(verifyLinks);
+  if (validationError) {
+    return res.status(400).json({ success: false, error: validationError });
+  }
+  if (!toolName) {
+    return res.status(400).json({ success: false, error: 'toolName is required' });
+  }
+  const units = Object.values(urls).filter(Boolean).length;
+  if (callbackUrl) {
+    return queueJob(req, res, 'targeted-scan', { urls, toolName, expand, locales, sitemaps, verifyLinks }, units);
+  }
+  if (!consumeQuota(req, res, units)) return;
+
+  console.log(`🎯 Targeted scan request received for ${toolName}`);
+
   try {
-    const page = await browser.newPage();
-    
-    // Set viewport
-    await page.setViewport({
-      width: options.viewport?.width || 1920,
-      height: options.viewport?.height || 1080
-    });
-    
-    // Navigate to URL
-    console.log(`📍 Navigating to ${url}...`);
-    await page.goto(url, {
-      waitUntil: 'networkidle2',
-      timeout: 30000
-    });
-    
-    // Wait for content
-    await page.waitForTimeout(2000);
-    
-    // Extract data (similar to Playwright)
-    const data = await page.evaluate(() => {
-      const getMeta = (name) => {
-        const el = document.querySelector(`meta[name="${name}"], meta[property="${name}"]`);
-        return el ? el.getAttribute('content') : null;
-      };
-      
-      return {
-        metadata: {
-          title: document.title,
-          description: getMeta('description'),
-          ogImage: getMeta('og:image')
-        },
-        content: {
-          text: document.body.innerText?.substring(0, 10000)
-        }
-      };
-    });
-    
-    // Take screenshot if requested
-    let screenshot = null;
-    if (options.screenshot) {
-      const screenshotBuffer = await page.screenshot({
-        fullPage: false,
-        type: 'png'
-      });
-      screenshot = screenshotBuffer.toString('base64');
+    const result = await targetedScanner.performDeepTargetedScan(urls, toolName, { expand, locales, sitemaps, verifyLinks });
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Targeted scan error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Discovery requests: a main URL plus minConfidence, probe and scan; with scan: true, the targeted scan's expand,
+// locales, sitemaps and verifyLinks - returns an error message or null
+async function discoverRequestError(body) {
+  if (!body.url || !isHttpUrl(body.url)) {
+    return 'A valid URL is required';
+  }
+  const blockedReason = await urlGuard.check(body.url);
+  if (blockedReason) {
+    return `Blocked URL ${body.url}: ${blockedReason}`;
+  }
+  if (body.scan !== undefined && typeof body.scan !== 'boolean') {
+    return 'scan must be true or false';
+  }
+  return discoveryOptionsError(body) || expandOptionsError(body.expand, 'expand') || localesError(body.locales) ||
+    sitemapsOptionError(body.sitemaps) || verifyLinksError(body.verifyLinks);
+}
+
+// Quota for a discovery: one scan for the main page, or one per possible targeted URL when it goes on to scan them
+const discoverQuota = (body) => (body.scan ? TARGETED_URL_TYPES.length : 1);
+
+// Propose helpCenter, tutorials, pricing... URLs from a tool's main URL, and optionally run the targeted scan on them
+app.post('/discover', authenticateRequest, requireScope('deep-scan'), async (req, res) => {
+  const { url, toolName, minConfidence, probe, scan, expand, locales, sitemaps, verifyLinks, callbackUrl } = req.body;
+
+  const validationError = await discoverRequestError(req.body);
+  if (validationError) {
+    return res.status(400).json({ success: false, error: validationError });
+  }
+
+  const name = toolName || new URL(url).hostname.replace(/^www\./, '');
+  const job = { url, toolName: name, minConfidence, probe, scan, expand, locales, sitemaps, verifyLinks };
+  if (callbackUrl) {
+    return queueJob(req, res, 'discover', job, discoverQuota(req.body));
+  }
+  if (!consumeQuota(req, res, discoverQuota(req.body))) return;
+
+  console.log(`🧭 Discovery request received for ${name}`);
+
+  try {
+    const result = await targetedScanner.discoverTargetedUrls(url, name, { minConfidence, probe, scan, expand, locales, sitemaps, verifyLinks });
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Discovery error:', error);
+    res.status(error instanceof BlockedUrlError ? 400 : 500).json({ success: false, error: error.message });
+  }
+});
+
+// Crawl requests: a seed URL plus maxDepth, maxPages, include, exclude, timeBudgetMs and expand - returns an error message or null
+async function crawlRequestError(body) {
+  if (!body.url || !isHttpUrl(body.url)) {
+    return 'A valid URL is required';
+  }
+  const blockedReason = await urlGuard.check(body.url);
+  if (blockedReason) {
+    return `Blocked URL ${body.url}: ${blockedReason}`;
+  }
+  return crawlOptionsError(body) || expandOptionsError(body.expand, 'expand');
+}
+
+// Breadth-first crawl of one site from a seed URL - the daily quota is charged for maxPages up front
+app.post('/crawl', authenticateRequest, requireScope('deep-scan'), async (req, res) => {
+  const { url, toolName, expand, callbackUrl } = req.body;
+
+  const validationError = await crawlRequestError(req.body);
+  if (validationError) {
+    return res.status(400).json({ success: false, error: validationError });
+  }
+
+  const name = toolName || new URL(url).hostname.replace(/^www\./, '');
+  const settings = crawlSettings(req.body);
+  if (callbackUrl) {
+    return queueJob(req, res, 'crawl', { url, toolName: name, settings, expand }, settings.maxPages);
+  }
+  if (!consumeQuota(req, res, settings.maxPages)) return;
+
+  console.log(`🕸️  Crawl request received for ${name}`);
+
+  try {
+    const result = await targetedScanner.performCrawl(url, name, settings, { expand });
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Crawl error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Deep scan of a single tool URL - shorthand for a targeted scan of { main: url }
+app.post('/deep-scan', authenticateRequest, requireScope('deep-scan'), async (req, res) => {
+  const { url, urls = {}, toolName, expand, locales, sitemaps, verifyLinks, callbackUrl } = req.body;
+
+  if (!url) {
+    return res.status(400).json({ success: false, error: 'URL is required' });
+  }
+
+  const targetedUrls = { ...urls, main: url };
+  const validationError = await validateTargetedUrls(targetedUrls) || expandOptionsError(expand, 'expand') || localesError(locales) ||
+    sitemapsOptionError(sitemaps) || verifyLinksError(verifyLinks);
+  if (validationError) {
+    return res.status(400).json({ success: false, error: validationError });
+  }
+
+  const name = toolName || new URL(url).hostname.replace(/^www\./, '');
+  const units = Object.values(targetedUrls).filter(Boolean).length;
+  if (callbackUrl) {
+    return queueJob(req, res, 'targeted-scan', { urls: targetedUrls, toolName: name, expand, locales, sitemaps, verifyLinks }, units);
+  }
+  if (!consumeQuota(req, res, units)) return;
+
+  console.log(`🔬 Deep scan request received for ${name}`);
+
+  try {
+    const result = await targetedScanner.performDeepTargetedScan(targetedUrls, name, { expand, locales, sitemaps, verifyLinks });
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Deep scan error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Asynchronous scan jobs - submit, poll and cancel without holding the connection open
+const jobQueue = new JobQueue({
+  concurrency: parseInt(process.env.SCAN_CONCURRENCY) || 1,
+  storePath: process.env.JOBS_STORE_PATH || './data/jobs.json',
+  retentionMs: (parseInt(process.env.JOB_RETENTION_HOURS) || 24) * 60 * 60 * 1000
+});
+
+jobQueue.registerHandler('scan', async ({ url, engine = 'playwright', options = {}, fresh = false }, { signal, reportProgress }) => {
+  reportProgress(10, `Scanning ${url} with ${engine}`);
+  const { result } = await cachedScan(url, engine, options, { fresh, signal });
+  return result;
+});
+
+jobQueue.registerHandler('targeted-scan', ({ urls, toolName, ...options }, { signal, reportProgress, emitEvent }) => {
+  return targetedScanner.performDeepTargetedScan(urls, toolName, { ...options, signal, onProgress: reportProgress, onEvent: emitEvent });
+});
+
+jobQueue.registerHandler('discover', ({ url, toolName, ...options }, { signal, reportProgress, emitEvent }) => {
+  return targetedScanner.discoverTargetedUrls(url, toolName, { ...options, signal, onProgress: reportProgress, onEvent: emitEvent });
+});
+
+jobQueue.registerHandler('crawl', ({ url, toolName, settings, expand }, { signal, reportProgress, emitEvent }) => {
+  return targetedScanner.performCrawl(url, toolName, settings, { signal, onProgress: reportProgress, onEvent: emitEvent, expand });
+});
+
+// Deliver finished jobs to their callbackUrl, if any
+const webhooks = new WebhookDispatcher({
+  urlGuard,
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5
+});
+
+jobQueue.on('finished', (job) => {
+  if (!job.callbackUrl || job.state === 'cancelled') return;
+
+  webhooks.deliver({
+    url: job.callbackUrl,
+    event: job.state === 'completed' ? 'scan.completed' : 'scan.failed',
+    data: {
+      jobId: job.id,
+      type: job.type,
+      state: job.state,
+      request: job.payload,
+      result: job.result,
+      error: job.error
+    },
+    secret: webhookSecretFor(job.clientId),
+    clientId: job.clientId,
+    jobId: job.id
+  });
+});
+
+// Queue a scan for the calling client and answer 202 with the job location. The callback is checked before
+// the quota is charged units, so a rejected request costs nothing
+async function queueJob(req, res, type, payload, units) {
+  const { callbackUrl } = req.body;
+
+  if (callbackUrl) {
+    const callbackError = validateCallbackUrl(callbackUrl) || await urlGuard.check(callbackUrl);
+    if (callbackError) {
+      return res.status(400).json({ success: false, error: callbackError });
     }
-    
-    console.log('✅ Scan complete!');
-    
-    return {
-      url,
-      ...data,
-      screenshot,
-      timestamp: new Date().toISOString()
-    };
-    
-  } finally {
-    await browser.close();
+    if (!webhookSecretFor(req.client.id)) {
+      return res.status(400).json({ success: false, error: 'This API key has no webhook secret, so callbacks cannot be signed' });
+    }
+  }
+  if (!consumeQuota(req, res, units)) return;
+
+  const job = jobQueue.submit(type, payload, { clientId: req.client.id, callbackUrl });
+  console.log(`🗂️  Job ${job.id} queued (${type})`);
+
+  res.status(202)
+    .location(`/jobs/${job.id}`)
+    .json({ success: true, jobId: job.id, state: job.state, statusUrl: `/jobs/${job.id}` });
+}
+
+// Submit a scan job - body is { type: 'scan' | 'targeted-scan' | 'deep-scan' | 'crawl' | 'discover', ...scan request }
+app.post('/jobs', authenticateRequest, async (req, res) => {
+  const { type = 'scan', url, engine = DEFAULT_ENGINE, options = {}, urls = {}, toolName, expand, locales, sitemaps, verifyLinks } = req.body;
+
+  if (type === 'scan') {
+    if (!apiKeys.hasScope(req.client, 'scan')) {
+      return res.status(403).json({ success: false, error: 'API key is missing the "scan" scope' });
+    }
+    if (!url || !isHttpUrl(url)) {
+      return res.status(400).json({ success: false, error: 'A valid URL is required' });
+    }
+    const requestError = scanRequestError(engine, options);
+    if (requestError) {
+      return res.status(400).json({ success: false, error: requestError });
+    }
+    const blockedReason = await urlGuard.check(url);
+    if (blockedReason) {
+      return res.status(400).json({ success: false, error: `Blocked URL ${url}: ${blockedReason}` });
+    }
+    if (!allowScreenshot(req, res, options)) return;
+    return queueJob(req, res, 'scan', { url, engine, options, fresh: Boolean(req.body.fresh || options.fresh) }, 1);
+  } else if (type === 'targeted-scan' || type === 'deep-scan') {
+    if (!apiKeys.hasScope(req.client, 'deep-scan')) {
+      return res.status(403).json({ success: false, error: 'API key is missing the "deep-scan" scope' });
+    }
+    const targetedUrls = type === 'deep-scan' && url ? { ...urls, main: url } : urls;
+    const validationError = await validateTargetedUrls(targetedUrls) || expandOptionsError(expand, 'expand') || localesError(locales) ||
+      sitemapsOptionError(sitemaps) || verifyLinksError(verifyLinks);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+    const name = toolName || (targetedUrls.main && new URL(targetedUrls.main).hostname.replace(/^www\./, ''));
+    if (!name) {
+      return res.status(400).json({ success: false, error: 'toolName is required' });
+    }
+    return queueJob(req, res, 'targeted-scan', { urls: targetedUrls, toolName: name, expand, locales, sitemaps, verifyLinks },
+      Object.values(targetedUrls).filter(Boolean).length);
+  } else if (type === 'crawl') {
+    if (!apiKeys.hasScope(req.client, 'deep-scan')) {
+      return res.status(403).json({ success: false, error: 'API key is missing the "deep-scan" scope' });
+    }
+    const validationError = await crawlRequestError(req.body);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+    const settings = crawlSettings(req.body);
+    const name = toolName || new URL(url).hostname.replace(/^www\./, '');
+    return queueJob(req, res, 'crawl', { url, toolName: name, settings, expand }, settings.maxPages);
+  } else if (type === 'discover') {
+    if (!apiKeys.hasScope(req.client, 'deep-scan')) {
+      return res.status(403).json({ success: false, error: 'API key is missing the "deep-scan" scope' });
+    }
+    const validationError = await discoverRequestError(req.body);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+    const { minConfidence, probe, scan } = req.body;
+    const name = toolName || new URL(url).hostname.replace(/^www\./, '');
+    return queueJob(req, res, 'discover', { url, toolName: name, minConfidence, probe, scan, expand, locales, sitemaps, verifyLinks },
+      discoverQuota(req.body));
+  }
+
+  res.status(400).json({ success: false, error: `Unknown job type: ${type}` });
+});
+
+// Poll a job for state, progress and result
+app.get('/jobs/:id', authenticateRequest, (req, res) => {
+  const job = jobQueue.get(req.params.id);
+  if (!job || !canAccessJob(req, job)) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
   }
+  res.json({ success: true, job });
+});
+
+// Live job progress as Server-Sent Events - replays past events, honours Last-Event-ID,
+// and closes after the final completed/failed/cancelled event
+app.get('/jobs/:id/events', authenticateRequest, (req, res) => {
+  const job = jobQueue.get(req.params.id);
+  if (!job || !canAccessJob(req, job)) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+
+  const send = (event) => {
+    if (event.id) res.write(`id: ${event.id}\n`);
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  };
+
+  const lastEventId = parseInt(req.headers['last-event-id'] || req.query.lastEventId) || 0;
+  const replay = jobQueue.eventsSince(job.id, lastEventId);
+  replay.forEach(send);
+
+  if (FINISHED_STATES.includes(job.state)) {
+    // Jobs restored after a restart have no event log - send the outcome directly
+    if (!replay.some(event => FINISHED_STATES.includes(event.type)) && lastEventId === 0) {
+      send({ type: job.state, data: job.state === 'completed' ? { result: job.result } : { error: job.error } });
+    }
+    return res.end();
+  }
+
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+  const onEvent = (eventJob, event) => {
+    if (eventJob.id !== job.id) return;
+    send(event);
+    if (FINISHED_STATES.includes(event.type)) {
+      cleanup();
+      res.end();
+    }
+  };
+
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    jobQueue.off('job-event', onEvent);
+  };
+
+  jobQueue.on('job-event', onEvent);
+  req.on('close', cleanup);
+});
+
+// Cancel a queued or running job
+app.delete('/jobs/:id', authenticateRequest, (req, res) => {
+  const existing = jobQueue.get(req.params.id);
+  if (!existing || !canAccessJob(req, existing)) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+
+  const job = jobQueue.cancel(existing.id);
+  if (job.state !== 'cancelled') {
+    return res.status(409).json({ success: false, error: `Job already ${job.state}`, job });
+  }
+  res.json({ success: true, job });
+});
+
+// Webhook delivery log for the calling client - filter with ?jobId= and ?status=
+app.get('/webhooks/deliveries', authenticateRequest, (req, res) => {
+  const { jobId, status, limit } = req.query;
+  const deliveries = webhooks.list({
+    clientId: req.client.id,
+    jobId,
+    status,
+    limit: Math.min(parseInt(limit) || 50, 500)
+  });
+  res.json({ success: true, deliveries });
+});
+
+app.get('/webhooks/deliveries/:id', authenticateRequest, (req, res) => {
+  const delivery = webhooks.get(req.params.id);
+  if (!delivery || delivery.clientId !== req.client.id) {
+    return res.status(404).json({ success: false, error: 'Delivery not found' });
+  }
+  res.json({ success: true, delivery });
+});
+
+// Restore persisted jobs and artifacts before accepting work
+await jobQueue.load();
+await artifactStore.load();
+jobQueue.start();
+
+// Warm the default engine's browser so the first scan skips the launch
+engines[DEFAULT_ENGINE].pool?.warmUp().catch(error => console.warn(`Browser warm-up failed: ${error.message}`));
+
+// Close pooled browsers on shutdown so no Chromium processes are left behind
+for (const signal of ['SIGTERM', 'SIGINT']) {
+  process.once(signal, async () => {
+    console.log(`${signal} received, closing browsers...`);
+    await Promise.all(Object.values(engines).filter(engine => engine.pool).map(engine => engine.pool.close()));
+    process.exit(0);
+  });
 }
 
 // Start server
@@ -335,18 +847,30 @@ app.listen(PORT, () => {
 ║     Scanner Microservice Started! 🚀       ║
 ╠════════════════════════════════════════════╣
 ║  Port: ${PORT}                              ║
-║  Engines: Playwright & Puppeteer          ║
+║  Mode: ${SCANNER_MODE} (${Object.keys(engines).join(', ')})
 ║  Status: Ready to scan!                   ║
 ╚════════════════════════════════════════════╝
 
 API Endpoints:
-  GET  /health - Health check
-  POST /scan   - Scan a website
+  GET  /health        - Health check
+  POST /scan          - Scan a website
+  POST /scan/batch    - Scan many URLs, streamed as NDJSON
+  DELETE /cache       - Purge cached scans for a URL or domain
+  GET  /artifacts/:id - Download a screenshot or PDF
+  POST /targeted-scan - Deep scan a tool's targeted URLs
+  POST /deep-scan     - Deep scan a single tool URL
+  POST /crawl         - Crawl a site breadth-first from a seed URL
+  POST /discover      - Propose targeted URLs from a tool's main URL
+  POST /jobs          - Queue a scan job
+  GET  /jobs/:id      - Job state, progress and result
+  GET  /jobs/:id/events - Live job progress (Server-Sent Events)
+  DELETE /jobs/:id    - Cancel a job
+  GET  /webhooks/deliveries - Webhook delivery log
 
 Example request:
   curl -X POST http://localhost:${PORT}/scan \\
     -H "Content-Type: application/json" \\
-    -H "X-API-Key: ${API_KEY}" \\
-    -d '{"url": "https://example.com", "engine": "playwright"}'
+    -H "X-API-Key: <your-api-key>" \\
+    -d '{"url": "https://example.com", "engine": "${DEFAULT_ENGINE}"}'
   `);
 });
\ No newline at end of file
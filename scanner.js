@@ -1,20 +1,91 @@
 // Enhanced Scanner Service
-const { chromium } = require('playwright');
-const OpenAI = require('openai');
-const NodeCache = require('node-cache');
-
-class PlaywrightScanner {
-  constructor() {
-    this.openai = new OpenAI({ 
-      apiKey: process.env.OPENAI_API_KEY 
-    });
-    this.cache = new NodeCache({ stdTTL: 3600 });
+// Targeted deep scan across a tool's main, help center, tutorial, FAQ... pages
+import OpenAI from 'openai';
+import { PlaywrightEngine } from './services/engines/playwright.js';
+import { UrlGuard } from './services/url-guard.js';
+import { RobotsPolicy } from './services/robots.js';
+import { HostScheduler } from './services/host-scheduler.js';
+import { SitemapReader, entriesForTargets, titleFromUrl } from './services/sitemaps.js';
+import { LinkVerifier } from './services/link-verifier.js';
+import {
+  collectFeatureCandidates,
+  collectHelpCenterLinks,
+  collectLocaleInfo,
+  collectPageLinks,
+  collectSiteLinks,
+  collectStructuredData,
+  collectVideoEmbeds
+} from './services/engines/page-extract.js';
+import { expandPage, expandSettings } from './services/engines/expand.js';
+import { rankFeatures } from './services/features.js';
+import { crawlHelpCenter, articleCategory } from './services/help-centers.js';
+import { normalizeStructuredData } from './services/structured-data.js';
+import { extractVideos } from './services/videos.js';
+import { normalizeLocale, primaryLanguage, findAlternate, groupByLanguage } from './services/locales.js';
+import { CrawlFrontier } from './services/crawler.js';
+import { runWithConcurrency } from './services/concurrency.js';
+import {
+  DISCOVERY_DEFAULTS,
+  linkEvidence,
+  sitemapEvidence,
+  rankCandidates,
+  probeTargets,
+  probeEvidence,
+  proposeTargetedUrls
+} from './services/url-discovery.js';
+
+// Keys accepted in a TargetedUrls map
+export const TARGETED_URL_TYPES = [
+  'main',
+  'helpCenter',
+  'tutorials',
+  'videos',
+  'integrations',
+  'faq',
+  'training',
+  'api',
+  'pricing'
+];
+
+// Pages the crawler extracts at the same time
+const CRAWL_CONCURRENCY = 2;
+
+// Subdomain and path probes in flight during URL discovery - the host scheduler still limits each host
+const PROBE_CONCURRENCY = 4;
+
+// Links that are never resources - cookie, privacy and legal pages
+const NON_RESOURCE_PATTERNS = ['cookie', 'privacy', 'terms', 'legal', 'copyright', 'trademark'];
+const isNonResourceTitle = (title) => NON_RESOURCE_PATTERNS.some(pattern => title.toLowerCase().includes(pattern));
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+export class PlaywrightScanner {
+  // engine is shared with the rest of the service and may be any scan engine; a private Playwright engine is created when omitted.
+  // robots and scheduler are shared too, so every scan of a host counts towards the same politeness limits
+  constructor({ engine, urlGuard, robots, scheduler } = {}) {
+    this.urlGuard = urlGuard || UrlGuard.fromEnv();
+    this.engine = engine || new PlaywrightEngine({ urlGuard: this.urlGuard });
+    this.robots = robots || RobotsPolicy.fromEnv({ urlGuard: this.urlGuard });
+    this.scheduler = scheduler || HostScheduler.fromEnv();
+    this.sitemaps = new SitemapReader({ urlGuard: this.urlGuard, robots: this.robots, scheduler: this.scheduler });
+    this.linkVerifier = LinkVerifier.fromEnv({ urlGuard: this.urlGuard, robots: this.robots, scheduler: this.scheduler });
+    // OpenAI client is optional - insights fall back to defaults without a key
+    this.openai = process.env.OPENAI_API_KEY
+      ? new OpenAI({ apiKey: process.env.OPENAI_API_KEY })
+      : null;
     console.log('🚀 Playwright Scanner initialized');
   }
 
-  async performDeepTargetedScan(urls, toolName) {
+  // options.signal aborts the scan; options.onProgress(percent, message) reports progress;
+  // options.onEvent(type, data) receives 'phase', 'url' and 'resources' events as the scan runs;
+  // options.expand (true or expansion settings) scrolls and expands each page before extraction;
+  // options.locales (["es", ...]) also scans each page's translation and groups resources by language;
+  // options.sitemaps: false skips adding the pages the site's sitemaps list under each URL;
+  // options.verifyLinks ('flag' or true by default, 'drop' or false) requests every resource and flags or drops the broken ones
+  async performDeepTargetedScan(urls, toolName, options = {}) {
+    const { signal, onProgress = () => {}, onEvent = () => {}, expand, locales = [], sitemaps = true, verifyLinks = 'flag' } = options;
     const startTime = Date.now();
-    
+
     const result = {
       urls: urls,
       name: toolName,
@@ -34,6 +105,7 @@ class PlaywrightScanner {
         setupComplexity: 'medium',
         bestFeatures: []
       },
+      features: [],
       metadata: {
         scannedAt: new Date(),
         urlsScanned: 0,
@@ -43,118 +115,686 @@ class PlaywrightScanner {
       }
     };
 
-    let browser = null;
-    
+    console.log(`🔎 Starting deep scan of ${Object.keys(urls).length} URLs for ${toolName}`);
+
+    const runPhase = async (phase, fn) => {
+      const phaseStart = Date.now();
+      onEvent('phase', { phase, status: 'start' });
+      await fn();
+      onEvent('phase', { phase, status: 'end', durationMs: Date.now() - phaseStart });
+    };
+
     try {
-      browser = await chromium.launch({
-        headless: true,
-        args: ['--no-sandbox', '--disable-setuid-sandbox'],
-        // Try to use system Chrome if Playwright browsers not installed
-        executablePath: process.env.CHROME_BIN || undefined
+      signal?.throwIfAborted();
+
+      // Phase 1: Deep scan each URL
+      const targets = Object.entries(urls).filter(([, url]) => url);
+      const featurePages = [];
+      let scanned = 0;
+
+      await runPhase('scan-urls', async () => {
+        await Promise.allSettled(targets.map(async ([urlType, url]) => {
+          const outcome = await this.scanUrl(url, urlType, toolName, result, { signal, featurePages, expand });
+          scanned++;
+          onEvent('url', { urlType, url, ...outcome });
+          onProgress((scanned / targets.length) * 80, `Scanned ${urlType}`);
+        }));
       });
+      signal?.throwIfAborted();
 
-      // Scan each URL
-      for (const [urlType, url] of Object.entries(urls)) {
-        if (url) {
-          await this.scanUrl(browser, url, urlType, toolName, result);
-        }
+      // Every article and page the site's sitemaps list under each URL, with its last-modified date
+      if (sitemaps) {
+        await runPhase('sitemaps', () => this.addSitemapResources(targets, toolName, result, { signal }));
+        signal?.throwIfAborted();
       }
+      onEvent('resources', this.resourceCounts(result.categorizedResources));
+
+      // Feature blocks from every scanned page, merged and ranked
+      await runPhase('features', async () => {
+        result.features = rankFeatures(featurePages);
+      });
 
-      // Generate AI insights if API key is available
-      if (process.env.OPENAI_API_KEY) {
-        await this.generateAIInsights(result, toolName);
+      // Requested locales: each page's hreflang alternate, or the same URL asked for in that locale
+      if (locales.length > 0) {
+        onProgress(82, 'Scanning localized pages');
+        await runPhase('locales', async () => {
+          const localized = await this.scanLocales(targets, locales, toolName, result, { signal, onEvent, expand });
+          result.resourcesByLanguage = groupByLanguage(result.categorizedResources, ...localized);
+        });
+        signal?.throwIfAborted();
+      }
+
+      // Every resource requested, so dead links and "page not found" pages don't reach the results as verified
+      if (verifyLinks) {
+        onProgress(83, 'Verifying links');
+        await runPhase('verify-links', () => this.verifyResources(result, verifyLinks === true ? 'flag' : verifyLinks, { signal }));
+        signal?.throwIfAborted();
+        onEvent('resources', this.resourceCounts(result.categorizedResources));
       }
 
+      // Phase 2: AI-powered insights generation
+      onProgress(85, 'Generating AI insights');
+      await runPhase('ai-insights', () => this.generateAIInsights(result, toolName));
+
+      // Phase 3: Enhance top resources with AI analysis
+      onProgress(90, 'Enhancing resources');
+      await runPhase('resource-enhancement', () => this.enhanceResourcesWithAI(result, toolName));
+
+      // Phase 4: Basic tool information from the main page
+      await runPhase('tool-info', async () => {
+        if (!urls.main) return;
+        const mainResource = Object.values(result.categorizedResources)
+          .flat()
+          .find(r => r.source === 'main_page' && r.url === urls.main);
+        if (mainResource) {
+          result.description = mainResource.description || '';
+        }
+      });
+
     } catch (error) {
+      if (signal?.aborted) throw error;
       console.error('Scan error:', error);
       result.metadata.errors.push(error.message);
-    } finally {
-      if (browser) await browser.close();
     }
 
     result.metadata.urlsScanned = Object.values(urls).filter(Boolean).length;
     result.metadata.resourcesFound = this.countResources(result.categorizedResources);
     result.metadata.aiAnalysisTime = Date.now() - startTime;
 
+    console.log(`✅ Deep scan completed in ${result.metadata.aiAnalysisTime}ms - ${result.metadata.resourcesFound} resources across ${result.metadata.urlsScanned} URLs`);
+
     return result;
   }
 
-  async scanUrl(browser, url, urlType, toolName, result) {
-    let page = null;
-    
+  // Adds the sitemap entries under each target as resources (source "sitemap", updatedAt from lastmod) and dates the
+  // resources already found. Entries are listed, not visited, so they stay unverified until the link check
+  async addSitemapResources(allTargets, toolName, result, { signal }) {
+    // main covers the whole site, so it would collect every marketing and legal page the sitemap lists
+    const targets = allTargets.filter(([urlType]) => urlType !== 'main');
+    const origins = [...new Set(targets.map(([, url]) => new URL(url).origin))];
+    const reads = await Promise.all(origins.map(async origin => {
+      try {
+        return await this.sitemaps.entriesFor(origin, { signal });
+      } catch (error) {
+        if (signal?.aborted) throw error;
+        result.metadata.errors.push(`sitemaps: ${error.message}`);
+        return { sitemaps: [], entries: [], errors: [] };
+      }
+    }));
+
+    const byTarget = entriesForTargets(reads.flatMap(read => read.entries), targets);
+    const known = new Map(Object.values(result.categorizedResources).flat().map(resource => [resource.url, resource]));
+    const added = {};
+
+    for (const [urlType, entries] of Object.entries(byTarget)) {
+      // Resources take the language of the targeted page they are listed under
+      const language = primaryLanguage(result.metadata.languages?.[urlType]?.language);
+      added[urlType] = 0;
+      for (const { loc, lastmod } of entries) {
+        const existing = known.get(loc);
+        if (existing) {
+          existing.updatedAt ||= lastmod;
+          continue;
+        }
+
+        const title = titleFromUrl(loc);
+        if (!title || title.length < 3 || isNonResourceTitle(title)) continue;
+        const resource = {
+          title: title.substring(0, 200),
+          url: loc,
+          description: `${title} - ${toolName} resource`,
+          type: this.categorizeResourceType(title, loc),
+          source: 'sitemap',
+          verified: false,
+          updatedAt: lastmod,
+          language
+        };
+        known.set(loc, resource);
+        result.categorizedResources[this.determineResourceCategory(title, loc, urlType)].push(resource);
+        added[urlType]++;
+      }
+    }
+
+    reads.flatMap(read => read.errors).forEach(error => result.metadata.errors.push(`sitemaps: ${error}`));
+    result.metadata.sitemaps = {
+      files: reads.flatMap(read => read.sitemaps),
+      urlsListed: reads.reduce((total, read) => total + read.entries.length, 0),
+      resourcesAdded: added
+    };
+  }
+
+  // Requests every resource URL (see services/link-verifier.js) and records the outcome on each resource as verification.
+  // verified is true only for links that answered with a real page. mode 'drop' removes broken links, from
+  // resourcesByLanguage too; links that could not be checked either way are kept, unverified
+  async verifyResources(result, mode, { signal }) {
+    const startTime = Date.now();
+    const maps = [result.categorizedResources, ...Object.values(result.resourcesByLanguage || {})];
+    const resources = [...new Set(maps.flatMap(categorized => Object.values(categorized).flat()))];
+    const urls = [...new Set(resources.map(resource => resource.url))];
+
+    console.log(`🔗 Verifying ${urls.length} links`);
+    const verifications = await this.linkVerifier.verifyAll(urls, { signal });
+    signal?.throwIfAborted();
+
+    const counts = { ok: 0, broken: 0, unknown: 0, unchecked: 0 };
+    for (const url of urls) counts[verifications.get(url)?.state || 'unchecked']++;
+    for (const resource of resources) {
+      const verification = verifications.get(resource.url) || null;
+      resource.verified = verification?.state === 'ok';
+      resource.verification = verification;
+    }
+
+    const dropped = [];
+    if (mode === 'drop') {
+      const isBroken = (resource) => resource.verification?.state === 'broken';
+      for (const categorized of maps) {
+        for (const category of Object.keys(categorized)) {
+          categorized[category] = categorized[category].filter(resource => !isBroken(resource));
+        }
+      }
+      for (const resource of resources.filter(isBroken)) {
+        if (dropped.some(entry => entry.url === resource.url)) continue;
+        const { status, soft404, error } = resource.verification;
+        dropped.push({ url: resource.url, title: resource.title, reason: soft404 ? `soft 404: ${soft404}` : (error || `HTTP ${status}`) });
+      }
+    }
+
+    result.metadata.linkCheck = { mode, checked: verifications.size, ...counts, dropped, durationMs: Date.now() - startTime };
+    console.log(`🔗 Links: ${counts.ok} ok, ${counts.broken} broken, ${counts.unknown} unknown${dropped.length ? `, ${dropped.length} dropped` : ''}`);
+  }
+
+  // Proposes a TargetedUrls map from the main URL alone - see services/url-discovery.js. options take signal, onProgress,
+  // onEvent, minConfidence and probe (false skips guessing subdomains and paths); scan: true then runs
+  // performDeepTargetedScan on the proposal with the remaining options (expand, locales, sitemaps, verifyLinks)
+  async discoverTargetedUrls(mainUrl, toolName, options = {}) {
+    const {
+      signal,
+      onProgress = () => {},
+      onEvent = () => {},
+      scan = false,
+      minConfidence = DISCOVERY_DEFAULTS.minConfidence,
+      probe = DISCOVERY_DEFAULTS.probe,
+      ...scanOptions
+    } = options;
+    const startTime = Date.now();
+    const errors = [];
+
+    console.log(`🧭 Discovering targeted URLs for ${toolName} from ${mainUrl}`);
+    onEvent('phase', { phase: 'discover', status: 'start' });
+
+    // The main page's links, with where on the page each one sits
+    await this.urlGuard.assertAllowed(mainUrl);
+    const { crawlDelayMs } = await this.robots.assertAllowed(mainUrl);
+    const page = await this.scheduler.schedule(mainUrl, () => this.engine.withSession(async session => {
+      await session.navigate(mainUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
+      await session.wait(1500);
+      return session.evaluate(collectSiteLinks);
+    }, { userAgent: USER_AGENT, viewport: { width: 1920, height: 1080 } }, signal), { delayMs: crawlDelayMs, signal });
+    // Redirects (example.com -> www.example.com) decide which site the other URLs belong to
+    const siteUrl = page.url;
+    onProgress(5, `Found ${page.links.length} links on the main page`);
+
+    let sitemapEntries = [];
     try {
-      const context = await browser.newContext({
-        userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+      const sitemaps = await this.sitemaps.entriesFor(siteUrl, { signal });
+      sitemapEntries = sitemaps.entries;
+      errors.push(...sitemaps.errors.map(error => `sitemaps: ${error}`));
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      errors.push(`sitemaps: ${error.message}`);
+    }
+    onProgress(10, `Read ${sitemapEntries.length} sitemap URLs`);
+
+    const evidence = [...linkEvidence(page.links, siteUrl), ...sitemapEvidence(sitemapEntries, siteUrl)];
+
+    // Common subdomains and paths, for the slots the page and sitemap left unresolved
+    const probes = probe ? probeTargets(siteUrl, rankCandidates(evidence)) : [];
+    let answered = 0;
+    await runWithConcurrency(probes, PROBE_CONCURRENCY, async (target) => {
+      try {
+        const { allowed, crawlDelayMs: delayMs } = await this.robots.check(target.url);
+        if (!allowed) return;
+        const response = await this.scheduler.schedule(target.url, () => this.urlGuard.fetch(target.url, {
+          headers: { 'User-Agent': USER_AGENT },
+          timeout: 8000,
+          signal
+        }), { delayMs, signal });
+        response.body?.destroy?.();
+        if (!response.ok) return;
+        answered++;
+        const found = probeEvidence(target, response.url, siteUrl);
+        if (found) evidence.push(found);
+      } catch (error) {
+        // Subdomains that don't exist are the common case
+        if (signal?.aborted) throw error;
+      }
+    }, signal);
+    signal?.throwIfAborted();
+
+    const { urls, slots } = proposeTargetedUrls(mainUrl, rankCandidates(evidence), { minConfidence });
+    const discovery = {
+      main: mainUrl,
+      name: toolName,
+      urls,
+      slots,
+      metadata: {
+        discoveredAt: new Date(),
+        siteUrl,
+        minConfidence,
+        linksFound: page.links.length,
+        sitemapUrls: sitemapEntries.length,
+        probes: { tried: probes.length, answered },
+        durationMs: Date.now() - startTime,
+        errors
+      }
+    };
+    onEvent('phase', { phase: 'discover', status: 'end', durationMs: Date.now() - startTime });
+    console.log(`🧭 Proposed ${Object.keys(urls).length - 1} targeted URLs for ${toolName}`);
+
+    if (!scan) {
+      onProgress(100, 'Discovery complete');
+      return discovery;
+    }
+
+    onProgress(20, 'Scanning discovered URLs');
+    const result = await this.performDeepTargetedScan(urls, toolName, {
+      ...scanOptions,
+      signal,
+      onEvent,
+      onProgress: (percent, message) => onProgress(20 + percent * 0.8, message)
+    });
+    return { ...discovery, scan: result };
+  }
+
+  // Breadth-first crawl from seedUrl over its own host. settings come from crawlSettings() (maxDepth, maxPages, include,
+  // exclude, timeBudgetMs); options take signal, onProgress, onEvent and expand as in performDeepTargetedScan.
+  // Returns every crawled page plus the resources and features merged across them
+  async performCrawl(seedUrl, toolName, settings, options = {}) {
+    const { signal, onProgress = () => {}, onEvent = () => {}, expand } = options;
+    const startTime = Date.now();
+    const deadline = startTime + settings.timeBudgetMs;
+    // Aborts the page in flight when the time budget runs out, as well as on cancel
+    const pageSignal = AbortSignal.any([signal, AbortSignal.timeout(settings.timeBudgetMs)].filter(Boolean));
+
+    const scan = {
+      categorizedResources: {
+        documentation: [],
+        tutorials: [],
+        videos: [],
+        integrations: [],
+        faqs: [],
+        training: []
+      },
+      metadata: { errors: [] }
+    };
+    const pages = [];
+    const featurePages = [];
+    const frontier = new CrawlFrontier(seedUrl, settings);
+    let stoppedBy = 'complete';
+
+    console.log(`🕸️  Crawling ${seedUrl} for ${toolName} (depth ${settings.maxDepth}, up to ${settings.maxPages} pages)`);
+
+    const crawlPage = async ({ url, depth }) => {
+      const urlType = depth === 0 ? 'main' : 'crawl';
+      let pageData = null;
+      const outcome = await this.scanUrl(url, urlType, toolName, scan, {
+        signal: pageSignal,
+        featurePages,
+        expand,
+        followHelpCenter: false,
+        onPage: (data) => { pageData = data; }
       });
-      
-      page = await context.newPage();
-      await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
-      await page.waitForTimeout(2000);
-
-      // Extract page data
-      const pageData = await page.evaluate(() => {
-        const getText = (element) => {
-          if (!element) return '';
-          return (element.getAttribute('aria-label') || 
-                  element.getAttribute('title') || 
-                  element.textContent || '').trim();
-        };
 
-        const links = Array.from(document.querySelectorAll('a[href]')).map(link => {
-          const href = link.getAttribute('href') || '';
-          let text = getText(link);
-          
-          // If no text, try to generate from URL
-          if (!text && href) {
-            const urlParts = href.split('/').filter(Boolean);
-            const lastPart = urlParts[urlParts.length - 1];
-            if (lastPart) {
-              text = lastPart.replace(/[-_]/g, ' ').replace(/\.\w+$/, '');
-            }
-          }
-          
-          return { text, href, title: link.getAttribute('title') || '' };
-        });
+      pages.push({
+        url,
+        depth,
+        title: pageData?.title || null,
+        language: pageData?.language || null,
+        success: outcome.success,
+        resourcesFound: outcome.resourcesFound || 0,
+        linksFound: pageData?.outlinks.length || 0,
+        ...(outcome.error && { error: outcome.error })
+      });
+      (pageData?.outlinks || []).forEach(link => frontier.add(link, depth + 1));
 
-        return {
-          title: document.title,
-          description: document.querySelector('meta[name="description"]')?.getAttribute('content') || '',
-          links: links.slice(0, 50)
-        };
+      onEvent('url', { urlType, url, depth, ...outcome });
+      onProgress(Math.min(95, (pages.length / settings.maxPages) * 95), `Crawled ${pages.length} pages`);
+    };
+
+    // One depth level at a time, so shallower pages always get the page budget first
+    const stop = new AbortController();
+    const stopSignal = AbortSignal.any([signal, stop.signal].filter(Boolean));
+    let started = 0;
+    let leftOver = 0;
+    while (frontier.size > 0 && !stopSignal.aborted) {
+      const level = frontier.takeAll();
+      // Pages crawled or skipped for robots.txt - the rest of the level was dropped by the budget
+      let handled = 0;
+      await runWithConcurrency(level, CRAWL_CONCURRENCY, async (page) => {
+        if (started >= settings.maxPages) stoppedBy = 'maxPages';
+        else if (Date.now() >= deadline) stoppedBy = 'timeBudget';
+        if (stoppedBy !== 'complete') return stop.abort();
+
+        // Disallowed pages don't count towards maxPages
+        const { allowed, reason } = await this.robots.check(page.url);
+        if (!allowed) {
+          frontier.skipped.robots++;
+          handled++;
+          scan.metadata.errors.push(`crawl: Blocked URL ${page.url}: ${reason}`);
+          onEvent('url', { urlType: 'crawl', url: page.url, depth: page.depth, success: false, skipped: 'robots', error: reason });
+          return;
+        }
+
+        started++;
+        handled++;
+        await crawlPage(page);
+      }, stopSignal);
+      leftOver = level.length - handled;
+    }
+    signal?.throwIfAborted();
+
+    const result = {
+      url: seedUrl,
+      name: toolName,
+      pages,
+      categorizedResources: this.dedupeResources(scan.categorizedResources),
+      features: rankFeatures(featurePages),
+      logo: scan.logo || null,
+      metadata: {
+        scannedAt: new Date(),
+        settings,
+        pagesCrawled: pages.length,
+        // Found but not crawled because the page count or time budget ran out. robots.txt skips are in skipped.robots
+        pagesNotCrawled: leftOver + frontier.size,
+        resourcesFound: 0,
+        skipped: frontier.skipped,
+        stoppedBy,
+        durationMs: Date.now() - startTime,
+        errors: scan.metadata.errors
+      }
+    };
+
+    result.metadata.resourcesFound = this.countResources(result.categorizedResources);
+    console.log(`✅ Crawl finished (${stoppedBy}) - ${pages.length} pages, ${result.metadata.resourcesFound} resources`);
+    return result;
+  }
+
+  // One resource per URL across all categories - crawled pages repeat the same navigation links.
+  // A page's own entry (source main_page) beats links to it from other pages
+  dedupeResources(categorizedResources) {
+    const kept = new Map();
+    for (const resource of Object.values(categorizedResources).flat()) {
+      const existing = kept.get(resource.url);
+      if (!existing || (resource.source === 'main_page' && existing.source !== 'main_page')) kept.set(resource.url, resource);
+    }
+    return Object.fromEntries(Object.entries(categorizedResources).map(([category, resources]) =>
+      [category, resources.filter(resource => kept.get(resource.url) === resource)]
+    ));
+  }
+
+  // Scans every target again for each locale its page language does not already cover. Returns the localized
+  // categorizedResources maps; result.categorizedResources keeps the pages as first scanned
+  async scanLocales(targets, locales, toolName, result, { signal, onEvent, expand }) {
+    const scans = [];
+    for (const locale of locales.map(normalizeLocale)) {
+      for (const [urlType, url] of targets) {
+        const page = result.metadata.languages?.[urlType];
+        if (!page || primaryLanguage(page.language) === primaryLanguage(locale)) continue;
+        const alternate = findAlternate(page.alternates, locale);
+        scans.push({ locale, urlType, url: alternate ? alternate.href : url, via: alternate ? 'hreflang' : 'accept-language' });
+      }
+    }
+
+    result.metadata.locales = { requested: locales.map(normalizeLocale), scans: [] };
+    const localized = [];
+
+    await Promise.allSettled(scans.map(async ({ locale, urlType, url, via }) => {
+      const localizedResult = {
+        categorizedResources: Object.fromEntries(Object.keys(result.categorizedResources).map(category => [category, []])),
+        metadata: { errors: [] }
+      };
+      const outcome = await this.scanUrl(url, urlType, toolName, localizedResult, { signal, expand, locale });
+
+      // An hreflang alternate is trusted to be in its language; a page that ignored Accept-Language is discarded
+      const language = primaryLanguage(outcome.language) || (via === 'hreflang' ? primaryLanguage(locale) : null);
+      const matched = outcome.success && language === primaryLanguage(locale);
+      if (matched) {
+        Object.values(localizedResult.categorizedResources).flat().forEach(resource => { resource.language ||= language; });
+        localized.push(localizedResult.categorizedResources);
+      }
+
+      localizedResult.metadata.errors.forEach(error => result.metadata.errors.push(`${locale} ${error}`));
+      result.metadata.locales.scans.push({
+        locale,
+        urlType,
+        url,
+        via,
+        language: outcome.language || null,
+        matched,
+        resourcesFound: matched ? outcome.resourcesFound : 0
       });
+      onEvent('url', { urlType, url, locale, ...outcome, matched });
+    }));
+
+    return localized;
+  }
+
+  // featurePages collects { url, blocks } for rankFeatures; locale scans the page as a browser set to that language;
+  // onPage(pageData) sees the extracted page after its resources are added; followHelpCenter: false reads help-center
+  // articles from this page only, for the crawler, which visits the other pages itself
+  async scanUrl(url, urlType, toolName, result, { signal, featurePages = [], expand = false, locale = null, followHelpCenter = true, onPage } = {}) {
+    try {
+      console.log(`📍 Deep scanning ${urlType}: ${url}`);
+
+      await this.urlGuard.assertAllowed(url);
+      const { crawlDelayMs } = await this.robots.assertAllowed(url);
+
+      // Help-center pages visited within the scan are checked against robots.txt and spaced out like any other request
+      const beforeNavigate = async (pageUrl) => {
+        const { crawlDelayMs: delayMs } = await this.robots.assertAllowed(pageUrl);
+        await this.scheduler.pace(pageUrl, { delayMs, signal });
+      };
+
+      // Fresh engine session per URL for isolation, once the host's politeness limits allow another request
+      const pageData = await this.scheduler.schedule(url, () => this.engine.withSession(
+        session => this.extractPageData(session, url, { expand, followHelpCenter, beforeNavigate }),
+        { userAgent: USER_AGENT, viewport: { width: 1920, height: 1080 }, locale },
+        signal
+      ), { delayMs: crawlDelayMs, signal });
 
       // Process extracted data
+      const before = this.countResources(result.categorizedResources);
       this.processPageData(pageData, urlType, url, toolName, result);
-      
+      // Resources take the language the page they were found on declares
+      const language = primaryLanguage(pageData.language);
+      Object.values(result.categorizedResources).flat().forEach(resource => {
+        if (resource.language === undefined) resource.language = language;
+      });
+      result.metadata.languages = {
+        ...result.metadata.languages,
+        [urlType]: { language: pageData.language, alternates: pageData.alternates }
+      };
+      featurePages.push({ url, blocks: pageData.featureBlocks });
+      if (pageData.expansion) {
+        result.metadata.expansion = { ...result.metadata.expansion, [urlType]: pageData.expansion };
+      }
+      onPage?.(pageData);
+
+      return {
+        success: true,
+        resourcesFound: this.countResources(result.categorizedResources) - before,
+        language: pageData.language,
+        ...(pageData.expansion && { contentGrowth: pageData.expansion.growth })
+      };
     } catch (error) {
       console.error(`Error scanning ${url}:`, error.message);
       result.metadata.errors.push(`${urlType}: ${error.message}`);
-    } finally {
-      if (page) await page.close();
+      return { success: false, error: error.message };
+    }
+  }
+
+  async extractPageData(session, url, { expand = false, followHelpCenter = true, beforeNavigate } = {}) {
+    // Navigate with retry logic
+    let retries = 3;
+    let pageLoaded = false;
+
+    while (retries > 0 && !pageLoaded) {
+      try {
+        await session.navigate(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+        await session.wait(2000);
+
+        // Check if we hit a protection page
+        const pageTitle = (await session.evaluate(() => document.title)).toLowerCase();
+        const isProtected = pageTitle.includes('just a moment') || pageTitle.includes('cloudflare');
+
+        if (isProtected && retries > 1) {
+          console.log('Protection detected, retrying...');
+          await session.wait(5000);
+          retries--;
+          continue;
+        }
+
+        pageLoaded = true;
+      } catch (error) {
+        console.warn(`Navigation attempt failed for ${url}, retries left: ${retries - 1}`);
+        retries--;
+        if (retries === 0) throw error;
+      }
     }
+
+    // Lazy-loaded lists, "load more" pages and accordions - browser engines only
+    const expansion = expand && this.engine.capabilities.javascript
+      ? await expandPage(session, expandSettings(expand))
+      : null;
+
+    // Extract page data
+    const { blocks: featureBlocks } = await session.evaluate(collectFeatureCandidates);
+    const pageData = await session.evaluate(() => {
+      const getText = (element) => {
+        if (!element) return '';
+        return (element.getAttribute('aria-label') ||
+                element.getAttribute('title') ||
+                element.textContent || '').trim();
+      };
+
+      const getAbsoluteUrl = (href) => {
+        try {
+          return new URL(href, window.location.href).toString();
+        } catch {
+          return '';
+        }
+      };
+
+      const links = Array.from(document.querySelectorAll('a[href]')).map(link => {
+        const href = link.getAttribute('href') || '';
+        let text = getText(link);
+
+        // If no text, try images and child elements before falling back to the URL
+        if (!text) {
+          const img = link.querySelector('img');
+          if (img) {
+            text = img.getAttribute('alt') || img.getAttribute('title') || '';
+          }
+        }
+        if (!text && href) {
+          const urlParts = href.split('/').filter(Boolean);
+          const lastPart = urlParts[urlParts.length - 1];
+          if (lastPart && !lastPart.includes('?')) {
+            text = lastPart.replace(/[-_]/g, ' ').replace(/\.\w+$/, '');
+          }
+        }
+
+        return {
+          text,
+          href: getAbsoluteUrl(href),
+          title: link.getAttribute('title') || ''
+        };
+      }).filter(link => link.href && link.href.startsWith('http'));
+
+      const navLinks = Array.from(document.querySelectorAll('nav a, header a, .navigation a, .menu a')).map(link => ({
+        text: getText(link),
+        href: getAbsoluteUrl(link.getAttribute('href') || '')
+      }));
+
+      // Links inside help/support/tutorial sections carry their section heading as context
+      const resourceSections = Array.from(document.querySelectorAll('[class*="resource"], [class*="help"], [class*="support"], [class*="documentation"], [class*="tutorial"], [class*="guide"]'));
+      const resourceLinks = resourceSections.flatMap(section =>
+        Array.from(section.querySelectorAll('a')).map(link => ({
+          text: getText(link),
+          href: getAbsoluteUrl(link.getAttribute('href') || ''),
+          context: getText(section.querySelector('h1, h2, h3, h4, h5, h6'))
+        }))
+      );
+
+      return {
+        title: document.title,
+        description: document.querySelector('meta[name="description"]')?.getAttribute('content') || '',
+        ogImage: document.querySelector('meta[property="og:image"]')?.getAttribute('content') || '',
+        links: links.slice(0, 50),
+        navLinks,
+        resourceLinks
+      };
+    });
+
+    const { language, alternates } = await session.evaluate(collectLocaleInfo);
+    const outlinks = await session.evaluate(collectPageLinks);
+    const videos = extractVideos(
+      await session.evaluate(collectVideoEmbeds),
+      normalizeStructuredData(await session.evaluate(collectStructuredData))
+    );
+
+    // Known help-center platforms get their category and section pages walked for the full article list.
+    // Runs last because it navigates the session away from the page
+    const helpCenter = await crawlHelpCenter(
+      session,
+      await session.evaluate(collectHelpCenterLinks),
+      followHelpCenter ? { beforeNavigate } : { maxPages: 1 }
+    );
+
+    return { ...pageData, featureBlocks, expansion, language, alternates, outlinks, videos, helpCenter };
   }
 
   processPageData(pageData, urlType, url, toolName, result) {
-    // Add main page as resource
+    // Add the scanned page itself as a resource
     const mainResource = {
       title: pageData.title || `${toolName} ${urlType} Page`,
       url: url,
-      description: pageData.description || '',
-      type: 'documentation',
-      source: urlType
+      description: pageData.description || `${toolName} ${urlType} resource page`,
+      type: this.categorizeResourceType(pageData.title || '', url),
+      source: 'main_page',
+      verified: false
     };
-    
-    result.categorizedResources.documentation.push(mainResource);
 
-    // Process links
-    const processedUrls = new Set([url]);
-    
-    for (const link of pageData.links) {
+    const mainCategory = this.determineResourceCategory(mainResource.title, url, urlType);
+    result.categorizedResources[mainCategory].push(mainResource);
+
+    // Use the main page's OpenGraph image as the tool logo
+    if (urlType === 'main' && pageData.ogImage) {
+      result.logo = pageData.ogImage;
+    }
+
+    // Embedded videos first, so a plain link to the same video is not added again
+    const videoUrls = this.processVideos(pageData.videos || [], urlType, toolName, result);
+
+    if (pageData.helpCenter) {
+      this.processHelpCenter(pageData.helpCenter, urlType, url, toolName, result);
+      return;
+    }
+
+    const allLinks = [
+      ...(pageData.links || []),
+      ...(pageData.navLinks || []),
+      ...(pageData.resourceLinks || [])
+    ];
+
+    const processedUrls = new Set([url, ...videoUrls]);
+
+    for (const link of allLinks) {
       if (!link.href || processedUrls.has(link.href)) continue;
       processedUrls.add(link.href);
 
       let title = link.text || link.title || '';
-      
+
       // Generate title from URL if needed
       if (!title || title.length < 3) {
         try {
@@ -163,81 +803,258 @@ class PlaywrightScanner {
           if (segments.length > 0) {
             title = segments[segments.length - 1]
               .replace(/[-_]/g, ' ')
-              .replace(/\.\w+$/, '');
+              .replace(/\.\w+$/, '')
+              .replace(/\b\w/g, l => l.toUpperCase());
+
+            if (link.context) {
+              title = `${link.context} - ${title}`;
+            }
           }
         } catch {
           title = `${toolName} Resource`;
         }
       }
 
+      title = title.replace(/\s+/g, ' ').trim().substring(0, 200);
+
       if (!title || title.length < 3) continue;
 
+      if (isNonResourceTitle(title)) continue;
+
       const resource = {
-        title: title.substring(0, 200),
+        title: title,
         url: link.href,
-        description: `${title} - ${toolName} resource`,
+        description: link.title || `${title} - ${toolName} resource`,
         type: this.categorizeResourceType(title, link.href),
-        source: urlType
+        source: urlType,
+        verified: false
       };
 
       const category = this.determineResourceCategory(title, link.href, urlType);
-      if (result.categorizedResources[category]) {
-        result.categorizedResources[category].push(resource);
-      }
+      result.categorizedResources[category].push(resource);
     }
   }
 
+  // Each embedded video becomes a videos resource carrying its provider details - returns the watch URLs
+  processVideos(videos, urlType, toolName, result) {
+    const known = new Set(result.categorizedResources.videos.map(resource => resource.url));
+
+    for (const video of videos) {
+      if (known.has(video.url)) continue;
+      known.add(video.url);
+
+      const title = video.title || (video.section ? `${video.section} (video)` : `${toolName} video`);
+      result.categorizedResources.videos.push({
+        title: title.substring(0, 200),
+        url: video.url,
+        description: video.section ? `${video.section} - ${toolName} video` : `${toolName} video`,
+        type: 'video',
+        source: urlType,
+        verified: false,
+        provider: video.provider,
+        videoId: video.id,
+        embedUrl: video.embedUrl,
+        thumbnail: video.thumbnail,
+        duration: video.duration,
+        section: video.section
+      });
+    }
+    return videos.map(video => video.url);
+  }
+
+  // Help-center articles replace the generic link sweep, which would mostly pick up the platform's navigation
+  processHelpCenter(helpCenter, urlType, url, toolName, result) {
+    const known = new Set(Object.values(result.categorizedResources).flat().map(resource => resource.url));
+
+    for (const article of helpCenter.articles) {
+      if (known.has(article.url)) continue;
+      known.add(article.url);
+
+      const title = (article.title || '').replace(/\s+/g, ' ').trim().substring(0, 200);
+      if (title.length < 3) continue;
+
+      const type = this.categorizeResourceType(title, article.url);
+      const context = [article.category, article.section].filter(Boolean).join(' › ');
+      result.categorizedResources[articleCategory(article, urlType)].push({
+        title,
+        url: article.url,
+        description: context ? `${context} - ${toolName} help article` : `${title} - ${toolName} help article`,
+        type: type === 'other' ? 'documentation' : type,
+        source: urlType,
+        verified: false,
+        section: article.section || null,
+        category: article.category || null,
+        updatedAt: article.updatedAt || null
+      });
+    }
+
+    // Articles are matched to their section and category by name, as that is all an article link carries
+    const articleCount = (field, name) => helpCenter.articles.filter(article => article[field] === name).length;
+    result.metadata.helpCenters = [
+      ...(result.metadata.helpCenters || []),
+      {
+        urlType,
+        url,
+        platform: helpCenter.platform,
+        categories: helpCenter.categories.map(category => ({
+          name: category.title,
+          url: category.url,
+          articles: articleCount('category', category.title)
+        })),
+        sections: helpCenter.sections.map(section => ({
+          name: section.title,
+          url: section.url,
+          category: section.category || null,
+          articles: articleCount('section', section.title)
+        })),
+        articles: helpCenter.articles.length,
+        pagesVisited: helpCenter.pagesVisited
+      }
+    ];
+    helpCenter.errors.forEach(error => result.metadata.errors.push(`${urlType} help center: ${error}`));
+    console.log(`📚 ${helpCenter.platform} help center: ${helpCenter.articles.length} articles from ${helpCenter.pagesVisited} pages`);
+  }
+
   categorizeResourceType(title, url) {
     const lowerTitle = title.toLowerCase();
     const lowerUrl = url.toLowerCase();
-    
-    if (lowerUrl.includes('youtube') || lowerUrl.includes('video')) return 'video';
-    if (lowerTitle.includes('tutorial') || lowerTitle.includes('guide')) return 'tutorial';
-    if (lowerTitle.includes('documentation') || lowerTitle.includes('docs')) return 'documentation';
-    
+
+    if (lowerUrl.includes('youtube') || lowerUrl.includes('vimeo') || lowerTitle.includes('video')) return 'video';
+    if (lowerUrl.includes('.pdf') || lowerTitle.includes('pdf') || lowerTitle.includes('download')) return 'guide';
+    if (lowerTitle.includes('tutorial') || lowerTitle.includes('guide') || lowerTitle.includes('getting started') || lowerTitle.includes('how to')) return 'tutorial';
+    if (lowerTitle.includes('api') || lowerUrl.includes('/api') || lowerTitle.includes('documentation') || lowerTitle.includes('docs')) return 'documentation';
+
     return 'other';
   }
 
   determineResourceCategory(title, url, urlType) {
     const lowerTitle = title.toLowerCase();
-    
-    if (lowerTitle.includes('tutorial') || lowerTitle.includes('getting started')) return 'tutorials';
-    if (lowerTitle.includes('video')) return 'videos';
-    if (lowerTitle.includes('training') || lowerTitle.includes('course')) return 'training';
-    if (lowerTitle.includes('faq') || lowerTitle.includes('question')) return 'faqs';
-    if (lowerTitle.includes('integration')) return 'integrations';
-    
+    const lowerUrl = url.toLowerCase();
+
+    if (urlType === 'tutorials' || lowerTitle.includes('tutorial') || lowerTitle.includes('getting started') || lowerTitle.includes('how to')) return 'tutorials';
+    if (urlType === 'videos' || lowerTitle.includes('video') || lowerUrl.includes('youtube') || lowerUrl.includes('vimeo')) return 'videos';
+    if (urlType === 'training' || lowerTitle.includes('training') || lowerTitle.includes('course') || lowerTitle.includes('webinar')) return 'training';
+    if (urlType === 'faq' || lowerTitle.includes('faq') || lowerTitle.includes('question') || lowerTitle.includes('troubleshoot')) return 'faqs';
+    if (urlType === 'integrations' || lowerTitle.includes('integration')) return 'integrations';
+
     return 'documentation';
   }
 
   async generateAIInsights(result, toolName) {
+    if (!this.openai) {
+      this.setDefaultInsights(result, toolName);
+      return;
+    }
+
     try {
-      const prompt = `Analyze ${toolName} for teachers. Provide JSON with: toolOverview (2-3 sentences), teacherBenefits (5 items), commonUseCases (5 items), setupComplexity (easy/medium/complex), bestFeatures (5 items)`;
+      const resourceSummary = Object.values(result.categorizedResources)
+        .flat()
+        .slice(0, 15)
+        .map(r => `${r.title}: ${r.type}`)
+        .join('\n');
+      const featureSummary = result.features.slice(0, 10).map(f => `${f.title}: ${f.description || ''}`).join('\n');
+
+      const prompt = `Analyze these ${toolName} resources for teachers:
+
+Resources found:
+${resourceSummary}
+${featureSummary ? `\nFeatures listed on the site:\n${featureSummary}\n` : ''}
+Provide JSON with: toolOverview (2-3 sentences), teacherBenefits (5 items), commonUseCases (5 items), setupComplexity (easy/medium/complex), bestFeatures (5 items)`;
 
       const response = await this.openai.chat.completions.create({
         model: "gpt-4o-mini",
         messages: [{ role: "user", content: prompt }],
         temperature: 0.3,
-        max_tokens: 500
+        max_tokens: 800,
+        response_format: { type: "json_object" }
       });
 
       const content = response.choices[0]?.message?.content;
-      if (content) {
-        try {
-          const insights = JSON.parse(content);
-          Object.assign(result.aiInsights, insights);
-        } catch {
-          console.warn('Failed to parse AI response');
-        }
+      if (!content) {
+        this.setDefaultInsights(result, toolName);
+        return;
       }
+
+      const insights = JSON.parse(content);
+      result.aiInsights = {
+        toolOverview: insights.toolOverview || `${toolName} helps teachers enhance their classroom instruction.`,
+        teacherBenefits: Array.isArray(insights.teacherBenefits) ? insights.teacherBenefits.slice(0, 5) : [],
+        commonUseCases: Array.isArray(insights.commonUseCases) ? insights.commonUseCases.slice(0, 5) : [],
+        setupComplexity: ['easy', 'medium', 'complex'].includes(insights.setupComplexity) ? insights.setupComplexity : 'medium',
+        bestFeatures: Array.isArray(insights.bestFeatures) ? insights.bestFeatures.slice(0, 5) : []
+      };
     } catch (error) {
       console.error('AI insights error:', error.message);
+      this.setDefaultInsights(result, toolName);
+    }
+  }
+
+  async enhanceResourcesWithAI(result, toolName) {
+    if (!this.openai) return;
+
+    // Enhance top 3 resources in each category
+    for (const resources of Object.values(result.categorizedResources)) {
+      for (const resource of resources.slice(0, 3)) {
+        resource.aiAnalysis = await this.analyzeResource(resource, toolName);
+      }
+    }
+  }
+
+  async analyzeResource(resource, toolName) {
+    try {
+      const prompt = `Analyze this ${toolName} resource for teachers:
+Title: ${resource.title}
+Type: ${resource.type}
+
+Provide JSON:
+{
+  "relevanceScore": 8,
+  "teacherValue": "One sentence about value for teachers",
+  "quickTips": ["Tip 1", "Tip 2", "Tip 3"]
+}`;
+
+      const response = await this.openai.chat.completions.create({
+        model: "gpt-4o-mini",
+        messages: [{ role: "user", content: prompt }],
+        temperature: 0.3,
+        max_tokens: 200,
+        response_format: { type: "json_object" }
+      });
+
+      const content = response.choices[0]?.message?.content;
+      if (content) {
+        return JSON.parse(content);
+      }
+    } catch (error) {
+      console.warn(`Failed to analyze resource: ${resource.title}`);
     }
+
+    return {
+      relevanceScore: 7,
+      teacherValue: `Useful ${resource.type} resource for implementing ${toolName}`,
+      quickTips: ['Review before using', 'Share with colleagues', 'Bookmark for reference']
+    };
+  }
+
+  setDefaultInsights(result, toolName) {
+    result.aiInsights = {
+      toolOverview: `${toolName} is an educational tool that can enhance teaching and learning.`,
+      teacherBenefits: ['Saves time on lesson preparation', 'Increases student engagement', 'Provides progress tracking', 'Supports diverse learning styles', 'Facilitates collaboration'],
+      commonUseCases: ['Classroom instruction', 'Homework assignments', 'Student assessment', 'Group projects', 'Remote learning'],
+      setupComplexity: 'medium',
+      // Features found on the site beat generic ones
+      bestFeatures: result.features.length
+        ? result.features.slice(0, 5).map(f => f.title)
+        : ['User-friendly interface', 'Educational content', 'Progress tracking', 'Collaboration tools', 'Reporting features']
+    };
+  }
+
+  resourceCounts(resources) {
+    const counts = Object.fromEntries(Object.entries(resources).map(([category, list]) => [category, list.length]));
+    return { ...counts, total: this.countResources(resources) };
   }
 
   countResources(resources) {
     return Object.values(resources).reduce((total, category) => total + category.length, 0);
   }
 }
-
-module.exports = { PlaywrightScanner };
\ No newline at end of file
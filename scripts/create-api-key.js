@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+
+// Generate an API key and the hashed entry to paste into API_KEYS_FILE
+// Usage: node scripts/create-api-key.js --id staging --scopes scan,deep-scan [--rpm 30] [--daily 500]
+import { randomBytes } from 'node:crypto';
+import { parseArgs } from 'node:util';
+import { SCOPES, generateApiKey, hashApiKey } from '../services/api-keys.js';
+
+const { values } = parseArgs({
+  options: {
+    id: { type: 'string' },
+    name: { type: 'string' },
+    scopes: { type: 'string', default: 'scan' },
+    rpm: { type: 'string' },
+    daily: { type: 'string' }
+  }
+});
+
+if (!values.id) {
+  console.error('Usage: node scripts/create-api-key.js --id <id> [--scopes scan,deep-scan] [--rpm 30] [--daily 500]');
+  console.error(`Scopes: ${SCOPES.join(', ')}`);
+  process.exit(1);
+}
+
+const key = generateApiKey();
+const entry = {
+  id: values.id,
+  name: values.name || values.id,
+  keyHash: hashApiKey(key),
+  scopes: values.scopes.split(',').map(scope => scope.trim()).filter(Boolean),
+  webhookSecret: randomBytes(24).toString('hex')
+};
+const unknownScopes = entry.scopes.filter(scope => !SCOPES.includes(scope));
+if (unknownScopes.length > 0) {
+  console.error(`Unknown scopes: ${unknownScopes.join(', ')} (expected: ${SCOPES.join(', ')})`);
+  process.exit(1);
+}
+if (values.rpm) entry.rateLimitPerMinute = parseInt(values.rpm);
+if (values.daily) entry.dailyQuota = parseInt(values.daily);
+
+console.log(`
+API key (shown once - give this to the client):
+  ${key}
+
+Add this entry to your API_KEYS_FILE:
+${JSON.stringify(entry, null, 2)}
+`);
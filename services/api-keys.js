@@ -0,0 +1,154 @@
+// API key store
+// Keys are kept as SHA-256 hashes with per-key scopes, per-minute rate limits and daily quotas
+import { createHash, randomBytes } from 'node:crypto';
+import { promises as fs } from 'node:fs';
+
+export const SCOPES = ['scan', 'deep-scan', 'screenshot', 'admin'];
+
+// Values shipped in docs and examples - never accepted as a real key
+const PLACEHOLDER_KEYS = [
+  'your-secret-api-key-here',
+  'your-secret-api-key-here-change-this',
+  'your-secret-key',
+  'your-secret-key-here'
+];
+
+export function hashApiKey(key) {
+  return createHash('sha256').update(key).digest('hex');
+}
+
+export function generateApiKey() {
+  return `sk_${randomBytes(24).toString('base64url')}`;
+}
+
+// Fixed-window counters per key - in memory, so limits reset on restart
+class UsageTracker {
+  constructor() {
+    this.windows = new Map();
+  }
+
+  // Count `units` against the window if it fits; returns the window state either way
+  consume(key, limit, windowMs, units = 1) {
+    const now = Date.now();
+    const windowStart = Math.floor(now / windowMs) * windowMs;
+    let window = this.windows.get(key);
+    if (!window || window.start !== windowStart) {
+      window = { start: windowStart, used: 0 };
+      this.windows.set(key, window);
+    }
+
+    const resetSeconds = Math.ceil((windowStart + windowMs - now) / 1000);
+    if (!limit) {
+      return { allowed: true, limit: null, remaining: null, resetSeconds };
+    }
+
+    const allowed = window.used + units <= limit;
+    if (allowed) window.used += units;
+    return { allowed, limit, remaining: Math.max(0, limit - window.used), resetSeconds };
+  }
+}
+
+export class ApiKeyStore {
+  constructor(entries, { defaultRateLimitPerMinute = 60, defaultDailyQuota = 1000 } = {}) {
+    this.clients = new Map();
+    this.byHash = new Map();
+    this.usage = new UsageTracker();
+
+    for (const entry of entries) {
+      const client = this.validateEntry(entry, { defaultRateLimitPerMinute, defaultDailyQuota });
+      if (this.clients.has(client.id)) {
+        throw new Error(`Duplicate API key id "${client.id}"`);
+      }
+      this.clients.set(client.id, client);
+      this.byHash.set(entry.keyHash.toLowerCase(), client);
+    }
+
+    if (this.clients.size === 0) {
+      throw new Error('No API keys configured - set SCANNER_API_KEY or API_KEYS_FILE');
+    }
+  }
+
+  // Keys come from API_KEYS_FILE (hashed entries) and/or the single SCANNER_API_KEY, which gets every scope and the
+  // default limits. Its callbacks are signed with WEBHOOK_SECRET, never with the key itself
+  static async load({ filePath, legacyKey, legacyWebhookSecret, ...defaults } = {}) {
+    const entries = [];
+
+    if (filePath) {
+      const parsed = JSON.parse(await fs.readFile(filePath, 'utf8'));
+      entries.push(...(Array.isArray(parsed) ? parsed : parsed.keys || []));
+    }
+
+    if (legacyKey) {
+      if (PLACEHOLDER_KEYS.includes(legacyKey)) {
+        throw new Error('SCANNER_API_KEY is still the placeholder value - generate a real key with `npm run keys:create`');
+      }
+      if (legacyWebhookSecret && legacyWebhookSecret === legacyKey) {
+        throw new Error('WEBHOOK_SECRET must differ from SCANNER_API_KEY - receivers would learn the API key');
+      }
+      entries.push({
+        id: 'default',
+        name: 'SCANNER_API_KEY',
+        keyHash: hashApiKey(legacyKey),
+        scopes: [...SCOPES],
+        webhookSecret: legacyWebhookSecret || null
+      });
+    }
+
+    return new ApiKeyStore(entries, defaults);
+  }
+
+  validateEntry(entry, defaults) {
+    if (!entry.id) throw new Error('API key entry is missing "id"');
+    if (!/^[a-f0-9]{64}$/i.test(entry.keyHash || '')) {
+      throw new Error(`API key "${entry.id}" needs a SHA-256 hex "keyHash"`);
+    }
+    if (PLACEHOLDER_KEYS.some(placeholder => hashApiKey(placeholder) === entry.keyHash.toLowerCase())) {
+      throw new Error(`API key "${entry.id}" is a placeholder value`);
+    }
+
+    if (entry.scopes !== undefined && !Array.isArray(entry.scopes)) {
+      throw new Error(`API key "${entry.id}" needs "scopes" to be an array`);
+    }
+    const scopes = entry.scopes || ['scan'];
+    const unknown = scopes.filter(scope => !SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      throw new Error(`API key "${entry.id}" has unknown scopes: ${unknown.join(', ')}`);
+    }
+
+    return {
+      id: entry.id,
+      name: entry.name || entry.id,
+      scopes,
+      rateLimitPerMinute: entry.rateLimitPerMinute === undefined ? defaults.defaultRateLimitPerMinute : entry.rateLimitPerMinute,
+      dailyQuota: entry.dailyQuota === undefined ? defaults.defaultDailyQuota : entry.dailyQuota,
+      webhookSecret: entry.webhookSecret || null
+    };
+  }
+
+  // Returns the client for a raw key, or null. Lookup is by hash, so timing never depends on the raw key's bytes.
+  authenticate(rawKey) {
+    if (!rawKey || typeof rawKey !== 'string') return null;
+    return this.byHash.get(hashApiKey(rawKey)) || null;
+  }
+
+  get(id) {
+    return this.clients.get(id) || null;
+  }
+
+  hasScope(client, scope) {
+    return client.scopes.includes('admin') || client.scopes.includes(scope);
+  }
+
+  checkRateLimit(client) {
+    return this.usage.consume(`rpm:${client.id}`, client.rateLimitPerMinute, 60 * 1000);
+  }
+
+  // Daily quota counts scans (one per URL), reset at midnight UTC
+  consumeQuota(client, units = 1) {
+    return this.usage.consume(`day:${client.id}`, client.dailyQuota, 24 * 60 * 60 * 1000, units);
+  }
+
+  list() {
+    return [...this.clients.values()].map(({ webhookSecret, ...client }) => ({ ...client, hasWebhookSecret: Boolean(webhookSecret) }));
+  }
+}
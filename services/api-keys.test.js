@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { ApiKeyStore, hashApiKey } from './api-keys.js';
+
+const entry = (id, key, extra = {}) => ({ id, keyHash: hashApiKey(key), ...extra });
+
+test('authenticate finds a client by its key hash', () => {
+  const store = new ApiKeyStore([entry('ci', 'sk_ci'), entry('ops', 'sk_ops', { name: 'Operations' })]);
+  assert.equal(store.authenticate('sk_ci').id, 'ci');
+  assert.equal(store.authenticate('sk_ops').name, 'Operations');
+  assert.equal(store.authenticate('sk_unknown'), null);
+  assert.equal(store.authenticate(undefined), null);
+  assert.equal(store.get('ops').id, 'ops');
+});
+
+test('keys default to the scan scope, and admin implies every scope', () => {
+  const store = new ApiKeyStore([entry('reader', 'a'), entry('deep', 'b', { scopes: ['scan', 'deep-scan'] }), entry('root', 'c', { scopes: ['admin'] })]);
+  assert.equal(store.hasScope(store.get('reader'), 'scan'), true);
+  assert.equal(store.hasScope(store.get('reader'), 'deep-scan'), false);
+  assert.equal(store.hasScope(store.get('deep'), 'deep-scan'), true);
+  assert.equal(store.hasScope(store.get('deep'), 'screenshot'), false);
+  assert.equal(store.hasScope(store.get('root'), 'screenshot'), true);
+});
+
+test('entries are validated', () => {
+  assert.throws(() => new ApiKeyStore([]), /No API keys configured/);
+  assert.throws(() => new ApiKeyStore([{ keyHash: hashApiKey('a') }]), /missing "id"/);
+  assert.throws(() => new ApiKeyStore([{ id: 'x', keyHash: 'abc' }]), /needs a SHA-256 hex "keyHash"/);
+  assert.throws(() => new ApiKeyStore([entry('x', 'your-secret-key')]), /is a placeholder value/);
+  assert.throws(() => new ApiKeyStore([entry('x', 'a', { scopes: 'scan' })]), /"scopes" to be an array/);
+  assert.throws(() => new ApiKeyStore([entry('x', 'a', { scopes: ['scan', 'delete'] })]), /unknown scopes: delete/);
+  assert.throws(() => new ApiKeyStore([entry('x', 'a'), entry('x', 'b')]), /Duplicate API key id "x"/);
+});
+
+test('daily quotas count scans and refuse a batch that does not fit', () => {
+  const store = new ApiKeyStore([entry('ci', 'a', { dailyQuota: 5 }), entry('unlimited', 'b', { dailyQuota: 0 })]);
+  const client = store.get('ci');
+
+  assert.deepEqual({ ...store.consumeQuota(client, 3), resetSeconds: 0 }, { allowed: true, limit: 5, remaining: 2, resetSeconds: 0 });
+  assert.equal(store.consumeQuota(client, 3).allowed, false);
+  assert.equal(store.consumeQuota(client, 2).remaining, 0);
+  assert.equal(store.consumeQuota(client).allowed, false);
+  assert.equal(store.consumeQuota(store.get('unlimited'), 1000).allowed, true);
+});
+
+test('rate limits fall back to the store defaults', () => {
+  const store = new ApiKeyStore([entry('ci', 'a'), entry('fast', 'b', { rateLimitPerMinute: 100 })], { defaultRateLimitPerMinute: 2 });
+  const client = store.get('ci');
+  assert.equal(store.checkRateLimit(client).remaining, 1);
+  assert.equal(store.checkRateLimit(client).allowed, true);
+  const refused = store.checkRateLimit(client);
+  assert.equal(refused.allowed, false);
+  assert.ok(refused.resetSeconds > 0 && refused.resetSeconds <= 60);
+  assert.equal(store.checkRateLimit(store.get('fast')).limit, 100);
+});
+
+test('load combines API_KEYS_FILE with SCANNER_API_KEY and never lists webhook secrets', async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'api-keys-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, 'keys.json');
+  await fs.writeFile(filePath, JSON.stringify({ keys: [entry('ci', 'sk_ci', { webhookSecret: 'ci-secret' })] }));
+
+  const store = await ApiKeyStore.load({ filePath, legacyKey: 'sk_legacy', legacyWebhookSecret: 'legacy-secret' });
+  assert.equal(store.authenticate('sk_ci').webhookSecret, 'ci-secret');
+  const legacy = store.authenticate('sk_legacy');
+  assert.equal(legacy.id, 'default');
+  assert.equal(legacy.webhookSecret, 'legacy-secret');
+  assert.deepEqual(legacy.scopes, ['scan', 'deep-scan', 'screenshot', 'admin']);
+  assert.deepEqual(store.list().map(client => [client.id, client.hasWebhookSecret, 'webhookSecret' in client]), [['ci', true, false], ['default', true, false]]);
+
+  await assert.rejects(ApiKeyStore.load({ legacyKey: 'your-secret-api-key-here' }), /still the placeholder value/);
+  await assert.rejects(ApiKeyStore.load({ legacyKey: 'same', legacyWebhookSecret: 'same' }), /must differ from SCANNER_API_KEY/);
+});
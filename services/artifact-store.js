@@ -0,0 +1,107 @@
+// Artifact store
+// Screenshots and PDFs are written to disk and served from GET /artifacts/:id until they expire,
+// so scan results carry a short reference instead of megabytes of base64.
+import { randomBytes } from 'node:crypto';
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+
+export const ARTIFACT_TYPES = {
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+  pdf: 'application/pdf'
+};
+
+// Ids are the only credential for a download URL, so they must be unguessable
+const newId = () => randomBytes(18).toString('base64url');
+
+const ID_PATTERN = /^[A-Za-z0-9_-]{24}$/;
+
+export class ArtifactStore {
+  constructor({ dir = './data/artifacts', ttlSeconds = 3600, sweepIntervalMs = 5 * 60 * 1000 } = {}) {
+    this.dir = dir;
+    this.ttlSeconds = ttlSeconds;
+    this.sweepIntervalMs = sweepIntervalMs;
+    this.artifacts = new Map();
+    this.sweepTimer = null;
+  }
+
+  // Re-index artifacts left on disk by a previous run and start sweeping expired ones
+  async load() {
+    await fs.mkdir(this.dir, { recursive: true });
+
+    for (const file of await fs.readdir(this.dir)) {
+      if (!file.endsWith('.json')) continue;
+      try {
+        const artifact = JSON.parse(await fs.readFile(path.join(this.dir, file), 'utf8'));
+        this.artifacts.set(artifact.id, artifact);
+      } catch (error) {
+        console.warn(`Could not read artifact ${file}:`, error.message);
+      }
+    }
+    await this.sweep();
+
+    this.sweepTimer = setInterval(() => {
+      this.sweep().catch(error => console.warn('Artifact sweep failed:', error.message));
+    }, this.sweepIntervalMs);
+    this.sweepTimer.unref();
+  }
+
+  // type is a key of ARTIFACT_TYPES; details (sourceUrl, clientId, width...) are stored alongside
+  async save(buffer, type, details = {}) {
+    const id = newId();
+    const createdAt = new Date();
+    const artifact = {
+      id,
+      type,
+      contentType: ARTIFACT_TYPES[type],
+      bytes: buffer.length,
+      ...details,
+      createdAt: createdAt.toISOString(),
+      expiresAt: new Date(createdAt.getTime() + this.ttlSeconds * 1000).toISOString()
+    };
+
+    await fs.writeFile(this.filePath(artifact), buffer);
+    await fs.writeFile(path.join(this.dir, `${id}.json`), JSON.stringify(artifact));
+    this.artifacts.set(id, artifact);
+
+    return artifact;
+  }
+
+  // The artifact and its file path, or null when unknown or expired
+  get(id) {
+    if (!ID_PATTERN.test(id)) return null;
+    const artifact = this.artifacts.get(id);
+    if (!artifact || this.isExpired(artifact)) return null;
+    return { artifact, filePath: this.filePath(artifact) };
+  }
+
+  has(id) {
+    return this.get(id) !== null;
+  }
+
+  isExpired(artifact) {
+    return Date.parse(artifact.expiresAt) <= Date.now();
+  }
+
+  filePath(artifact) {
+    return path.join(this.dir, `${artifact.id}.${artifact.type}`);
+  }
+
+  async sweep() {
+    const expired = [...this.artifacts.values()].filter(artifact => this.isExpired(artifact));
+    for (const artifact of expired) {
+      this.artifacts.delete(artifact.id);
+      await Promise.all([
+        fs.rm(this.filePath(artifact), { force: true }),
+        fs.rm(path.join(this.dir, `${artifact.id}.json`), { force: true })
+      ]);
+    }
+    if (expired.length > 0) console.log(`🧹 Removed ${expired.length} expired artifacts`);
+  }
+
+  status() {
+    const bytes = [...this.artifacts.values()].reduce((total, artifact) => total + artifact.bytes, 0);
+    return { artifacts: this.artifacts.size, bytes, ttlSeconds: this.ttlSeconds };
+  }
+}
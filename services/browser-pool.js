@@ -0,0 +1,228 @@
+// Shared browser pool
+// Keeps Chromium warm between scans and hands out an isolated context per scan
+export const DEFAULT_BROWSER_ARGS = ['--no-sandbox', '--disable-setuid-sandbox'];
+
+// Pool sizing from the environment - defaults suit a 1GB droplet
+export function poolOptionsFromEnv() {
+  return {
+    maxBrowsers: parseInt(process.env.BROWSER_POOL_SIZE) || 1,
+    maxContextsPerBrowser: parseInt(process.env.MAX_CONTEXTS_PER_BROWSER) || 3,
+    recycleAfterPages: parseInt(process.env.BROWSER_RECYCLE_AFTER_PAGES) || 50
+  };
+}
+
+export class BrowserPool {
+  // launch() starts a browser, newContext(browser, options) opens an isolated context on it
+  constructor({ name = 'browser', launch, newContext, maxBrowsers = 1, maxContextsPerBrowser = 3, recycleAfterPages = 50, warmBrowsers = 1 }) {
+    this.name = name;
+    this.launch = launch;
+    this.newContext = newContext;
+    this.maxBrowsers = Math.max(1, maxBrowsers);
+    this.maxContextsPerBrowser = Math.max(1, maxContextsPerBrowser);
+    this.recycleAfterPages = recycleAfterPages;
+    this.warmBrowsers = Math.min(warmBrowsers, this.maxBrowsers);
+    this.entries = [];
+    this.launching = 0;
+    this.waiters = [];
+    this.closed = false;
+    this.stats = { launched: 0, recycled: 0, disconnected: 0 };
+  }
+
+  // Launch the warm browsers up front so the first scan does not pay for startup
+  async warmUp() {
+    while (!this.closed && this.entries.length + this.launching < this.warmBrowsers) {
+      await this.launchEntry();
+    }
+  }
+
+  // Run fn(context) in a fresh context, closing it afterwards. Aborting the signal closes the context only.
+  async withContext(fn, contextOptions = {}, signal) {
+    signal?.throwIfAborted();
+    const entry = await this.acquire();
+    let context = null;
+    const closeContext = () => context?.close().catch(() => {});
+
+    try {
+      context = await this.newContext(entry.browser, contextOptions);
+      signal?.addEventListener('abort', closeContext, { once: true });
+      signal?.throwIfAborted();
+      return await fn(context);
+    } finally {
+      signal?.removeEventListener('abort', closeContext);
+      await closeContext();
+      this.release(entry);
+    }
+  }
+
+  async acquire() {
+    if (this.closed) throw new Error(`${this.name} pool is closed`);
+
+    const entry = this.findAvailable();
+    if (entry) {
+      entry.activeContexts++;
+      return entry;
+    }
+
+    if (this.entries.length + this.launching < this.maxBrowsers) {
+      const launched = await this.launchEntry();
+      launched.activeContexts++;
+      // Callers that queued while it was starting can share it
+      this.serveWaiters();
+      return launched;
+    }
+
+    return new Promise((resolve, reject) => this.waiters.push({ resolve, reject }));
+  }
+
+  findAvailable() {
+    return this.entries
+      .filter(entry => !entry.retiring && entry.activeContexts < this.maxContextsPerBrowser)
+      .sort((a, b) => a.activeContexts - b.activeContexts)[0];
+  }
+
+  async launchEntry() {
+    this.launching++;
+    try {
+      const browser = await this.launch();
+      const entry = { browser, activeContexts: 0, pagesServed: 0, retiring: false, launchedAt: Date.now() };
+      browser.on('disconnected', () => this.handleDisconnect(entry));
+      this.entries.push(entry);
+      this.stats.launched++;
+      console.log(`🌐 Launched ${this.name} browser (${this.entries.length}/${this.maxBrowsers})`);
+      return entry;
+    } catch (error) {
+      // Give queued callers their own launch attempt instead of leaving them waiting
+      queueMicrotask(() => this.serveWaiters());
+      throw error;
+    } finally {
+      this.launching--;
+    }
+  }
+
+  release(entry) {
+    entry.activeContexts--;
+    entry.pagesServed++;
+
+    if (!entry.retiring && this.recycleAfterPages && entry.pagesServed >= this.recycleAfterPages) {
+      entry.retiring = true;
+      this.stats.recycled++;
+      console.log(`♻️  Recycling ${this.name} browser after ${entry.pagesServed} pages`);
+    }
+
+    if (entry.retiring && entry.activeContexts === 0) {
+      this.removeEntry(entry);
+      entry.browser.close().catch(() => {});
+      this.replenish();
+    }
+
+    this.serveWaiters();
+  }
+
+  handleDisconnect(entry) {
+    if (!this.entries.includes(entry)) return;
+
+    this.removeEntry(entry);
+    if (this.closed) return;
+
+    if (!entry.retiring) {
+      this.stats.disconnected++;
+      console.warn(`⚠️  ${this.name} browser disconnected, relaunching`);
+    }
+
+    this.replenish();
+    this.serveWaiters();
+  }
+
+  // Relaunch browsers in the background to keep the warm count after a recycle or crash
+  replenish() {
+    if (this.closed) return;
+    this.warmUp().catch(error => console.error(`Failed to relaunch ${this.name} browser:`, error.message));
+  }
+
+  removeEntry(entry) {
+    this.entries = this.entries.filter(e => e !== entry);
+  }
+
+  // Hand freed capacity to queued callers, launching a replacement browser if there is room
+  serveWaiters() {
+    while (this.waiters.length > 0) {
+      const entry = this.findAvailable();
+      if (entry) {
+        entry.activeContexts++;
+        this.waiters.shift().resolve(entry);
+        continue;
+      }
+
+      if (this.entries.length + this.launching < this.maxBrowsers) {
+        const waiter = this.waiters.shift();
+        this.launchEntry()
+          .then(launched => {
+            launched.activeContexts++;
+            waiter.resolve(launched);
+            this.serveWaiters();
+          })
+          .catch(waiter.reject);
+        continue;
+      }
+
+      break;
+    }
+  }
+
+  status() {
+    return {
+      browsers: this.entries.length,
+      maxBrowsers: this.maxBrowsers,
+      activeContexts: this.entries.reduce((total, entry) => total + entry.activeContexts, 0),
+      maxContextsPerBrowser: this.maxContextsPerBrowser,
+      waiting: this.waiters.length,
+      ...this.stats
+    };
+  }
+
+  async close() {
+    this.closed = true;
+    for (const waiter of this.waiters.splice(0)) {
+      waiter.reject(new Error(`${this.name} pool is closed`));
+    }
+    const entries = this.entries.splice(0);
+    await Promise.all(entries.map(entry => entry.browser.close().catch(() => {})));
+  }
+}
+
+// Playwright pool - contexts take userAgent/viewport options directly
+export function createPlaywrightPool(launchOptions = {}, poolOptions = poolOptionsFromEnv()) {
+  return new BrowserPool({
+    name: 'playwright',
+    ...poolOptions,
+    launch: async () => {
+      const { chromium } = await import('playwright');
+      return chromium.launch({
+        headless: true,
+        args: DEFAULT_BROWSER_ARGS,
+        // Try to use system Chrome if Playwright browsers not installed
+        executablePath: process.env.CHROME_BIN || undefined,
+        ...launchOptions
+      });
+    },
+    // Service workers would fetch outside context.route, where the URL guard cannot see them
+    newContext: (browser, options) => browser.newContext({ serviceWorkers: 'block', ...options })
+  });
+}
+
+// Puppeteer pool - incognito contexts, so user agent and viewport are set per page
+export function createPuppeteerPool(launchOptions = {}, poolOptions = poolOptionsFromEnv()) {
+  return new BrowserPool({
+    name: 'puppeteer',
+    ...poolOptions,
+    launch: async () => {
+      const { default: puppeteer } = await import('puppeteer');
+      return puppeteer.launch({
+        headless: 'new',
+        args: DEFAULT_BROWSER_ARGS,
+        ...launchOptions
+      });
+    },
+    newContext: browser => browser.createIncognitoBrowserContext()
+  });
+}
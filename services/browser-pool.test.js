@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { BrowserPool } from './browser-pool.js';
+
+class FakeBrowser extends EventEmitter {
+  constructor(id) {
+    super();
+    this.id = id;
+    this.closed = false;
+    this.contexts = [];
+  }
+
+  async close() {
+    this.closed = true;
+  }
+}
+
+function fakePool(t, options = {}) {
+  for (const method of ['log', 'warn']) t.mock.method(console, method, () => {});
+  const browsers = [];
+  const pool = new BrowserPool({
+    name: 'fake',
+    launch: async () => {
+      const browser = new FakeBrowser(browsers.length + 1);
+      browsers.push(browser);
+      return browser;
+    },
+    newContext: async (browser) => {
+      const context = { browser, closed: false, close: async () => { context.closed = true; } };
+      browser.contexts.push(context);
+      return context;
+    },
+    ...options
+  });
+  t.after(() => pool.close());
+  return { pool, browsers };
+}
+
+// Holds a context open until the returned release() is called
+function hold(pool, signal) {
+  let release;
+  const released = new Promise(resolve => { release = resolve; });
+  let context;
+  const opened = new Promise(resolve => {
+    context = pool.withContext(ctx => { resolve(ctx); return released; }, {}, signal);
+  });
+  return { opened, release, done: context };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test('callers queue once every browser has its maximum contexts open', async (t) => {
+  const { pool, browsers } = fakePool(t, { maxBrowsers: 1, maxContextsPerBrowser: 2 });
+  const first = hold(pool);
+  const second = hold(pool);
+  const third = hold(pool);
+  const firstContext = await first.opened;
+  await second.opened;
+  await tick();
+  assert.deepEqual({ ...pool.status(), launched: undefined }, {
+    browsers: 1, maxBrowsers: 1, activeContexts: 2, maxContextsPerBrowser: 2, waiting: 1, launched: undefined, recycled: 0, disconnected: 0
+  });
+
+  first.release();
+  await first.done;
+  assert.equal(firstContext.closed, true);
+  await third.opened;
+  assert.equal(browsers.length, 1);
+  second.release();
+  third.release();
+  await Promise.all([second.done, third.done]);
+  assert.equal(pool.status().activeContexts, 0);
+});
+
+test('a browser is recycled after serving recycleAfterPages pages', async (t) => {
+  const { pool, browsers } = fakePool(t, { recycleAfterPages: 2 });
+  await pool.warmUp();
+  await pool.withContext(async () => {});
+  await pool.withContext(async () => {});
+  await tick();
+
+  assert.equal(browsers[0].closed, true);
+  assert.equal(browsers.length, 2);
+  assert.equal(pool.status().recycled, 1);
+  assert.equal(await pool.withContext(async context => context.browser.id), 2);
+});
+
+test('a disconnected browser is replaced', async (t) => {
+  const { pool, browsers } = fakePool(t);
+  await pool.warmUp();
+  browsers[0].emit('disconnected');
+  await tick();
+
+  assert.equal(browsers.length, 2);
+  assert.equal(pool.status().disconnected, 1);
+  assert.equal(await pool.withContext(async context => context.browser.id), 2);
+});
+
+test('aborting closes the context, and closing the pool rejects queued callers', async (t) => {
+  const { pool, browsers } = fakePool(t, { maxContextsPerBrowser: 1 });
+  const controller = new AbortController();
+  const running = hold(pool, controller.signal);
+  const context = await running.opened;
+  const queued = pool.withContext(async () => {});
+  await tick();
+
+  controller.abort();
+  assert.equal(context.closed, true);
+  await assert.rejects(pool.withContext(async () => {}, {}, controller.signal), { name: 'AbortError' });
+
+  running.release();
+  await running.done;
+  await queued;
+  const waiting = hold(pool);
+  await waiting.opened;
+  const late = pool.withContext(async () => {});
+  await pool.close();
+  await assert.rejects(late, /fake pool is closed/);
+  assert.equal(browsers[0].closed, true);
+});
@@ -0,0 +1,15 @@
+// Run worker(item, index) over items with at most `limit` in flight at once
+// Resolves once every item has been processed; worker errors are the worker's to handle
+export async function runWithConcurrency(items, limit, worker, signal) {
+  let next = 0;
+
+  const lane = async () => {
+    while (next < items.length && !signal?.aborted) {
+      const index = next++;
+      await worker(items[index], index);
+    }
+  };
+
+  const lanes = Array.from({ length: Math.min(Math.max(1, limit), items.length) }, lane);
+  await Promise.all(lanes);
+}
@@ -0,0 +1,144 @@
+// Same-site crawler
+// Follows links breadth-first from a seed URL, staying on the seed's host and within a depth, page count, URL globs
+// and time budget. CrawlFrontier decides what gets crawled next; PlaywrightScanner.performCrawl() extracts each page.
+
+export const CRAWL_DEFAULTS = {
+  maxDepth: 2,
+  maxPages: 25,
+  include: [],
+  exclude: [],
+  timeBudgetMs: 120000
+};
+
+const MAX_DEPTH = 5;
+const MAX_PAGES = 200;
+const MAX_TIME_BUDGET_MS = 10 * 60 * 1000;
+const MAX_GLOBS = 20;
+
+// Links to files rather than pages
+const NOT_A_PAGE = /\.(pdf|zip|gz|tgz|rar|dmg|exe|msi|pkg|apk|jpe?g|png|gif|webp|svg|ico|mp4|webm|mov|mp3|wav|css|js|json|xml|rss|txt|csv|xlsx?|docx?|pptx?)$/i;
+
+const isInteger = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+// maxDepth, maxPages, include, exclude and timeBudgetMs from a crawl request - returns an error message or null
+export function crawlOptionsError({ maxDepth, maxPages, include, exclude, timeBudgetMs } = {}) {
+  if (maxDepth !== undefined && !isInteger(maxDepth, 0, MAX_DEPTH)) {
+    return `maxDepth must be an integer from 0 to ${MAX_DEPTH}`;
+  }
+  if (maxPages !== undefined && !isInteger(maxPages, 1, MAX_PAGES)) {
+    return `maxPages must be an integer from 1 to ${MAX_PAGES}`;
+  }
+  if (timeBudgetMs !== undefined && !isInteger(timeBudgetMs, 1000, MAX_TIME_BUDGET_MS)) {
+    return `timeBudgetMs must be an integer from 1000 to ${MAX_TIME_BUDGET_MS}`;
+  }
+  for (const [field, globs] of [['include', include], ['exclude', exclude]]) {
+    if (globs === undefined) continue;
+    if (!Array.isArray(globs) || globs.length > MAX_GLOBS || !globs.every(glob => typeof glob === 'string' && glob.trim())) {
+      return `${field} must be an array of up to ${MAX_GLOBS} URL globs such as "/docs/**"`;
+    }
+  }
+  return null;
+}
+
+export function crawlSettings(options = {}) {
+  const settings = { ...CRAWL_DEFAULTS };
+  for (const key of Object.keys(CRAWL_DEFAULTS)) {
+    if (options[key] !== undefined) settings[key] = options[key];
+  }
+  return settings;
+}
+
+// "**" matches anything, "*" anything but "/", "?" one character but "/". Globs containing "://" match the whole URL,
+// the rest match the path and query string: "/docs/**", "/blog/*", "https://example.com/help/**"
+// Every glob position a URL prefix can reach is tracked at once, so matching takes URL length times glob length - a
+// regex built from a many-wildcard glob backtracks, and the URLs come from the site being crawled
+export function compileGlob(glob) {
+  const tokens = glob.trim().toLowerCase().match(/\*\*|[^]/g) || [];
+  // Positions reachable without reading a character - a wildcard may match nothing
+  const close = (states) => {
+    for (let i = 0; i < tokens.length; i++) {
+      if (states[i] && (tokens[i] === '**' || tokens[i] === '*')) states[i + 1] = true;
+    }
+    return states;
+  };
+  return {
+    test(text) {
+      let states = close([true]);
+      for (const char of text.toLowerCase()) {
+        const next = [];
+        tokens.forEach((token, i) => {
+          if (!states[i]) return;
+          if (token === '**' || (token === '*' && char !== '/')) next[i] = true;
+          else if ((token === '?' && char !== '/') || token === char) next[i + 1] = true;
+        });
+        states = close(next);
+        if (!states.length) return false;
+      }
+      return Boolean(states[tokens.length]);
+    }
+  };
+}
+
+const hostOf = (url) => url.hostname.replace(/^www\./, '');
+
+// Queue of URLs still to crawl, with the depth they were found at. Every URL is queued at most once
+export class CrawlFrontier {
+  constructor(seedUrl, { maxDepth = CRAWL_DEFAULTS.maxDepth, include = [], exclude = [] } = {}) {
+    this.seed = new URL(seedUrl);
+    this.maxDepth = maxDepth;
+    this.include = include.map(glob => ({ full: glob.includes('://'), pattern: compileGlob(glob) }));
+    this.exclude = exclude.map(glob => ({ full: glob.includes('://'), pattern: compileGlob(glob) }));
+    this.queue = [{ url: this.seed.href.split('#')[0], depth: 0 }];
+    this.seen = new Set([this.key(this.seed)]);
+    // robots is counted by the crawler, which checks robots.txt as each page is about to be visited
+    this.skipped = { offSite: 0, excluded: 0, tooDeep: 0, notAPage: 0, robots: 0 };
+  }
+
+  // /docs and /docs/ are the same page
+  key(url) {
+    return `${hostOf(url)}${url.pathname.replace(/(.)\/$/, '$1')}${url.search}`;
+  }
+
+  matches(rules, url) {
+    const full = url.href.split('#')[0];
+    const path = `${url.pathname}${url.search}`;
+    return rules.some(rule => rule.pattern.test(rule.full ? full : path));
+  }
+
+  // Queues a link found on a page at depth - 1. Returns false when it is skipped or already queued
+  add(href, depth) {
+    let url;
+    try {
+      url = new URL(href);
+    } catch {
+      return false;
+    }
+    if (!/^https?:$/.test(url.protocol)) return false;
+
+    const key = this.key(url);
+    if (this.seen.has(key)) return false;
+
+    let reason = null;
+    if (hostOf(url) !== hostOf(this.seed)) reason = 'offSite';
+    else if (NOT_A_PAGE.test(url.pathname)) reason = 'notAPage';
+    else if (depth > this.maxDepth) reason = 'tooDeep';
+    else if ((this.include.length && !this.matches(this.include, url)) || this.matches(this.exclude, url)) reason = 'excluded';
+
+    this.seen.add(key);
+    if (reason) {
+      this.skipped[reason]++;
+      return false;
+    }
+    this.queue.push({ url: url.href.split('#')[0], depth });
+    return true;
+  }
+
+  // Everything queued so far - one breadth-first level at a time
+  takeAll() {
+    return this.queue.splice(0);
+  }
+
+  get size() {
+    return this.queue.length;
+  }
+}
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CrawlFrontier, compileGlob, crawlOptionsError } from './crawler.js';
+
+test('compileGlob matches "*" within a segment, "**" across segments and "?" one character', () => {
+  const cases = [
+    ['/docs/**', '/docs/guide/install', true],
+    ['/docs/**', '/docs', false],
+    ['/blog/*', '/blog/first-post', true],
+    ['/blog/*', '/blog/2024/first-post', false],
+    ['/v?/api', '/v2/api', true],
+    ['/v?/api', '/v/api', false],
+    ['/*/*a*b', '/x/cab', true],
+    ['/search?q=*', '/search?q=shoes', true],
+    ['/Docs/*.html', '/docs/INDEX.HTML', true],
+    ['/a.b', '/axb', false],
+    ['https://example.com/help/**', 'https://example.com/help/a/b', true],
+    ['https://example.com/help/**', 'https://example.com/helpdesk', false]
+  ];
+  for (const [glob, text, expected] of cases) {
+    assert.equal(compileGlob(glob).test(text), expected, `${glob} on ${text}`);
+  }
+});
+
+test('compileGlob takes linear time on globs with many wildcards', () => {
+  const glob = compileGlob(`/${'*a'.repeat(30)}b`);
+  const started = Date.now();
+  assert.equal(glob.test(`/${'a'.repeat(5000)}`), false);
+  assert.ok(Date.now() - started < 1000, `took ${Date.now() - started} ms`);
+});
+
+test('crawlOptionsError checks limits and globs', () => {
+  assert.equal(crawlOptionsError({ maxDepth: 5, maxPages: 200, include: ['/docs/**'], timeBudgetMs: 1000 }), null);
+  assert.equal(crawlOptionsError({ maxDepth: 6 }), 'maxDepth must be an integer from 0 to 5');
+  assert.equal(crawlOptionsError({ maxPages: 0 }), 'maxPages must be an integer from 1 to 200');
+  assert.equal(crawlOptionsError({ timeBudgetMs: 999 }), 'timeBudgetMs must be an integer from 1000 to 600000');
+  assert.match(crawlOptionsError({ exclude: [' '] }), /^exclude must be an array of up to 20 URL globs/);
+  assert.match(crawlOptionsError({ include: Array(21).fill('/a') }), /^include must be an array/);
+});
+
+test('CrawlFrontier queues each page once and counts what it skips', () => {
+  const frontier = new CrawlFrontier('https://www.example.com/', { maxDepth: 1, include: ['/docs/**'], exclude: ['/docs/old/*'] });
+  assert.equal(frontier.add('https://example.com/docs/start', 1), true);
+  assert.equal(frontier.add('https://example.com/docs/start/#intro', 1), false);
+  assert.equal(frontier.add('https://other.com/docs/start', 1), false);
+  assert.equal(frontier.add('https://example.com/docs/guide.pdf', 1), false);
+  assert.equal(frontier.add('https://example.com/docs/deep', 2), false);
+  assert.equal(frontier.add('https://example.com/pricing', 1), false);
+  assert.equal(frontier.add('https://example.com/docs/old/page', 1), false);
+  assert.equal(frontier.add('mailto:hello@example.com', 1), false);
+  assert.deepEqual(frontier.skipped, { offSite: 1, excluded: 2, tooDeep: 1, notAPage: 1, robots: 0 });
+  assert.deepEqual(frontier.takeAll().map(entry => entry.url), ['https://www.example.com/', 'https://example.com/docs/start']);
+});
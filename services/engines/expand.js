@@ -0,0 +1,169 @@
+// Page expansion before extraction
+// Scrolls lazy-loading pages until their height settles, clicks "load more" buttons and opens accordions and <details>,
+// all within a time budget. Driven from Node one step at a time so a click that navigates away only ends the expansion.
+
+export const EXPAND_DEFAULTS = {
+  scroll: true,
+  loadMore: true,
+  accordions: true,
+  maxClicks: 10,
+  timeBudgetMs: 15000
+};
+
+const MAX_TIME_BUDGET_MS = 60000;
+const MAX_CLICKS = 50;
+// Pause after each scroll or click for lazy content to arrive
+const SETTLE_MS = 800;
+// Rounds without growth before the page counts as fully loaded
+const STABLE_ROUNDS = 2;
+
+// options.expand is true or an object overriding EXPAND_DEFAULTS - returns an error message or null
+export function expandOptionsError(expand, field = 'options.expand') {
+  if (expand === undefined || typeof expand === 'boolean') return null;
+  if (!expand || typeof expand !== 'object' || Array.isArray(expand)) return `${field} must be true or an object`;
+
+  for (const key of ['scroll', 'loadMore', 'accordions']) {
+    if (expand[key] !== undefined && typeof expand[key] !== 'boolean') return `${field}.${key} must be a boolean`;
+  }
+  if (expand.maxClicks !== undefined && !(Number.isInteger(expand.maxClicks) && expand.maxClicks >= 0 && expand.maxClicks <= MAX_CLICKS)) {
+    return `${field}.maxClicks must be an integer from 0 to ${MAX_CLICKS}`;
+  }
+  if (expand.timeBudgetMs !== undefined &&
+    !(Number.isInteger(expand.timeBudgetMs) && expand.timeBudgetMs > 0 && expand.timeBudgetMs <= MAX_TIME_BUDGET_MS)) {
+    return `${field}.timeBudgetMs must be a positive integer up to ${MAX_TIME_BUDGET_MS}`;
+  }
+  return null;
+}
+
+export function expandSettings(expand) {
+  return expand === true ? { ...EXPAND_DEFAULTS } : { ...EXPAND_DEFAULTS, ...expand };
+}
+
+// In-page: how much content the page holds right now
+function measurePage() {
+  const body = document.body;
+  const text = body ? (typeof body.innerText === 'string' ? body.innerText : body.textContent || '') : '';
+  return {
+    height: document.documentElement.scrollHeight,
+    textLength: text.replace(/\s+/g, ' ').trim().length,
+    elements: body ? body.getElementsByTagName('*').length : 0
+  };
+}
+
+// In-page: jump to the bottom so infinite-scroll sentinels fire
+function scrollToBottom() {
+  window.scrollTo(0, document.documentElement.scrollHeight);
+  return document.documentElement.scrollHeight;
+}
+
+// In-page: click the first visible "load more" control - returns its label, or null when there is none.
+// Real links are skipped, since following one would leave the page.
+function clickLoadMore() {
+  const LABEL = /^\s*(load|show|view|see|display)\s+(more|all|older)\b|^\s*more\s+(results|articles|videos|posts)\b|^\s*older\s+(posts|articles)\b/i;
+  const navigates = (el) => {
+    const href = el.tagName === 'A' ? el.getAttribute('href') : null;
+    return Boolean(href) && !href.startsWith('#') && !/^javascript:/i.test(href);
+  };
+  const visible = (el) => {
+    const style = window.getComputedStyle(el);
+    const rect = el.getBoundingClientRect();
+    return style.display !== 'none' && style.visibility !== 'hidden' && !el.disabled &&
+      el.getAttribute('aria-disabled') !== 'true' && (rect.width > 0 || rect.height > 0);
+  };
+
+  const control = Array.from(document.querySelectorAll('button, a, [role="button"], input[type="button"], input[type="submit"]'))
+    .find(el => LABEL.test(el.value || el.getAttribute('aria-label') || el.textContent || '') && visible(el) && !navigates(el));
+  if (!control) return null;
+
+  control.scrollIntoView({ block: 'center' });
+  control.click();
+  return (control.value || control.getAttribute('aria-label') || control.textContent || '').replace(/\s+/g, ' ').trim().slice(0, 80);
+}
+
+// In-page: open every closed <details> and click collapsed accordion toggles outside the site navigation
+function expandCollapsed(maxToggles) {
+  const details = Array.from(document.querySelectorAll('details:not([open])'));
+  details.forEach(el => { el.open = true; });
+
+  const toggles = Array.from(document.querySelectorAll('[aria-expanded="false"]'))
+    .filter(el => !el.closest('nav, header, [role="navigation"], [role="menubar"], [role="menu"]'))
+    .filter(el => !(el.tagName === 'A' && el.getAttribute('href') && !el.getAttribute('href').startsWith('#')))
+    .filter(el => !/menu|dropdown|navbar|hamburger|search|language|locale/i.test(`${el.className} ${el.id} ${el.getAttribute('aria-label') || ''}`))
+    .slice(0, maxToggles);
+  toggles.forEach(el => el.click());
+
+  return { details: details.length, accordions: toggles.length };
+}
+
+// Runs the expansion on an open session and reports how much the content grew
+export async function expandPage(session, settings) {
+  const { scroll, loadMore, accordions, maxClicks, timeBudgetMs } = settings;
+  const startedAt = Date.now();
+  const deadline = startedAt + timeBudgetMs;
+  const report = {
+    scrolls: 0,
+    clicks: [],
+    expanded: { details: 0, accordions: 0 },
+    before: await session.evaluate(measurePage),
+    after: null,
+    growth: null,
+    timedOut: false,
+    stoppedBy: null,
+    durationMs: 0
+  };
+
+  const settle = () => session.wait(Math.max(0, Math.min(SETTLE_MS, deadline - Date.now())));
+
+  try {
+    let lastHeight = report.before.height;
+    let stableRounds = 0;
+
+    while ((scroll || loadMore) && stableRounds < STABLE_ROUNDS) {
+      if (Date.now() >= deadline) {
+        report.timedOut = true;
+        break;
+      }
+
+      let clicked = false;
+      if (scroll) {
+        await session.evaluate(scrollToBottom);
+        report.scrolls++;
+        await settle();
+      }
+      if (loadMore && report.clicks.length < maxClicks && Date.now() < deadline) {
+        const label = await session.evaluate(clickLoadMore);
+        if (label) {
+          report.clicks.push(label);
+          clicked = true;
+          await settle();
+        }
+      }
+
+      const { height } = await session.evaluate(measurePage);
+      stableRounds = height > lastHeight || clicked ? 0 : stableRounds + 1;
+      lastHeight = Math.max(lastHeight, height);
+    }
+
+    // Accordions open last so content loaded above gets opened too
+    if (accordions && Date.now() < deadline) {
+      report.expanded = await session.evaluate(expandCollapsed, 50);
+      if (report.expanded.accordions > 0) await settle();
+    } else if (accordions) {
+      report.timedOut = true;
+    }
+  } catch (error) {
+    // Usually a click that navigated away - keep what was loaded so far
+    report.stoppedBy = error.message;
+  }
+
+  report.after = await session.evaluate(measurePage).catch(() => report.before);
+  report.growth = {
+    height: report.after.height - report.before.height,
+    textLength: report.after.textLength - report.before.textLength,
+    elements: report.after.elements - report.before.elements,
+    // After / before text length: 2.5 means the page held 2.5 times as much text once expanded
+    ratio: report.before.textLength ? Math.round((report.after.textLength / report.before.textLength) * 100) / 100 : null
+  };
+  report.durationMs = Date.now() - startedAt;
+  return report;
+}
@@ -0,0 +1,96 @@
+// Fetch engine - no browser: the HTML is downloaded and parsed with jsdom, and page scripts never run
+import vm from 'node:vm';
+import { JSDOM, VirtualConsole } from 'jsdom';
+import { acceptLanguage } from '../locales.js';
+
+const DEFAULT_USER_AGENT = 'Mozilla/5.0 (compatible; ScannerBot/1.0)';
+const MAX_HTML_BYTES = 10 * 1024 * 1024;
+// evaluate() runs on the service's own thread, so a slow script (a recipe regex that backtracks) would stall every
+// other request - it is stopped after this long
+const EVALUATE_TIMEOUT_MS = 10000;
+
+class FetchSession {
+  constructor(urlGuard, userAgent, locale, signal) {
+    this.urlGuard = urlGuard;
+    this.userAgent = userAgent || DEFAULT_USER_AGENT;
+    this.locale = locale;
+    this.signal = signal;
+    this.blockedRequests = [];
+    this.dom = null;
+  }
+
+  // waitUntil has no meaning without a browser - the document is complete once downloaded
+  async navigate(url, { timeout = 30000 } = {}) {
+    const response = await this.urlGuard.fetch(url, {
+      headers: {
+        'User-Agent': this.userAgent,
+        'Accept': 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.8',
+        ...(this.locale && { 'Accept-Language': acceptLanguage(this.locale) })
+      },
+      timeout,
+      size: MAX_HTML_BYTES,
+      signal: this.signal
+    });
+    const html = await response.text();
+
+    this.close();
+    // outside-only lets evaluate() run code against the document without executing the page's own scripts
+    this.dom = new JSDOM(html, { url: response.url, runScripts: 'outside-only', virtualConsole: new VirtualConsole() });
+    return { finalUrl: response.url, statusCode: response.status };
+  }
+
+  async waitForSelector(selector) {
+    return Boolean(this.dom?.window.document.querySelector(selector));
+  }
+
+  async wait() {}
+
+  // Same contract as the browser engines: fn runs with the document as its global scope, results come back as JSON
+  async evaluate(fn, ...args) {
+    if (!this.dom) throw new Error('evaluate() called before navigate()');
+    let result;
+    try {
+      result = await vm.runInContext(`(${fn})(...${JSON.stringify(args)})`, this.dom.getInternalVMContext(), { timeout: EVALUATE_TIMEOUT_MS });
+    } catch (error) {
+      if (error?.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw new Error(`${fn.name || 'Page script'} took longer than ${EVALUATE_TIMEOUT_MS} ms`);
+      throw error;
+    }
+    return result === undefined ? undefined : JSON.parse(JSON.stringify(result));
+  }
+
+  async html() {
+    if (!this.dom) throw new Error('html() called before navigate()');
+    return this.dom.serialize();
+  }
+
+  async screenshot() {
+    throw new Error('The fetch engine cannot take screenshots');
+  }
+
+  async pdf() {
+    throw new Error('The fetch engine cannot render PDFs');
+  }
+
+  close() {
+    this.dom?.window.close();
+    this.dom = null;
+  }
+}
+
+export class FetchEngine {
+  constructor({ urlGuard }) {
+    this.name = 'fetch';
+    this.capabilities = { javascript: false, screenshot: false, pdf: false };
+    this.urlGuard = urlGuard;
+    this.pool = null;
+  }
+
+  async withSession(fn, { userAgent, locale } = {}, signal) {
+    const session = new FetchSession(this.urlGuard, userAgent, locale, signal);
+    try {
+      return await fn(session);
+    } finally {
+      session.close();
+    }
+  }
+}
@@ -0,0 +1,217 @@
+// Scan engines
+// Every engine opens a session with the same navigate / extract / screenshot steps, so scans return one result schema
+import { createPuppeteerPool } from '../browser-pool.js';
+import { PlaywrightEngine } from './playwright.js';
+import { PuppeteerEngine } from './puppeteer.js';
+import { FetchEngine } from './fetch.js';
+import {
+  extractPageContent,
+  collectStructuredData,
+  collectPricingCandidates,
+  collectFeatureCandidates,
+  collectVideoEmbeds,
+  collectLocaleInfo,
+  runExtractRecipe
+} from './page-extract.js';
+import { normalizeStructuredData } from '../structured-data.js';
+import { extractMainContent } from '../main-content.js';
+import { extractPricingPlans } from '../pricing.js';
+import { rankFeatures } from '../features.js';
+import { extractVideos } from '../videos.js';
+import { expandPage, expandSettings } from './expand.js';
+
+export { expandOptionsError } from './expand.js';
+
+// Engines each server mode runs, default engine first
+export const SCANNER_MODES = {
+  full: ['playwright', 'puppeteer', 'fetch'],
+  light: ['puppeteer', 'fetch'],
+  simple: ['fetch']
+};
+
+// One small Chromium process for memory-constrained hosts
+const LIGHT_BROWSER_ARGS = [
+  '--no-sandbox',
+  '--disable-setuid-sandbox',
+  '--disable-dev-shm-usage',
+  '--disable-gpu',
+  '--no-first-run',
+  '--no-zygote',
+  '--single-process',
+  '--disable-extensions'
+];
+
+export const SCREENSHOT_TYPES = ['png', 'jpeg', 'webp'];
+
+export const PDF_FORMATS = ['A4', 'A3', 'Letter', 'Legal', 'Tabloid'];
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// options.screenshot is true (viewport PNG) or { fullPage | selector | clip, type, quality };
+// options.pdf is true or { format, landscape, printBackground }. Returns an error message or null
+export function renderOptionsError({ screenshot, pdf } = {}) {
+  if (screenshot !== undefined && typeof screenshot !== 'boolean') {
+    if (!isObject(screenshot)) return 'options.screenshot must be true or an object';
+    const { fullPage, selector, clip, type = 'png', quality } = screenshot;
+    if (!SCREENSHOT_TYPES.includes(type)) {
+      return `options.screenshot.type must be one of: ${SCREENSHOT_TYPES.join(', ')}`;
+    }
+    if (quality !== undefined && type === 'png') {
+      return 'options.screenshot.quality only applies to jpeg and webp';
+    }
+    if (quality !== undefined && !(Number.isInteger(quality) && quality >= 0 && quality <= 100)) {
+      return 'options.screenshot.quality must be an integer from 0 to 100';
+    }
+    if ([fullPage, selector, clip].filter(Boolean).length > 1) {
+      return 'options.screenshot takes only one of fullPage, selector and clip';
+    }
+    if (selector !== undefined && !(typeof selector === 'string' && selector.trim())) {
+      return 'options.screenshot.selector must be a CSS selector';
+    }
+    const validClip = isObject(clip) && ['x', 'y', 'width', 'height'].every(key => Number.isFinite(clip[key]) && clip[key] >= 0) &&
+      clip.width > 0 && clip.height > 0;
+    if (clip !== undefined && !validClip) {
+      return 'options.screenshot.clip must be { x, y, width, height } in pixels, with a non-zero width and height';
+    }
+  }
+
+  if (pdf !== undefined && typeof pdf !== 'boolean') {
+    if (!isObject(pdf)) return 'options.pdf must be true or an object';
+    if (pdf.format !== undefined && !PDF_FORMATS.includes(pdf.format)) {
+      return `options.pdf.format must be one of: ${PDF_FORMATS.join(', ')}`;
+    }
+  }
+
+  return null;
+}
+
+// Returns { engineName: engine } for the mode
+export function createEngines(mode, { urlGuard }) {
+  const names = SCANNER_MODES[mode];
+  if (!names) {
+    throw new Error(`Unknown SCANNER_MODE "${mode}" (expected one of: ${Object.keys(SCANNER_MODES).join(', ')})`);
+  }
+
+  const engines = {};
+  for (const name of names) {
+    if (name === 'playwright') {
+      engines.playwright = new PlaywrightEngine({ urlGuard });
+    } else if (name === 'puppeteer') {
+      const pool = createPuppeteerPool(mode === 'light' ? { args: LIGHT_BROWSER_ARGS } : {});
+      engines.puppeteer = new PuppeteerEngine({ urlGuard, pool });
+    } else {
+      engines.fetch = new FetchEngine({ urlGuard });
+    }
+  }
+  return engines;
+}
+
+// Fields the engine cannot fill for these options - they come back null and are listed in unavailableFields
+function unavailableFields(engine, options) {
+  const fields = [];
+  if (options.screenshot && !engine.capabilities.screenshot) fields.push('screenshot');
+  if (options.pdf && !engine.capabilities.pdf) fields.push('pdf');
+  if (options.expand && !engine.capabilities.javascript) fields.push('expansion');
+  return fields;
+}
+
+// Single-page scan - the same result shape whichever engine runs it.
+// Screenshots and PDFs are saved to artifactStore and returned as download references
+export function scanWithEngine(engine, url, options = {}, { signal, artifactStore } = {}) {
+  const viewport = {
+    width: options.viewport?.width || 1920,
+    height: options.viewport?.height || 1080
+  };
+
+  return engine.withSession(async (session) => {
+    console.log(`📍 Navigating to ${url} with ${engine.name}...`);
+    const { finalUrl, statusCode } = await session.navigate(url, { waitUntil: 'networkidle', timeout: 30000 });
+
+    // Wait for content to load
+    if (options.waitForSelector && !(await session.waitForSelector(options.waitForSelector, 5000))) {
+      console.log('Selector not found, continuing...');
+    }
+
+    // Additional wait for dynamic content
+    await session.wait(2000);
+
+    // Opt-in: scroll, click "load more" and open accordions so lazy-loaded content is in the DOM before extraction
+    let expansion = null;
+    if (options.expand && engine.capabilities.javascript) {
+      console.log('📜 Expanding page...');
+      expansion = await expandPage(session, expandSettings(options.expand));
+    }
+
+    const { metadata, content } = await session.evaluate(extractPageContent);
+    // Declared language and hreflang translations
+    Object.assign(metadata, await session.evaluate(collectLocaleInfo));
+
+    // Main content without navigation and other boilerplate, in the requested format and token budget
+    const { text, ...main } = extractMainContent(await session.html(), finalUrl, {
+      format: options.format,
+      maxTokens: options.maxTokens
+    });
+    content.text = text;
+    content.main = main;
+
+    // JSON-LD, microdata, RDFa, OpenGraph and Twitter cards merged into typed entities
+    content.structuredData = normalizeStructuredData(await session.evaluate(collectStructuredData));
+
+    // YouTube, Vimeo, Wistia, Loom and <video> embeds, with VideoObject data filling in titles and durations
+    content.videos = extractVideos(await session.evaluate(collectVideoEmbeds), content.structuredData);
+    content.hasVideo = content.videos.length > 0;
+
+    // Caller-defined fields from options.extract
+    const extracted = options.extract ? await session.evaluate(runExtractRecipe, options.extract) : null;
+
+    // Pricing plans from the page's pricing cards and any schema.org offers
+    const pricing = options.extractPricing
+      ? extractPricingPlans(await session.evaluate(collectPricingCandidates), content.structuredData)
+      : null;
+
+    // Feature blocks ranked by prominence
+    const features = options.extractFeatures
+      ? rankFeatures([{ url: finalUrl, ...(await session.evaluate(collectFeatureCandidates)) }])
+      : [];
+
+    const saveArtifact = async (buffer, type) => {
+      const artifact = await artifactStore.save(buffer, type, { sourceUrl: finalUrl });
+      const { id, contentType, bytes, expiresAt } = artifact;
+      return { id, url: `/artifacts/${id}`, contentType, bytes, expiresAt };
+    };
+
+    let screenshot = null;
+    if (options.screenshot && engine.capabilities.screenshot) {
+      console.log('📸 Taking screenshot...');
+      const { fullPage = false, selector, clip, type = 'png', quality } = options.screenshot === true ? {} : options.screenshot;
+      screenshot = await saveArtifact(await session.screenshot({ fullPage, selector, clip, type, quality }), type);
+    }
+
+    let pdf = null;
+    if (options.pdf && engine.capabilities.pdf) {
+      console.log('🖨️  Rendering PDF...');
+      const { format = 'A4', landscape = false, printBackground = true } = options.pdf === true ? {} : options.pdf;
+      pdf = await saveArtifact(await session.pdf({ format, landscape, printBackground }), 'pdf');
+    }
+
+    console.log('✅ Scan complete!');
+
+    return {
+      url,
+      finalUrl,
+      statusCode,
+      engine: engine.name,
+      metadata,
+      content,
+      extracted,
+      pricing,
+      features,
+      screenshot,
+      pdf,
+      expansion,
+      blockedRequests: session.blockedRequests,
+      unavailableFields: unavailableFields(engine, options),
+      timestamp: new Date().toISOString()
+    };
+  }, { viewport }, signal);
+}
@@ -0,0 +1,516 @@
+// In-page extraction shared by every engine
+// Runs inside the page (browsers) or the parsed document (fetch), so it must not reference anything outside itself.
+// innerText is missing from jsdom, so text falls back to textContent with non-visible elements stripped.
+export function extractPageContent() {
+  const visibleText = (element) => {
+    if (!element) return '';
+    if (typeof element.innerText === 'string') return element.innerText;
+    const clone = element.cloneNode(true);
+    clone.querySelectorAll('script, style, noscript, template').forEach(node => node.remove());
+    clone.querySelectorAll('br, p, div, li, tr, h1, h2, h3, h4, h5, h6, section, article, header, footer, nav, ul, ol, table')
+      .forEach(node => node.append('\n'));
+    return (clone.textContent || '').replace(/[ \t]+/g, ' ').replace(/\s*\n\s*/g, '\n').trim();
+  };
+
+  const getMeta = (name) => {
+    const el = document.querySelector(`meta[name="${name}"], meta[property="${name}"]`);
+    return el ? el.getAttribute('content') : null;
+  };
+
+  const metadata = {
+    title: document.title,
+    description: getMeta('description'),
+    keywords: getMeta('keywords'),
+    ogTitle: getMeta('og:title'),
+    ogDescription: getMeta('og:description'),
+    ogImage: getMeta('og:image'),
+    canonical: document.querySelector('link[rel="canonical"]')?.getAttribute('href') || null,
+    favicon: document.querySelector('link[rel="icon"]')?.getAttribute('href') || null
+  };
+
+  const content = {
+    headings: Array.from(document.querySelectorAll('h1, h2')).map(h => visibleText(h).trim()).filter(Boolean).slice(0, 10),
+    links: Array.from(document.querySelectorAll('a')).map(a => ({
+      text: visibleText(a).trim(),
+      href: a.href
+    })).filter(l => l.text && l.href).slice(0, 50),
+    images: Array.from(document.querySelectorAll('img')).map(img => ({
+      src: img.src,
+      alt: img.alt
+    })).filter(i => i.src).slice(0, 20)
+  };
+
+  return { metadata, content };
+}
+
+// Raw structured data from every source on the page - services/structured-data.js normalizes it.
+// JSON-LD comes back unparsed so that syntax errors can be reported; microdata and RDFa come back as item trees.
+export function collectStructuredData() {
+  const MAX_ITEMS = 200;
+  const MAX_TEXT = 1000;
+  const text = (value) => (value || '').replace(/\s+/g, ' ').trim().slice(0, MAX_TEXT);
+
+  // Attribute that holds an element's value, as in the microdata and RDFa specs
+  const elementValue = (el, { rdfa = false } = {}) => {
+    if (rdfa && el.hasAttribute('content')) return text(el.getAttribute('content'));
+    if (rdfa && el.hasAttribute('resource')) return el.getAttribute('resource');
+    const tag = el.tagName.toLowerCase();
+    if (tag === 'meta') return text(el.getAttribute('content'));
+    if (['a', 'link', 'area'].includes(tag)) return el.href || el.getAttribute('href');
+    if (['img', 'audio', 'video', 'source', 'iframe', 'embed', 'track'].includes(tag)) return el.src || el.getAttribute('src');
+    if (tag === 'object') return el.data || el.getAttribute('data');
+    if (tag === 'time' && el.hasAttribute('datetime')) return el.getAttribute('datetime');
+    if (['data', 'meter'].includes(tag) && el.hasAttribute('value')) return el.getAttribute('value');
+    return text(el.textContent);
+  };
+
+  // Walk an item's subtree collecting properties, without descending into nested items
+  const readItem = (root, { scopeAttr, propAttr, typeAttr, idAttrs, rdfa }) => {
+    const item = {
+      type: (root.getAttribute(typeAttr) || '').split(/\s+/).filter(Boolean),
+      id: idAttrs.map(attr => root.getAttribute(attr)).find(Boolean) || null,
+      vocab: rdfa ? root.closest('[vocab]')?.getAttribute('vocab') || null : null,
+      properties: {}
+    };
+    const visit = (el) => {
+      for (const child of el.children) {
+        const names = (child.getAttribute(propAttr) || '').split(/\s+/).filter(Boolean);
+        const nested = child.hasAttribute(scopeAttr);
+        if (names.length > 0) {
+          const value = nested ? readItem(child, { scopeAttr, propAttr, typeAttr, idAttrs, rdfa }) : elementValue(child, { rdfa });
+          for (const name of names) {
+            (item.properties[name] = item.properties[name] || []).push(value);
+          }
+        }
+        if (!nested) visit(child);
+      }
+    };
+    visit(root);
+    return item;
+  };
+
+  const jsonLd = Array.from(document.querySelectorAll('script[type="application/ld+json"]'))
+    .slice(0, MAX_ITEMS)
+    .map(script => script.textContent);
+
+  const microdata = Array.from(document.querySelectorAll('[itemscope]:not([itemprop])'))
+    .slice(0, MAX_ITEMS)
+    .map(el => readItem(el, { scopeAttr: 'itemscope', propAttr: 'itemprop', typeAttr: 'itemtype', idAttrs: ['itemid'], rdfa: false }));
+
+  // RDFa Lite: typeof starts an item, property names its values
+  const rdfa = Array.from(document.querySelectorAll('[typeof]'))
+    .filter(el => !el.hasAttribute('property') || !el.parentElement?.closest('[typeof]'))
+    .slice(0, MAX_ITEMS)
+    .map(el => readItem(el, { scopeAttr: 'typeof', propAttr: 'property', typeAttr: 'typeof', idAttrs: ['resource', 'about'], rdfa: true }));
+
+  const metaPairs = (selector, attr) => Array.from(document.querySelectorAll(selector))
+    .map(el => [el.getAttribute(attr).toLowerCase(), text(el.getAttribute('content'))])
+    .filter(([, value]) => value)
+    .slice(0, MAX_ITEMS);
+
+  return {
+    jsonLd,
+    microdata,
+    rdfa,
+    openGraph: metaPairs('meta[property^="og:"], meta[property^="article:"], meta[property^="product:"], meta[property^="video:"]', 'property'),
+    twitter: [
+      ...metaPairs('meta[name^="twitter:"]', 'name'),
+      ...metaPairs('meta[property^="twitter:"]', 'property')
+    ]
+  };
+}
+
+// Pricing cards as laid out on the page - services/pricing.js turns them into plans.
+// A card is the element around a price whose siblings hold prices too, so a row of plan columns yields one card each.
+export function collectPricingCandidates() {
+  const MAX_PRICES = 60;
+  const PRICE = /([$€£¥₹]\s?\d[\d,]*(?:\.\d+)?|\d[\d,]*(?:\.\d+)?\s?(?:USD|EUR|GBP|CAD|AUD|INR)\b|^\s*free\s*$)/i;
+
+  const visibleText = (element) => {
+    if (!element) return '';
+    if (typeof element.innerText === 'string') return element.innerText;
+    const clone = element.cloneNode(true);
+    clone.querySelectorAll('script, style, noscript, template').forEach(node => node.remove());
+    clone.querySelectorAll('br, p, div, li, tr, h1, h2, h3, h4, h5, h6, section, article, header, footer, nav, ul, ol, table')
+      .forEach(node => node.append('\n'));
+    return (clone.textContent || '').replace(/[ \t]+/g, ' ').replace(/\s*\n\s*/g, '\n').trim();
+  };
+  const clean = (value) => (value || '').replace(/\s+/g, ' ').trim();
+
+  // Smallest elements whose own text reads as a price
+  const priceNodes = Array.from(document.body?.querySelectorAll('*') || [])
+    .filter(el => !['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE'].includes(el.tagName))
+    .filter(el => {
+      const text = clean(el.textContent);
+      return text.length > 0 && text.length <= 60 && PRICE.test(text) &&
+        !Array.from(el.children).some(child => PRICE.test(clean(child.textContent)));
+    })
+    .slice(0, MAX_PRICES);
+
+  const holdsPrice = (el) => priceNodes.some(node => el.contains(node));
+
+  const cards = [];
+  for (const node of priceNodes) {
+    let card = node;
+    for (let depth = 0; depth < 8 && card.parentElement && card.parentElement !== document.body; depth++) {
+      // Plan columns are siblings of one kind - a "Free" heading next to its "$0" is not a row of plans
+      const priced = Array.from(card.parentElement.children).filter(holdsPrice);
+      if (priced.length >= 2 && priced.every(el => el.tagName === card.tagName)) break;
+      card = card.parentElement;
+    }
+    if (!cards.includes(card) && !cards.some(existing => existing.contains(card) || card.contains(existing))) {
+      cards.push(card);
+    }
+  }
+
+  const pricingSection = /pric|plan|tier|subscription/i;
+  return {
+    cards: cards.map(card => {
+      const heading = card.querySelector('h1, h2, h3, h4, h5, h6, [class*="name" i], [class*="title" i]');
+      return {
+        // A "Free" heading names the free plan; a heading holding an amount is not a name
+        name: heading && !/\d/.test(heading.textContent) ? clean(heading.textContent).slice(0, 80) : null,
+        // The price's parent usually carries the period too ("$10" + "/month" in sibling spans)
+        prices: priceNodes.filter(node => card.contains(node)).map(node => {
+          const parentText = node !== card && node.parentElement !== card ? clean(node.parentElement.textContent) : '';
+          return parentText && parentText.length <= 80 ? parentText : clean(node.textContent);
+        }),
+        features: Array.from(card.querySelectorAll('li')).map(li => clean(li.textContent)).filter(text => text.length > 2 && text.length < 200).slice(0, 30),
+        text: visibleText(card).slice(0, 1500),
+        highlighted: /popular|featured|recommended|best value/i.test(`${card.className} ${clean(card.textContent).slice(0, 300)}`),
+        inPricingSection: Boolean(card.closest('[class*="pric" i], [id*="pric" i], [class*="plan" i], [class*="tier" i]')) ||
+          pricingSection.test(document.title) || pricingSection.test(location.pathname)
+      };
+    }),
+    // Sentences anywhere on the page that mention discounts for schools, teachers or students
+    educationMentions: (visibleText(document.body).match(/[^.!?\n]*\b(education(al)?|teachers?|students?|schools?|academic|classroom)\b[^.!?\n]*\b(discount|pricing|free|off|special)\b[^.!?\n]*/gi) || [])
+      .map(clean).slice(0, 5)
+  };
+}
+
+// Feature blocks as laid out on the page - services/features.js ranks and merges them.
+// Marketing pages list features as repeated sibling blocks (cards, grid cells, alternating rows), each a short heading
+// and a short description, so any parent with 3+ such children of one kind counts as a feature group.
+export function collectFeatureCandidates() {
+  const MAX_BLOCKS = 120;
+  const HEADING = 'h2, h3, h4, h5, h6, strong, b, dt, [class*="title" i], [class*="heading" i]';
+  const EXCLUDED = 'nav, header, footer, form, [role="navigation"], [class*="cookie" i], [class*="footer" i], [class*="menu" i]';
+  const FEATURE_SECTION = /feature|benefit|capabilit|why |what you can|how it works|highlights/i;
+  const LIST_SELECTOR = '.features li, .feature-list li, .benefits li, .feature-item';
+
+  const clean = (value) => (value || '').replace(/\s+/g, ' ').trim();
+  const elements = Array.from(document.body?.querySelectorAll('*') || []);
+  const order = new Map(elements.map((el, index) => [el, index]));
+  const position = (el) => Math.round((order.get(el) / Math.max(elements.length, 1)) * 1000) / 1000;
+
+  // The group's own class/id, or the heading introducing it, says whether it is a feature section
+  const inFeatureSection = (el) => {
+    for (let node = el, depth = 0; node && node !== document.body && depth < 4; node = node.parentElement, depth++) {
+      if (FEATURE_SECTION.test(`${node.className} ${node.id}`)) return true;
+      const heading = node.querySelector(':scope > h1, :scope > h2, :scope > h3') || node.previousElementSibling;
+      if (heading && /^H[1-3]$/.test(heading.tagName) && FEATURE_SECTION.test(heading.textContent)) return true;
+    }
+    return false;
+  };
+
+  // { title, description } for a heading followed by a short description, or null
+  const blockOf = (el) => {
+    const heading = el.querySelector(HEADING);
+    if (!heading) return null;
+    const title = clean(heading.textContent);
+    if (title.length < 3 || title.length > 80) return null;
+    const paragraph = Array.from(el.querySelectorAll('p')).find(p => !p.contains(heading) && !heading.contains(p));
+    const description = clean(paragraph ? paragraph.textContent : clean(el.textContent).replace(title, ''));
+    if (description.length < 10 || description.length > 400) return null;
+    return {
+      title,
+      description,
+      headingTag: heading.tagName.toLowerCase(),
+      hasIcon: Boolean(el.querySelector('img, svg, [class*="icon" i]'))
+    };
+  };
+
+  const blocks = [];
+  const used = [];
+  // Innermost groups first, so a section wrapping a card grid does not swallow the grid as one block
+  for (const parent of [...elements].reverse()) {
+    if (parent.children.length < 3 || parent.closest(EXCLUDED)) continue;
+
+    // Children of the most common tag are the candidate blocks
+    const byTag = {};
+    for (const child of parent.children) (byTag[child.tagName] ||= []).push(child);
+    const siblings = Object.values(byTag).sort((a, b) => b.length - a.length)[0];
+    if (siblings.length < 3 || siblings.some(child => used.some(el => child.contains(el)))) continue;
+
+    const found = siblings.map(child => [child, blockOf(child)]).filter(([, block]) => block);
+    // Most siblings must look like feature blocks - one card among paragraphs is not a grid
+    if (found.length < 3 || found.length < siblings.length * 0.6) continue;
+
+    const featureSection = inFeatureSection(parent);
+    for (const [child, block] of found) {
+      used.push(child);
+      blocks.push({ ...block, groupSize: found.length, inFeatureSection: featureSection, position: position(child) });
+    }
+  }
+
+  // Plain bullet lists under the classic feature class names
+  for (const item of Array.from(document.querySelectorAll(LIST_SELECTOR)).slice(0, 30)) {
+    const title = clean(item.textContent);
+    if (title.length <= 5 || title.length >= 200 || used.some(el => el.contains(item))) continue;
+    blocks.push({
+      title,
+      description: null,
+      headingTag: 'li',
+      hasIcon: Boolean(item.querySelector('img, svg, [class*="icon" i]')),
+      groupSize: item.parentElement ? item.parentElement.children.length : 1,
+      inFeatureSection: true,
+      position: position(item)
+    });
+  }
+
+  return { blocks: blocks.sort((a, b) => a.position - b.position).slice(0, MAX_BLOCKS) };
+}
+
+// Applies an options.extract recipe (validated by services/extract-recipe.js) to the page.
+// Missing elements come back as null, or [] for lists; nested fields are looked up inside their parent element.
+export function runExtractRecipe(recipe) {
+  const MAX_ITEMS = 500;
+
+  const visibleText = (element) => {
+    if (typeof element.innerText === 'string') return element.innerText;
+    const clone = element.cloneNode(true);
+    clone.querySelectorAll('script, style, noscript, template').forEach(node => node.remove());
+    clone.querySelectorAll('br, p, div, li, tr, h1, h2, h3, h4, h5, h6, section, article, header, footer, nav, ul, ol, table')
+      .forEach(node => node.append('\n'));
+    return (clone.textContent || '').replace(/[ \t]+/g, ' ').replace(/\s*\n\s*/g, '\n').trim();
+  };
+
+  // Nodes for a field within scope - the scope itself when the field has no selector or xpath
+  const find = (scope, spec) => {
+    if (spec.xpath) {
+      const snapshot = document.evaluate(spec.xpath, scope, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+      const nodes = [];
+      for (let i = 0; i < snapshot.snapshotLength && i < MAX_ITEMS; i++) nodes.push(snapshot.snapshotItem(i));
+      return nodes;
+    }
+    if (spec.selector) {
+      if (!scope.querySelectorAll) return [];
+      return spec.list ? Array.from(scope.querySelectorAll(spec.selector)).slice(0, MAX_ITEMS) : [scope.querySelector(spec.selector)].filter(Boolean);
+    }
+    return [scope];
+  };
+
+  const transform = (value, transforms) => {
+    for (const step of [].concat(transforms || [])) {
+      if (value === null || value === undefined) return null;
+      const text = String(value);
+      if (step === 'trim') value = text.trim();
+      else if (step === 'collapseWhitespace') value = text.replace(/\s+/g, ' ').trim();
+      else if (step === 'lowercase') value = text.toLowerCase();
+      else if (step === 'uppercase') value = text.toUpperCase();
+      else if (step === 'number' || step === 'integer') {
+        // First number in the text, thousands separators dropped: "$1,299.00/mo" -> 1299
+        const match = text.replace(/(\d),(?=\d{3}\b)/g, '$1').match(/-?\d+(\.\d+)?/);
+        value = match ? (step === 'integer' ? parseInt(match[0], 10) : parseFloat(match[0])) : null;
+      } else if (step === 'absoluteUrl') {
+        try {
+          value = new URL(text.trim(), document.baseURI).href;
+        } catch {
+          value = null;
+        }
+      } else if (step && step.regex) {
+        // group defaults to the first capture group, or the whole match when there is none
+        const match = text.match(new RegExp(step.regex, step.flags || ''));
+        value = match ? (match[step.group ?? (match.length > 1 ? 1 : 0)] ?? null) : null;
+      }
+    }
+    return value;
+  };
+
+  // XPath may select attribute and text nodes as well as elements
+  const read = (node, spec) => {
+    let value;
+    if (spec.attribute) value = node.nodeType === 1 ? node.getAttribute(spec.attribute) : null;
+    else value = node.nodeType === 1 ? visibleText(node) : node.nodeValue;
+    return transform(value, spec.transform);
+  };
+
+  const extractFields = (scope, fields) => Object.fromEntries(Object.entries(fields).map(([name, field]) => {
+    const spec = typeof field === 'string' ? { selector: field } : field;
+    const valueOf = (node) => (spec.fields ? (node.nodeType === 1 ? extractFields(node, spec.fields) : null) : read(node, spec));
+    const nodes = find(scope, spec);
+    return [name, spec.list ? nodes.map(valueOf) : (nodes.length ? valueOf(nodes[0]) : null)];
+  }));
+
+  return extractFields(document, recipe);
+}
+
+// Links with their dates and nearest headings, plus platform fingerprints - services/help-centers.js
+// recognises the help-center platform from these and sorts the links into categories, sections and articles.
+export function collectHelpCenterLinks() {
+  const MAX_LINKS = 2000;
+  const clean = (value) => (value || '').replace(/\s+/g, ' ').trim();
+
+  // Heading of the block a link sits in: a heading inside an ancestor, or just before it
+  const headingFor = (link) => {
+    let node = link.parentElement;
+    for (let depth = 0; node && node !== document.body && depth < 6; depth++, node = node.parentElement) {
+      const heading = Array.from(node.querySelectorAll('h1, h2, h3, h4')).find(h => !h.contains(link) && !link.contains(h));
+      if (heading) return clean(heading.textContent).slice(0, 150);
+      const previous = node.previousElementSibling;
+      if (previous && /^H[1-4]$/.test(previous.tagName)) return clean(previous.textContent).slice(0, 150);
+    }
+    return null;
+  };
+
+  const dateFor = (link) => {
+    const time = (link.closest('li, article, tr, [class*="article" i]') || link).querySelector('time');
+    return time ? time.getAttribute('datetime') || clean(time.textContent) || null : null;
+  };
+
+  const links = Array.from(document.querySelectorAll('a[href]'))
+    .filter(link => /^https?:/.test(link.href) && !link.closest('header, footer'))
+    .slice(0, MAX_LINKS)
+    .map(link => ({
+      href: link.href.split('#')[0],
+      text: clean(link.textContent || link.getAttribute('aria-label') || link.getAttribute('title')).slice(0, 300),
+      date: dateFor(link),
+      heading: headingFor(link)
+    }))
+    .filter(link => link.text);
+
+  return {
+    url: location.href,
+    title: clean((document.querySelector('h1') || {}).textContent) || document.title,
+    generator: document.querySelector('meta[name="generator"]')?.getAttribute('content') || null,
+    scripts: Array.from(document.querySelectorAll('script[src], link[href][rel="stylesheet"]'))
+      .map(el => el.getAttribute('src') || el.getAttribute('href'))
+      .slice(0, 100),
+    markers: `${document.documentElement.className} ${document.body?.className || ''} ${document.body?.id || ''}`.trim(),
+    links
+  };
+}
+
+// Video embeds - iframes (lazy data-src ones too), Wistia and lite-youtube placeholders and native <video> elements,
+// each with the heading of the page section it sits in. services/videos.js works out providers and ids.
+export function collectVideoEmbeds() {
+  const MAX_EMBEDS = 100;
+  const clean = (value) => (value || '').replace(/\s+/g, ' ').trim();
+  const absolute = (url) => {
+    try {
+      return url ? new URL(url, location.href).href : null;
+    } catch {
+      return null;
+    }
+  };
+
+  // Nearest heading that is a previous sibling of the element or of one of its ancestors. Headings inside those
+  // siblings belong to other blocks (a pricing card's plan name), except in a <header> or <hgroup>
+  const sectionFor = (el) => {
+    let node = el;
+    for (let depth = 0; node && node !== document.body && depth < 8; depth++, node = node.parentElement) {
+      for (let sibling = node.previousElementSibling; sibling; sibling = sibling.previousElementSibling) {
+        const heading = sibling.matches('h1, h2, h3, h4') ? sibling
+          : sibling.matches('header, hgroup') ? sibling.querySelector('h1, h2, h3, h4') : null;
+        if (heading) return clean(heading.textContent).slice(0, 150) || null;
+      }
+      if (node !== el && node.getAttribute('aria-label')) return clean(node.getAttribute('aria-label')).slice(0, 150);
+    }
+    return null;
+  };
+
+  const embeds = [];
+  const add = (el, details) => embeds.push({
+    title: clean(el.getAttribute('title') || el.getAttribute('aria-label') || el.getAttribute('data-title') || el.getAttribute('playlabel'))
+      .slice(0, 200) || null,
+    section: sectionFor(el),
+    ...details
+  });
+
+  document.querySelectorAll('iframe').forEach(el => {
+    const src = absolute(el.getAttribute('src') || el.getAttribute('data-src') || el.getAttribute('data-lazy-src'));
+    if (src && /^https?:/.test(src)) add(el, { kind: 'iframe', src });
+  });
+
+  // Wistia's script embeds carry the media id in a class: <div class="wistia_embed wistia_async_abc123">
+  document.querySelectorAll('[class*="wistia_async_"]').forEach(el => {
+    const id = (String(el.className).match(/wistia_async_([a-z0-9]+)/i) || [])[1];
+    if (id) add(el, { kind: 'wistia', src: `https://fast.wistia.net/embed/iframe/${id}` });
+  });
+
+  document.querySelectorAll('lite-youtube[videoid], [data-youtube-id]').forEach(el => {
+    const id = el.getAttribute('videoid') || el.getAttribute('data-youtube-id');
+    add(el, { kind: 'placeholder', src: `https://www.youtube.com/embed/${id}` });
+  });
+
+  document.querySelectorAll('video').forEach(el => {
+    const source = el.getAttribute('src') || el.querySelector('source[src]')?.getAttribute('src');
+    const src = absolute(source);
+    // The media's own duration once the browser has loaded its metadata
+    const duration = Number.isFinite(el.duration) && el.duration > 0 ? Math.round(el.duration) : null;
+    if (src && !/^blob:/.test(src)) add(el, { kind: 'video', src, poster: absolute(el.getAttribute('poster')), duration });
+  });
+
+  return embeds.slice(0, MAX_EMBEDS);
+}
+
+// The language the page declares and its hreflang translations
+export function collectLocaleInfo() {
+  const meta = (selector) => document.querySelector(selector)?.getAttribute('content')?.split(',')[0].trim() || null;
+  const absolute = (url) => {
+    try {
+      return new URL(url, location.href).href;
+    } catch {
+      return null;
+    }
+  };
+
+  const alternates = Array.from(document.querySelectorAll('link[rel~="alternate" i][hreflang]'))
+    .map(link => ({ hreflang: link.getAttribute('hreflang').trim(), href: absolute(link.getAttribute('href')) }))
+    .filter(alternate => alternate.hreflang && alternate.href && /^https?:/.test(alternate.href));
+
+  return {
+    language: document.documentElement.getAttribute('lang')?.trim() ||
+      meta('meta[http-equiv="content-language" i]') ||
+      meta('meta[property="og:locale"]') ||
+      null,
+    alternates: alternates.slice(0, 100)
+  };
+}
+
+// Every http(s) link on the page, without fragments, for the crawler to follow
+export function collectPageLinks() {
+  const MAX_LINKS = 1000;
+  const links = new Set();
+  for (const link of document.querySelectorAll('a[href]')) {
+    if (link.getAttribute('rel')?.split(/\s+/).includes('nofollow') || link.hasAttribute('download')) continue;
+    if (!/^https?:/.test(link.href)) continue;
+    links.add(link.href.split('#')[0]);
+    if (links.size >= MAX_LINKS) break;
+  }
+  return Array.from(links);
+}
+
+// Links with the part of the page they sit in - nav (header and navigation menus), footer or body - for URL discovery
+export function collectSiteLinks() {
+  const MAX_LINKS = 1500;
+  const clean = (value) => (value || '').replace(/\s+/g, ' ').trim();
+  const seen = new Set();
+  const links = [];
+
+  for (const link of document.querySelectorAll('a[href]')) {
+    if (!/^https?:/.test(link.href)) continue;
+    const region = link.closest('nav, header, [role="navigation"], [role="banner"]')
+      ? 'nav'
+      : (link.closest('footer, [role="contentinfo"]') ? 'footer' : 'body');
+    const href = link.href.split('#')[0];
+    const text = clean(link.textContent || link.getAttribute('aria-label') || link.getAttribute('title')).slice(0, 100);
+    const key = `${region} ${href} ${text}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    links.push({ href, text, region });
+    if (links.length >= MAX_LINKS) break;
+  }
+
+  return { url: location.href, links };
+}
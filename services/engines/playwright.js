@@ -0,0 +1,104 @@
+// Playwright engine - pooled Chromium contexts, every request checked by the URL guard
+import { createPlaywrightPool } from '../browser-pool.js';
+import { navigationError } from '../url-guard.js';
+
+class PlaywrightSession {
+  constructor(page, blockedRequests) {
+    this.page = page;
+    this.blockedRequests = blockedRequests;
+  }
+
+  // waitUntil is 'load', 'domcontentloaded' or 'networkidle'
+  async navigate(url, { waitUntil = 'load', timeout = 30000 } = {}) {
+    const response = await this.page.goto(url, { waitUntil, timeout }).catch(error => {
+      throw navigationError(this.blockedRequests, error);
+    });
+    return { finalUrl: this.page.url(), statusCode: response ? response.status() : null };
+  }
+
+  // Resolves false instead of throwing when the selector never shows up
+  waitForSelector(selector, timeout = 5000) {
+    return this.page.waitForSelector(selector, { timeout }).then(() => true, () => false);
+  }
+
+  wait(ms) {
+    return this.page.waitForTimeout(ms);
+  }
+
+  // fn runs in the page with args passed as JSON - it cannot close over anything
+  evaluate(fn, ...args) {
+    return this.page.evaluate(`(${fn})(...${JSON.stringify(args)})`);
+  }
+
+  // Serialized DOM as currently rendered
+  html() {
+    return this.page.content();
+  }
+
+  // One of fullPage, selector (a single element) or clip ({ x, y, width, height } in page pixels); resolves to a Buffer
+  async screenshot({ fullPage = false, selector, clip, type = 'png', quality } = {}) {
+    const element = selector ? await this.page.$(selector) : null;
+    if (selector && !element) throw new Error(`Screenshot selector "${selector}" matched no element`);
+    // Playwright only encodes PNG and JPEG
+    if (type === 'webp') return this.webpScreenshot({ fullPage, element, clip, quality });
+
+    const options = { type, ...(quality !== undefined && { quality }) };
+    return element ? element.screenshot(options) : this.page.screenshot({ ...options, fullPage, ...(clip && { clip }) });
+  }
+
+  // WebP through Chromium's DevTools protocol, which clips in page coordinates like the other modes
+  async webpScreenshot({ fullPage, element, clip, quality }) {
+    let region = clip;
+    if (element) {
+      await element.scrollIntoViewIfNeeded();
+      region = await element.evaluate(el => {
+        const rect = el.getBoundingClientRect();
+        return { x: rect.left + window.scrollX, y: rect.top + window.scrollY, width: rect.width, height: rect.height };
+      });
+    } else if (fullPage) {
+      region = await this.page.evaluate(() => ({
+        x: 0,
+        y: 0,
+        width: document.documentElement.scrollWidth,
+        height: document.documentElement.scrollHeight
+      }));
+    }
+
+    const cdp = await this.page.context().newCDPSession(this.page);
+    try {
+      const { data } = await cdp.send('Page.captureScreenshot', {
+        format: 'webp',
+        ...(quality !== undefined && { quality }),
+        ...(region && { clip: { ...region, scale: 1 }, captureBeyondViewport: true })
+      });
+      return Buffer.from(data, 'base64');
+    } finally {
+      await cdp.detach();
+    }
+  }
+
+  // Print-media rendering of the page as a PDF Buffer
+  pdf({ format = 'A4', landscape = false, printBackground = true } = {}) {
+    return this.page.pdf({ format, landscape, printBackground });
+  }
+}
+
+export class PlaywrightEngine {
+  constructor({ urlGuard, pool = createPlaywrightPool() }) {
+    this.name = 'playwright';
+    this.capabilities = { javascript: true, screenshot: true, pdf: true };
+    this.urlGuard = urlGuard;
+    this.pool = pool;
+  }
+
+  // fn(session) runs in a fresh context that is closed afterwards.
+  // locale sets navigator.language, Intl defaults and Accept-Language for the whole context
+  withSession(fn, { userAgent, viewport, locale } = {}, signal) {
+    return this.pool.withContext(async (context) => {
+      const blockedRequests = await this.urlGuard.protectPlaywrightContext(context);
+      const page = await context.newPage();
+      if (viewport) await page.setViewportSize(viewport);
+      return fn(new PlaywrightSession(page, blockedRequests));
+    }, { ...(userAgent && { userAgent }), ...(locale && { locale }) }, signal);
+  }
+}
@@ -0,0 +1,82 @@
+// Puppeteer engine - pooled incognito contexts, every request checked by the URL guard
+import { createPuppeteerPool } from '../browser-pool.js';
+import { navigationError } from '../url-guard.js';
+import { acceptLanguage, primaryLanguage } from '../locales.js';
+
+// Puppeteer's name for "no network activity"
+const WAIT_UNTIL = { load: 'load', domcontentloaded: 'domcontentloaded', networkidle: 'networkidle2' };
+
+// Puppeteer has no locale option: send Accept-Language and make navigator report the locale before page scripts run
+async function emulateLocale(page, locale) {
+  await page.setExtraHTTPHeaders({ 'Accept-Language': acceptLanguage(locale) });
+  await page.evaluateOnNewDocument((languages) => {
+    Object.defineProperty(navigator, 'language', { get: () => languages[0] });
+    Object.defineProperty(navigator, 'languages', { get: () => languages });
+  }, [...new Set([locale, primaryLanguage(locale)])]);
+}
+
+class PuppeteerSession {
+  constructor(page, blockedRequests) {
+    this.page = page;
+    this.blockedRequests = blockedRequests;
+  }
+
+  async navigate(url, { waitUntil = 'load', timeout = 30000 } = {}) {
+    const response = await this.page.goto(url, { waitUntil: WAIT_UNTIL[waitUntil] || waitUntil, timeout }).catch(error => {
+      throw navigationError(this.blockedRequests, error);
+    });
+    return { finalUrl: this.page.url(), statusCode: response ? response.status() : null };
+  }
+
+  waitForSelector(selector, timeout = 5000) {
+    return this.page.waitForSelector(selector, { timeout }).then(() => true, () => false);
+  }
+
+  wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  evaluate(fn, ...args) {
+    return this.page.evaluate(`(${fn})(...${JSON.stringify(args)})`);
+  }
+
+  html() {
+    return this.page.content();
+  }
+
+  async screenshot({ fullPage = false, selector, clip, type = 'png', quality } = {}) {
+    const element = selector ? await this.page.$(selector) : null;
+    if (selector && !element) throw new Error(`Screenshot selector "${selector}" matched no element`);
+
+    const options = { type, ...(quality !== undefined && { quality }) };
+    const buffer = element
+      ? await element.screenshot(options)
+      : await this.page.screenshot({ ...options, fullPage, ...(clip && { clip, captureBeyondViewport: true }) });
+    return Buffer.from(buffer);
+  }
+
+  async pdf({ format = 'A4', landscape = false, printBackground = true } = {}) {
+    return Buffer.from(await this.page.pdf({ format, landscape, printBackground }));
+  }
+}
+
+export class PuppeteerEngine {
+  constructor({ urlGuard, pool = createPuppeteerPool() }) {
+    this.name = 'puppeteer';
+    this.capabilities = { javascript: true, screenshot: true, pdf: true };
+    this.urlGuard = urlGuard;
+    this.pool = pool;
+  }
+
+  // Incognito contexts take no options, so user agent, viewport and locale are set on the page
+  withSession(fn, { userAgent, viewport, locale } = {}, signal) {
+    return this.pool.withContext(async (context) => {
+      const page = await context.newPage();
+      const blockedRequests = await this.urlGuard.protectPuppeteerPage(page);
+      if (userAgent) await page.setUserAgent(userAgent);
+      if (viewport) await page.setViewport(viewport);
+      if (locale) await emulateLocale(page, locale);
+      return fn(new PuppeteerSession(page, blockedRequests));
+    }, {}, signal);
+  }
+}
@@ -0,0 +1,199 @@
+// Declarative extraction recipes
+// options.extract maps field names to selectors, so new fields need no code change. recipeErrors() checks a recipe
+// before any page is opened; runExtractRecipe() in engines/page-extract.js applies it inside the page.
+import { JSDOM } from 'jsdom';
+
+export const TRANSFORMS = ['trim', 'collapseWhitespace', 'lowercase', 'uppercase', 'number', 'integer', 'absoluteUrl'];
+
+const FIELD_KEYS = ['selector', 'xpath', 'attribute', 'list', 'fields', 'transform'];
+const MAX_DEPTH = 5;
+const MAX_FIELDS = 100;
+const MAX_REGEX_LENGTH = 200;
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// A blank document to check selector and XPath syntax against
+let probe = null;
+const probeDocument = () => (probe ||= new JSDOM('<!doctype html><html><body></body></html>').window.document);
+
+function selectorError(selector) {
+  if (typeof selector !== 'string' || !selector.trim()) return 'selector must be a non-empty CSS selector';
+  try {
+    probeDocument().querySelector(selector);
+    return null;
+  } catch {
+    return `invalid CSS selector "${selector}"`;
+  }
+}
+
+function xpathError(xpath) {
+  if (typeof xpath !== 'string' || !xpath.trim()) return 'xpath must be a non-empty XPath expression';
+  try {
+    const document = probeDocument();
+    document.evaluate(xpath, document, null, 0, null);
+    return null;
+  } catch {
+    return `invalid XPath "${xpath}"`;
+  }
+}
+
+// Recipe regexes run inside the page, so patterns that can backtrack catastrophically are refused up front (the fetch
+// engine also stops page scripts after a time limit): backreferences, a repeated group that itself contains a repeat
+// or an alternation - (a+)+, (\w|\d)*, (.*a){20} - and unbounded repeats right next to each other, as in .*.*x
+function backtrackingError(source) {
+  if (source.length > MAX_REGEX_LENGTH) return `regex is longer than ${MAX_REGEX_LENGTH} characters`;
+  if (/\\[1-9]|\\k</.test(source)) return 'regex backreferences are not supported';
+
+  // Per open group: does it contain a repeat or an alternation, and was the atom just read repeated without bound?
+  const groups = [{ ambiguous: false, afterUnbounded: false }];
+  const quantifierAt = (index) => /^(\*|\+|\?|\{\d+(,\d*)?\})\??/.exec(source.slice(index))?.[0] || '';
+  // Anything that can match more than once - {n} with n > 1 included, since (.*a){20} backtracks like (.*a)+
+  const repeats = (quantifier) => Boolean(quantifier) && !quantifier.startsWith('?') && !/^\{[01](,[01])?\}/.test(quantifier);
+  const unbounded = (quantifier) => /^(\*|\+|\{\d+,\})/.test(quantifier);
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    const level = groups[groups.length - 1];
+
+    if (char === '(') {
+      // Skip (?:, (?=, (?!, (?<=, (?<! and (?<name>
+      i += (/^\(\?(:|<?[=!]|<[^>]*>)/.exec(source.slice(i))?.[0].length || 1) - 1;
+      groups.push({ ambiguous: false, afterUnbounded: false });
+      continue;
+    }
+    if (char === '|') {
+      level.ambiguous = true;
+      level.afterUnbounded = false;
+      continue;
+    }
+    if (char === '^' || char === '$') {
+      level.afterUnbounded = false;
+      continue;
+    }
+
+    let ambiguous = false;
+    let parent = level;
+    if (char === ')' && groups.length > 1) {
+      ambiguous = groups.pop().ambiguous;
+      parent = groups[groups.length - 1];
+    } else if (char === '\\') {
+      i++;
+    } else if (char === '[') {
+      // A character class matches one character, whatever is inside it
+      for (i++; i < source.length && source[i] !== ']'; i++) {
+        if (source[i] === '\\') i++;
+      }
+    }
+
+    const quantifier = quantifierAt(i + 1);
+    i += quantifier.length;
+    const repeated = repeats(quantifier);
+    if (repeated && ambiguous) {
+      return 'regex repeats a group that itself repeats or alternates, which can take exponential time';
+    }
+    if (unbounded(quantifier) && parent.afterUnbounded) {
+      return 'regex has unbounded repeats right next to each other, which can take polynomial time - put a literal between them';
+    }
+    if (repeated || ambiguous) parent.ambiguous = true;
+    parent.afterUnbounded = unbounded(quantifier);
+  }
+  return null;
+}
+
+function transformError(transform) {
+  if (typeof transform === 'string') {
+    return TRANSFORMS.includes(transform) ? null : `unknown transform "${transform}" (expected one of: ${TRANSFORMS.join(', ')}, or { regex })`;
+  }
+  if (!isObject(transform) || typeof transform.regex !== 'string') {
+    return 'must be a transform name or { "regex": "...", "group": 1, "flags": "i" }';
+  }
+  const unknown = Object.keys(transform).filter(key => !['regex', 'group', 'flags'].includes(key));
+  if (unknown.length) return `unknown regex transform key ${unknown.join(', ')}`;
+  if (transform.flags !== undefined && !/^[imsu]*$/.test(transform.flags)) return 'regex flags may only contain i, m, s and u';
+  if (transform.group !== undefined && !(Number.isInteger(transform.group) && transform.group >= 0)) return 'regex group must be a non-negative integer';
+  try {
+    new RegExp(transform.regex, transform.flags || '');
+  } catch (error) {
+    return `invalid regex: ${error.message}`;
+  }
+  return backtrackingError(transform.regex);
+}
+
+// Every problem in the recipe, one message per field path ("extract.articles.url.transform[0]: ...") - empty when valid.
+// Nested fields may omit selector and xpath to read the enclosing element itself.
+export function recipeErrors(recipe) {
+  if (!isObject(recipe) || Object.keys(recipe).length === 0) {
+    return ['options.extract must be an object of named fields'];
+  }
+
+  const errors = [];
+  let fieldCount = 0;
+
+  const checkFields = (fields, path, depth) => {
+    for (const [name, spec] of Object.entries(fields)) {
+      const at = `${path}.${name}`;
+      if (++fieldCount > MAX_FIELDS) {
+        if (fieldCount === MAX_FIELDS + 1) errors.push(`options.extract: at most ${MAX_FIELDS} fields in total`);
+        return;
+      }
+
+      if (typeof spec === 'string') {
+        const error = selectorError(spec);
+        if (error) errors.push(`${at}: ${error}`);
+        continue;
+      }
+      if (!isObject(spec)) {
+        errors.push(`${at}: must be a CSS selector or a field object`);
+        continue;
+      }
+
+      const unknown = Object.keys(spec).filter(key => !FIELD_KEYS.includes(key));
+      if (unknown.length) errors.push(`${at}: unknown key ${unknown.join(', ')} (expected: ${FIELD_KEYS.join(', ')})`);
+
+      if (spec.selector !== undefined && spec.xpath !== undefined) {
+        errors.push(`${at}: set selector or xpath, not both`);
+      } else if (spec.selector === undefined && spec.xpath === undefined && depth === 1) {
+        errors.push(`${at}: selector or xpath is required`);
+      }
+      if (spec.selector !== undefined) {
+        const error = selectorError(spec.selector);
+        if (error) errors.push(`${at}: ${error}`);
+      }
+      if (spec.xpath !== undefined) {
+        const error = xpathError(spec.xpath);
+        if (error) errors.push(`${at}: ${error}`);
+      }
+
+      if (spec.attribute !== undefined && !(typeof spec.attribute === 'string' && /^[^\s"'>/=]+$/.test(spec.attribute))) {
+        errors.push(`${at}.attribute: must be an attribute name such as "href"`);
+      }
+      if (spec.list !== undefined && typeof spec.list !== 'boolean') {
+        errors.push(`${at}.list: must be true or false`);
+      }
+
+      if (spec.fields !== undefined) {
+        if (spec.attribute !== undefined || spec.transform !== undefined) {
+          errors.push(`${at}: fields cannot be combined with attribute or transform`);
+        }
+        if (!isObject(spec.fields) || Object.keys(spec.fields).length === 0) {
+          errors.push(`${at}.fields: must be an object of named fields`);
+        } else if (depth >= MAX_DEPTH) {
+          errors.push(`${at}.fields: nested more than ${MAX_DEPTH} levels deep`);
+        } else {
+          checkFields(spec.fields, at, depth + 1);
+        }
+      }
+
+      if (spec.transform !== undefined) {
+        const transforms = Array.isArray(spec.transform) ? spec.transform : [spec.transform];
+        transforms.forEach((transform, index) => {
+          const error = transformError(transform);
+          if (error) errors.push(`${at}.transform${Array.isArray(spec.transform) ? `[${index}]` : ''}: ${error}`);
+        });
+      }
+    }
+  };
+
+  checkFields(recipe, 'extract', 1);
+  return errors;
+}
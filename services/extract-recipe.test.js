@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { recipeErrors } from './extract-recipe.js';
+
+const withRegex = (regex, extra = {}) => recipeErrors({ price: { selector: '.price', transform: { regex, ...extra } } });
+
+test('recipeErrors accepts a valid recipe', () => {
+  assert.deepEqual(recipeErrors({
+    title: 'h1',
+    articles: { selector: 'article', list: true, fields: { url: { selector: 'a', attribute: 'href', transform: 'absoluteUrl' } } },
+    price: { xpath: '//span[@class="price"]', transform: ['trim', { regex: '([\\d.,]+)\\s*(?:USD|EUR)?', group: 1, flags: 'i' }] }
+  }), []);
+});
+
+test('recipeErrors reports each problem with its field path', () => {
+  assert.deepEqual(recipeErrors({
+    title: { selector: 'h1[', transform: 'shout' },
+    items: { selector: 'li', xpath: '//li' }
+  }), [
+    'extract.title: invalid CSS selector "h1["',
+    'extract.title.transform: unknown transform "shout" (expected one of: trim, collapseWhitespace, lowercase, uppercase, number, integer, absoluteUrl, or { regex })',
+    'extract.items: set selector or xpath, not both'
+  ]);
+});
+
+test('recipeErrors requires an object of fields', () => {
+  assert.deepEqual(recipeErrors([]), ['options.extract must be an object of named fields']);
+  assert.deepEqual(recipeErrors({ title: { attribute: 'href' } }), ['extract.title: selector or xpath is required']);
+});
+
+test('recipeErrors rejects regexes that can backtrack catastrophically', () => {
+  for (const regex of ['(a+)+$', '(\\w|\\d)*x', '(?:x{2,})+', '((ab)*c)+', '(a*)*b', '(\\d{3})+', '(.*a){20}$']) {
+    assert.match(withRegex(regex)[0], /exponential time/, regex);
+  }
+  for (const regex of ['.*.*.*.*.*.*.*.*.*.*x', '\\s*\\w+', 'a(bc)+\\d{2,}']) {
+    assert.match(withRegex(regex)[0], /right next to each other/, regex);
+  }
+  assert.match(withRegex('(a)\\1')[0], /backreferences/);
+  assert.match(withRegex('a'.repeat(201))[0], /longer than 200/);
+});
+
+test('recipeErrors allows repeats that cannot nest', () => {
+  for (const regex of ['^\\s*([\\d.,]+)', '(https?|ftp)://\\S+', '([a-z]+)?-(\\d{4})', '[(+*)]+', 'v(\\d+)\\.(\\d+)', '\\d{3}\\d{2}', '(\\d+)\\s?(kg|g)']) {
+    assert.deepEqual(withRegex(regex), [], regex);
+  }
+});
+
+test('recipeErrors rejects invalid regexes and flags', () => {
+  assert.match(withRegex('(')[0], /invalid regex/);
+  assert.deepEqual(withRegex('a', { flags: 'g' }), ['extract.price.transform: regex flags may only contain i, m, s and u']);
+});
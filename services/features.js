@@ -0,0 +1,77 @@
+// Feature extraction
+// Ranks the feature blocks collectFeatureCandidates() finds on one or more pages of a tool,
+// merging near-duplicates so a feature repeated on the home and pricing pages is listed once.
+export const DEFAULT_FEATURE_LIMIT = 15;
+
+// Near-duplicate threshold on the titles' word overlap (Jaccard similarity)
+const SIMILARITY = 0.7;
+
+const HEADING_WEIGHT = { h2: 1.5, h3: 1, h4: 0.5, h5: 0.25, h6: 0.25, li: 0 };
+
+// Call-to-action and boilerplate headings that sit in card grids without being features
+const NOT_A_FEATURE = /^(learn more|read more|see more|sign up|log ?in|get started|contact( us| sales)?|try (it )?(for )?free|book a demo|request a demo|watch (the )?video|download|faq|blog|news|resources|pricing)$/i;
+const PRICE = /[$€£¥₹]\s?\d|\b\d+\s?(USD|EUR|GBP)\b/i;
+
+const STOP_WORDS = new Set(['a', 'an', 'and', 'the', 'of', 'for', 'to', 'in', 'on', 'with', 'your', 'you', 'our', 'all', 'any', 'by', 'at', 'is', 'are']);
+
+const words = (text) => new Set(text.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, ' ').split(/\s+/).filter(word => word && !STOP_WORDS.has(word)));
+
+function similarity(a, b) {
+  if (!a.size || !b.size) return 0;
+  const shared = [...a].filter(word => b.has(word)).length;
+  return shared / (a.size + b.size - shared);
+}
+
+// Prominence of one block on its page: heading level, feature section, icon, group size and how high up it sits
+function prominence(block) {
+  let score = 1 + (HEADING_WEIGHT[block.headingTag] ?? 0.25);
+  if (block.inFeatureSection) score += 1.5;
+  if (block.hasIcon) score += 0.5;
+  if (block.description && block.description.length >= 20 && block.description.length <= 250) score += 0.5;
+  // Grids of 3-12 cards are feature grids; longer runs tend to be logo walls, link lists or testimonials
+  score += block.groupSize <= 12 ? 0.5 : -0.5;
+  score += 1 - block.position;
+  return score;
+}
+
+const isFeature = (block) =>
+  !NOT_A_FEATURE.test(block.title) &&
+  !PRICE.test(block.title) &&
+  // Quotes in a grid are testimonials
+  !/^["“”'‘]/.test(block.description || '');
+
+// pages: [{ url, blocks }] as returned by collectFeatureCandidates, plus the page URL.
+// Returns [{ title, description, score, sources }], most prominent first. A feature found on several pages
+// gains score for each extra page.
+export function rankFeatures(pages, { limit = DEFAULT_FEATURE_LIMIT } = {}) {
+  const features = [];
+
+  for (const { url, blocks = [] } of pages) {
+    for (const block of blocks.filter(isFeature)) {
+      const score = prominence(block);
+      const titleWords = words(block.title);
+      const existing = features.find(feature => feature.titleWords.size && similarity(feature.titleWords, titleWords) >= SIMILARITY);
+
+      if (!existing) {
+        features.push({ title: block.title, description: block.description, score, sources: [url], titleWords, best: score });
+        continue;
+      }
+
+      // Keep the wording from the most prominent occurrence
+      if (score > existing.best) {
+        existing.title = block.title;
+        existing.description = block.description || existing.description;
+        existing.best = score;
+      } else if (!existing.description) {
+        existing.description = block.description;
+      }
+      if (!existing.sources.includes(url)) existing.sources.push(url);
+      existing.score = existing.best + 0.75 * (existing.sources.length - 1);
+    }
+  }
+
+  return features
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ title, description, score, sources }) => ({ title, description, score: Math.round(score * 100) / 100, sources }));
+}
@@ -0,0 +1,179 @@
+// Help-center platform adapters
+// Zendesk, Intercom, Freshdesk, Help Scout and Document360 host most of the help centers we scan. Each adapter
+// recognises its platform from page fingerprints and URL patterns, and sorts links into categories, sections and
+// articles. crawlHelpCenter() then walks the category and section pages to list every article.
+import { collectHelpCenterLinks } from './engines/page-extract.js';
+
+const LOCALE = '(?:[a-z]{2}(?:-[a-z0-9]{2,4})?/)?';
+
+// signals match the host, generator meta, script/stylesheet URLs and html/body classes.
+// requiresSignal: the URL patterns alone are too generic to identify the platform.
+export const HELP_CENTER_ADAPTERS = [
+  {
+    platform: 'zendesk',
+    signals: [/zendesk\.com/i, /zdassets\.com/i, /\bhc-/i],
+    article: new RegExp(`^/hc/${LOCALE}articles/\\d+`, 'i'),
+    section: new RegExp(`^/hc/${LOCALE}sections/\\d+`, 'i'),
+    category: new RegExp(`^/hc/${LOCALE}categories/\\d+`, 'i')
+  },
+  {
+    platform: 'intercom',
+    signals: [/intercom\.help/i, /intercom(cdn|assets)?\.(com|io)/i, /intercom-/i],
+    article: new RegExp(`^/${LOCALE}articles/\\d+-`, 'i'),
+    section: null,
+    category: new RegExp(`^/${LOCALE}collections/\\d+-`, 'i')
+  },
+  {
+    platform: 'freshdesk',
+    signals: [/freshdesk\.com/i, /freshworks/i, /fw-/i],
+    article: new RegExp(`^/${LOCALE}support/solutions/articles/\\d+`, 'i'),
+    section: new RegExp(`^/${LOCALE}support/solutions/folders/\\d+`, 'i'),
+    category: new RegExp(`^/${LOCALE}support/solutions/\\d+`, 'i')
+  },
+  {
+    platform: 'helpscout',
+    signals: [/helpscoutdocs\.com/i, /helpscout/i, /beacon-v2/i],
+    article: /^\/article\/\d+-/i,
+    section: /^\/category\/\d+-/i,
+    category: /^\/collection\/\d+-/i
+  },
+  {
+    platform: 'document360',
+    signals: [/document360/i, /d360/i],
+    requiresSignal: true,
+    article: new RegExp(`^/${LOCALE}docs/${LOCALE}[^/]+/?$`, 'i'),
+    section: null,
+    category: new RegExp(`^/${LOCALE}(?:docs/)?category/[^/]+`, 'i')
+  }
+];
+
+// FAQ-like articles go to categorizedResources.faqs, the rest to documentation
+const FAQ = /\bfaqs?\b|frequently asked|questions|troubleshoot/i;
+
+const pathOf = (url) => {
+  try {
+    return new URL(url).pathname;
+  } catch {
+    return '';
+  }
+};
+
+const sameSite = (a, b) => {
+  try {
+    return new URL(a).hostname.replace(/^www\./, '') === new URL(b).hostname.replace(/^www\./, '');
+  } catch {
+    return false;
+  }
+};
+
+// 'article', 'section', 'category' or null for a URL on this adapter's platform
+function kindOf(adapter, url) {
+  const path = pathOf(url);
+  if (adapter.article.test(path)) return 'article';
+  if (adapter.section && adapter.section.test(path)) return 'section';
+  if (adapter.category && adapter.category.test(path)) return 'category';
+  return null;
+}
+
+// The adapter whose platform built this page (collectHelpCenterLinks output), or null
+export function detectHelpCenter(page) {
+  const fingerprint = [new URL(page.url).hostname, page.generator || '', page.markers || '', ...(page.scripts || [])].join(' ');
+
+  let best = null;
+  for (const adapter of HELP_CENTER_ADAPTERS) {
+    const signal = adapter.signals.some(pattern => pattern.test(fingerprint));
+    if (adapter.requiresSignal && !signal) continue;
+
+    const matches = page.links.filter(link => sameSite(link.href, page.url) && kindOf(adapter, link.href)).length +
+      (kindOf(adapter, page.url) ? 1 : 0);
+    // A fingerprint plus one matching link, or enough matching links on their own
+    const score = signal ? (matches > 0 ? matches + 10 : 0) : (matches >= 3 ? matches : 0);
+    if (score > 0 && (!best || score > best.score)) best = { adapter, score };
+  }
+  return best ? best.adapter : null;
+}
+
+// Walks the help center from its first page: categories and sections are followed (sections first, since they list
+// the articles) until maxPages pages or timeBudgetMs. Returns { platform, categories, sections, articles, pagesVisited }
+// or null when the page is not a known platform. Navigation goes through the session, so the URL guard still applies;
+// beforeNavigate(url) may throw to skip a page (robots.txt) or wait before it. Skipped and failed pages are listed in errors
+export async function crawlHelpCenter(session, firstPage, { maxPages = 12, timeBudgetMs = 45000, beforeNavigate } = {}) {
+  const adapter = detectHelpCenter(firstPage);
+  if (!adapter) return null;
+
+  const deadline = Date.now() + timeBudgetMs;
+  const categories = new Map();
+  const sections = new Map();
+  const articles = new Map();
+  const visited = new Set([firstPage.url.split('#')[0]]);
+  const queue = [];
+  const errors = [];
+
+  const addPage = (page) => {
+    const pageKind = kindOf(adapter, page.url);
+    for (const link of page.links) {
+      if (!sameSite(link.href, firstPage.url)) continue;
+      const kind = kindOf(adapter, link.href);
+      if (!kind) continue;
+
+      if (kind === 'article') {
+        const existing = articles.get(link.href);
+        // A section page is named after its section; elsewhere the heading above the link names it.
+        // Listing pages beat the home page's "Popular articles" style groupings
+        const section = pageKind === 'section' ? page.title : (link.heading && link.heading !== page.title ? link.heading : null);
+        const onListing = pageKind === 'section' || pageKind === 'category';
+        articles.set(link.href, {
+          title: existing?.title || link.text,
+          url: link.href,
+          section: (onListing && section) || existing?.section || section,
+          category: existing?.category || (pageKind === 'category' ? page.title : null),
+          updatedAt: existing?.updatedAt || link.date
+        });
+        continue;
+      }
+
+      const listing = kind === 'section' ? sections : categories;
+      if (!listing.has(link.href)) listing.set(link.href, { title: link.text, url: link.href });
+      // Category pages list their sections, which names the category of articles only seen on a section page
+      if (kind === 'section' && pageKind === 'category') listing.get(link.href).category ||= page.title;
+      if (!visited.has(link.href) && !queue.includes(link.href)) {
+        if (kind === 'section') queue.unshift(link.href);
+        else queue.push(link.href);
+      }
+    }
+  };
+
+  addPage(firstPage);
+  while (queue.length > 0 && visited.size < maxPages && Date.now() < deadline) {
+    const url = queue.shift();
+    visited.add(url);
+    try {
+      await beforeNavigate?.(url);
+      await session.navigate(url, { waitUntil: 'domcontentloaded', timeout: Math.min(20000, Math.max(1000, deadline - Date.now())) });
+      addPage(await session.evaluate(collectHelpCenterLinks));
+    } catch (error) {
+      console.warn(`Help center page ${url} failed: ${error.message}`);
+      errors.push(error.message);
+    }
+  }
+
+  const sectionCategories = new Map([...sections.values()].filter(section => section.category).map(section => [section.title, section.category]));
+  for (const article of articles.values()) {
+    article.category ||= sectionCategories.get(article.section) || null;
+  }
+
+  return {
+    platform: adapter.platform,
+    categories: [...categories.values()],
+    sections: [...sections.values()],
+    articles: [...articles.values()],
+    pagesVisited: visited.size,
+    errors
+  };
+}
+
+// categorizedResources key for a help-center article
+export function articleCategory(article, urlType) {
+  if (urlType === 'faq') return 'faqs';
+  return [article.title, article.section, article.category].some(text => text && FAQ.test(text)) ? 'faqs' : 'documentation';
+}
@@ -0,0 +1,103 @@
+// Per-host politeness
+// Requests to one host start at least minDelayMs apart (longer when robots.txt asks for a Crawl-delay), with at most
+// maxConcurrentPerHost in flight. Callers for a host are served first come, first served; other hosts are not held up.
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  signal?.throwIfAborted();
+  if (ms <= 0) return resolve();
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  };
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+export class HostScheduler {
+  constructor({ minDelayMs = 1000, maxConcurrentPerHost = 2 } = {}) {
+    this.minDelayMs = minDelayMs;
+    this.maxConcurrentPerHost = Math.max(1, maxConcurrentPerHost);
+    this.hosts = new Map();
+  }
+
+  static fromEnv() {
+    return new HostScheduler({
+      minDelayMs: parseInt(process.env.HOST_MIN_DELAY_MS ?? '1000') || 0,
+      maxConcurrentPerHost: parseInt(process.env.HOST_MAX_CONCURRENCY) || 2
+    });
+  }
+
+  hostState(url) {
+    const host = new URL(url).hostname.toLowerCase();
+    if (!this.hosts.has(host)) {
+      // nextAllowedStart is the earliest the host may be asked again - lastStart plus the longest delay it was given
+      this.hosts.set(host, { host, active: 0, lastStart: 0, nextAllowedStart: 0, queue: Promise.resolve(), freed: [] });
+    }
+    return this.hosts.get(host);
+  }
+
+  // Books the host's next start time, at least the delay after the previous one - returns how long to wait for it
+  reserveStart(state, delayMs) {
+    const gap = Math.max(this.minDelayMs, delayMs);
+    const start = Math.max(Date.now(), state.lastStart + gap, state.nextAllowedStart);
+    state.lastStart = start;
+    state.nextAllowedStart = start + gap;
+    return start - Date.now();
+  }
+
+  // Runs fn() once the URL's host has a free slot and the delay since its last request has passed.
+  // delayMs (robots.txt Crawl-delay) raises the delay for this request when longer than minDelayMs
+  async schedule(url, fn, { delayMs = 0, signal } = {}) {
+    const state = this.hostState(url);
+    const turn = state.queue.then(async () => {
+      while (state.active >= this.maxConcurrentPerHost) {
+        await new Promise(resolve => state.freed.push(resolve));
+      }
+      signal?.throwIfAborted();
+      state.active++;
+    });
+    // A cancelled caller must not stall the callers queued behind it
+    state.queue = turn.catch(() => {});
+    await turn;
+
+    try {
+      await sleep(this.reserveStart(state, delayMs), signal);
+      return await fn();
+    } finally {
+      state.active--;
+      state.freed.shift()?.();
+      this.forget(state);
+    }
+  }
+
+  // Spaces out a follow-up request made inside a slot already held (a help-center page within a page scan)
+  async pace(url, { delayMs = 0, signal } = {}) {
+    const state = this.hostState(url);
+    await sleep(this.reserveStart(state, delayMs), signal);
+    this.forget(state);
+  }
+
+  // Idle hosts are dropped once their delay (Crawl-delay included) has passed, so the map does not grow with every
+  // host ever scanned
+  forget(state) {
+    setTimeout(() => {
+      if (state.active === 0 && state.freed.length === 0 && Date.now() >= state.nextAllowedStart &&
+        this.hosts.get(state.host) === state) {
+        this.hosts.delete(state.host);
+      }
+    }, Math.max(0, state.nextAllowedStart - Date.now()) + 100).unref();
+  }
+
+  status() {
+    const hosts = [...this.hosts.values()];
+    return {
+      minDelayMs: this.minDelayMs,
+      maxConcurrentPerHost: this.maxConcurrentPerHost,
+      activeHosts: hosts.filter(state => state.active > 0).length,
+      activeRequests: hosts.reduce((total, state) => total + state.active, 0)
+    };
+  }
+}
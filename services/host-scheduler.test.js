@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HostScheduler } from './host-scheduler.js';
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('HostScheduler spaces requests to one host by minDelayMs', async () => {
+  const scheduler = new HostScheduler({ minDelayMs: 50, maxConcurrentPerHost: 2 });
+  const starts = [];
+  await Promise.all([1, 2, 3].map(() => scheduler.schedule('https://example.com/a', async () => starts.push(Date.now()))));
+  assert.ok(starts[1] - starts[0] >= 45);
+  assert.ok(starts[2] - starts[1] >= 45);
+});
+
+test('HostScheduler does not hold up other hosts', async () => {
+  const scheduler = new HostScheduler({ minDelayMs: 200 });
+  await scheduler.schedule('https://example.com/', async () => {});
+  const started = Date.now();
+  await scheduler.schedule('https://other.com/', async () => {});
+  assert.ok(Date.now() - started < 100);
+});
+
+test('HostScheduler limits requests in flight per host', async () => {
+  const scheduler = new HostScheduler({ minDelayMs: 0, maxConcurrentPerHost: 2 });
+  let active = 0;
+  let peak = 0;
+  await Promise.all([1, 2, 3, 4, 5].map(() => scheduler.schedule('https://example.com/', async () => {
+    peak = Math.max(peak, ++active);
+    await wait(20);
+    active--;
+  })));
+  assert.equal(peak, 2);
+});
+
+test('HostScheduler remembers a Crawl-delay longer than minDelayMs while the host is idle', async () => {
+  const scheduler = new HostScheduler({ minDelayMs: 20 });
+  await scheduler.schedule('https://example.com/a', async () => {}, { delayMs: 400 });
+  // Past minDelayMs and the forget timer's margin, well inside the Crawl-delay
+  await wait(150);
+  const started = Date.now();
+  await scheduler.schedule('https://example.com/b', async () => {}, { delayMs: 400 });
+  assert.ok(Date.now() - started >= 200);
+  assert.equal(scheduler.status().activeHosts, 0);
+});
+
+test('HostScheduler lets a cancelled caller leave the queue without stalling the others', async () => {
+  const scheduler = new HostScheduler({ minDelayMs: 0, maxConcurrentPerHost: 1 });
+  let release;
+  const first = scheduler.schedule('https://example.com/', () => new Promise(resolve => { release = resolve; }));
+  const controller = new AbortController();
+  const cancelled = scheduler.schedule('https://example.com/', async () => 'cancelled ran', { signal: controller.signal });
+  const third = scheduler.schedule('https://example.com/', async () => 'third ran');
+  controller.abort(new Error('cancelled'));
+  await wait(10);
+  release('first ran');
+
+  assert.equal(await first, 'first ran');
+  await assert.rejects(cancelled, /cancelled/);
+  assert.equal(await third, 'third ran');
+});
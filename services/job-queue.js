@@ -0,0 +1,231 @@
+// Persistent scan job queue
+// Jobs run through a bounded worker pool and are written to disk so queued work survives a restart
+import { randomUUID } from 'node:crypto';
+import { EventEmitter } from 'node:events';
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+
+export const JOB_STATES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+
+export const FINISHED_STATES = ['completed', 'failed', 'cancelled'];
+
+const MAX_EVENTS_PER_JOB = 500;
+
+// Emits 'finished' with the job once it completes, fails or is cancelled,
+// and 'job-event' (job, event) for every progress event recorded on a job
+export class JobQueue extends EventEmitter {
+  constructor({ concurrency = 1, storePath, retentionMs = 24 * 60 * 60 * 1000 } = {}) {
+    super();
+    // Every open event stream subscribes to 'job-event'
+    this.setMaxListeners(0);
+    this.concurrency = Math.max(1, concurrency);
+    this.storePath = storePath;
+    this.retentionMs = retentionMs;
+    this.jobs = new Map();
+    this.pending = [];
+    this.handlers = new Map();
+    this.controllers = new Map();
+    this.events = new Map();
+    this.running = 0;
+    this.started = false;
+    this.saveChain = Promise.resolve();
+  }
+
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  // Restore jobs from disk - jobs interrupted mid-run are queued again
+  async load() {
+    if (!this.storePath) return;
+
+    let saved = [];
+    try {
+      saved = JSON.parse(await fs.readFile(this.storePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`Could not read job store ${this.storePath}:`, error.message);
+      }
+      return;
+    }
+
+    for (const job of saved) {
+      if (job.state === 'running') {
+        job.state = 'queued';
+        job.startedAt = null;
+        job.progress = { percent: 0, message: 'Requeued after restart' };
+      }
+      this.jobs.set(job.id, job);
+      if (job.state === 'queued') {
+        this.pending.push(job.id);
+      }
+    }
+
+    this.prune();
+    console.log(`📂 Restored ${this.jobs.size} jobs (${this.pending.length} queued)`);
+  }
+
+  start() {
+    this.started = true;
+    this.drain();
+  }
+
+  // meta carries caller details that are not part of the scan itself (clientId, callbackUrl)
+  submit(type, payload, meta = {}) {
+    if (!this.handlers.has(type)) {
+      throw new Error(`Unknown job type: ${type}`);
+    }
+
+    const job = {
+      id: randomUUID(),
+      type,
+      state: 'queued',
+      progress: { percent: 0, message: 'Queued' },
+      payload,
+      clientId: meta.clientId || null,
+      callbackUrl: meta.callbackUrl || null,
+      result: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null
+    };
+
+    this.jobs.set(job.id, job);
+    this.pending.push(job.id);
+    this.save();
+    this.drain();
+
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  // Cancel a queued or running job - returns the job, or null if it does not exist
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+    if (FINISHED_STATES.includes(job.state)) return job;
+
+    if (job.state === 'queued') {
+      this.pending = this.pending.filter(pendingId => pendingId !== id);
+    } else {
+      this.controllers.get(id)?.abort();
+    }
+
+    this.finish(job, 'cancelled', { error: 'Cancelled by request' });
+    return job;
+  }
+
+  drain() {
+    if (!this.started) return;
+
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      const job = this.jobs.get(this.pending.shift());
+      if (job && job.state === 'queued') {
+        this.run(job);
+      }
+    }
+  }
+
+  async run(job) {
+    const controller = new AbortController();
+    this.controllers.set(job.id, controller);
+    this.running++;
+
+    job.state = 'running';
+    job.startedAt = new Date().toISOString();
+    job.progress = { percent: 0, message: 'Started' };
+    this.save();
+    this.recordEvent(job, 'state', { state: 'running' });
+
+    const reportProgress = (percent, message) => {
+      if (job.state !== 'running') return;
+      // Kept in memory only - a restart requeues running jobs from 0%, and rewriting the store on every tick is costly
+      job.progress = { percent: Math.min(100, Math.max(0, Math.round(percent))), message };
+      this.recordEvent(job, 'progress', job.progress);
+    };
+
+    const emitEvent = (type, data) => {
+      if (job.state === 'running') this.recordEvent(job, type, data);
+    };
+
+    try {
+      const handler = this.handlers.get(job.type);
+      const result = await handler(job.payload, { signal: controller.signal, reportProgress, emitEvent, job });
+      if (job.state === 'running') {
+        this.finish(job, 'completed', { result });
+      }
+    } catch (error) {
+      if (job.state === 'running') {
+        console.error(`Job ${job.id} failed:`, error.message);
+        this.finish(job, 'failed', { error: error.message });
+      }
+    } finally {
+      this.controllers.delete(job.id);
+      this.running--;
+      this.drain();
+    }
+  }
+
+  finish(job, state, { result = null, error = null } = {}) {
+    job.state = state;
+    job.result = result;
+    job.error = error;
+    job.finishedAt = new Date().toISOString();
+    if (state === 'completed') {
+      job.progress = { percent: 100, message: 'Completed' };
+    }
+    this.prune();
+    this.save();
+    this.recordEvent(job, state, state === 'completed' ? { result } : { error });
+    this.emit('finished', job);
+  }
+
+  // Keep a bounded in-memory event log per job so late subscribers can replay it
+  recordEvent(job, type, data) {
+    const log = this.events.get(job.id) || [];
+    const event = { id: log.length ? log[log.length - 1].id + 1 : 1, type, data, at: new Date().toISOString() };
+    log.push(event);
+    if (log.length > MAX_EVENTS_PER_JOB) log.shift();
+    this.events.set(job.id, log);
+    this.emit('job-event', job, event);
+    return event;
+  }
+
+  // Events recorded for a job after the given event id
+  eventsSince(id, lastEventId = 0) {
+    return (this.events.get(id) || []).filter(event => event.id > lastEventId);
+  }
+
+  // Drop finished jobs older than the retention window
+  prune() {
+    const cutoff = Date.now() - this.retentionMs;
+    for (const [id, job] of this.jobs) {
+      if (FINISHED_STATES.includes(job.state) && new Date(job.finishedAt).getTime() < cutoff) {
+        this.jobs.delete(id);
+        this.events.delete(id);
+      }
+    }
+  }
+
+  // Serialize writes and replace the file atomically so a crash never leaves half a store
+  save() {
+    if (!this.storePath) return this.saveChain;
+
+    this.saveChain = this.saveChain.then(async () => {
+      const tmpPath = `${this.storePath}.tmp`;
+      try {
+        await fs.mkdir(path.dirname(this.storePath), { recursive: true });
+        await fs.writeFile(tmpPath, JSON.stringify([...this.jobs.values()]));
+        await fs.rename(tmpPath, this.storePath);
+      } catch (error) {
+        console.error('Failed to persist jobs:', error.message);
+      }
+    });
+
+    return this.saveChain;
+  }
+}
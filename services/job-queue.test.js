@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { JobQueue } from './job-queue.js';
+
+const finished = (queue, id) => new Promise(resolve => {
+  const onFinished = (job) => {
+    if (job.id !== id) return;
+    queue.off('finished', onFinished);
+    resolve(job);
+  };
+  queue.on('finished', onFinished);
+});
+
+// A handler that runs until its signal aborts or release() is called
+function blockingHandler() {
+  const calls = [];
+  const handler = (payload, { signal }) => new Promise((resolve, reject) => {
+    calls.push({ payload, signal, release: () => resolve({ echo: payload }) });
+    signal.addEventListener('abort', () => reject(new Error('aborted')));
+  });
+  return { calls, handler };
+}
+
+test('jobs run in order up to the concurrency limit and report their result', async () => {
+  const queue = new JobQueue({ concurrency: 1 });
+  const { calls, handler } = blockingHandler();
+  queue.registerHandler('scan', handler);
+  queue.start();
+
+  const first = queue.submit('scan', { url: 'https://a.example' }, { clientId: 'ci' });
+  const second = queue.submit('scan', { url: 'https://b.example' });
+  assert.equal(first.state, 'running');
+  assert.equal(first.clientId, 'ci');
+  assert.equal(second.state, 'queued');
+  assert.equal(calls.length, 1);
+
+  const done = finished(queue, first.id);
+  calls[0].release();
+  assert.deepEqual((await done).result, { echo: { url: 'https://a.example' } });
+  assert.equal(first.progress.percent, 100);
+  assert.equal(second.state, 'running');
+  assert.throws(() => queue.submit('crawl', {}), /Unknown job type: crawl/);
+});
+
+test('cancel drops a queued job and aborts a running one', async () => {
+  const queue = new JobQueue({ concurrency: 1 });
+  const { calls, handler } = blockingHandler();
+  queue.registerHandler('scan', handler);
+  queue.start();
+
+  const running = queue.submit('scan', { n: 1 });
+  const queued = queue.submit('scan', { n: 2 });
+  const next = queue.submit('scan', { n: 3 });
+
+  assert.equal(queue.cancel(queued.id).state, 'cancelled');
+  const cancelled = finished(queue, running.id);
+  queue.cancel(running.id);
+  assert.equal(calls[0].signal.aborted, true);
+  assert.equal((await cancelled).error, 'Cancelled by request');
+
+  // The aborted handler's rejection must not turn the cancelled job into a failed one
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(running.state, 'cancelled');
+  assert.deepEqual(calls.map(call => call.payload.n), [1, 3]);
+  assert.equal(next.state, 'running');
+  assert.equal(queue.cancel('missing'), null);
+  assert.equal(queue.cancel(running.id).state, 'cancelled');
+});
+
+test('failed handlers fail the job, and events can be replayed', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const queue = new JobQueue();
+  queue.registerHandler('scan', async (payload, { reportProgress }) => {
+    reportProgress(40.4, 'Halfway');
+    reportProgress(250, 'Too far');
+    throw new Error('Navigation timeout');
+  });
+  queue.start();
+
+  const job = queue.submit('scan', {});
+  await finished(queue, job.id);
+  assert.equal(job.state, 'failed');
+  assert.equal(job.error, 'Navigation timeout');
+  const events = queue.eventsSince(job.id);
+  assert.deepEqual(events.map(event => event.type), ['state', 'progress', 'progress', 'failed']);
+  assert.deepEqual(events[1].data, { percent: 40, message: 'Halfway' });
+  assert.equal(events[2].data.percent, 100);
+  assert.deepEqual(queue.eventsSince(job.id, 3).map(event => event.id), [4]);
+});
+
+test('the store survives a restart, requeueing interrupted jobs', async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'job-queue-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const storePath = path.join(dir, 'jobs.json');
+
+  const before = new JobQueue({ storePath });
+  before.registerHandler('scan', blockingHandler().handler);
+  before.start();
+  const interrupted = before.submit('scan', { n: 1 });
+  const waiting = before.submit('scan', { n: 2 });
+  await before.save();
+
+  const after = new JobQueue({ storePath });
+  after.registerHandler('scan', async (payload) => payload.n);
+  t.mock.method(console, 'log', () => {});
+  await after.load();
+  assert.equal(after.get(interrupted.id).state, 'queued');
+  assert.equal(after.get(interrupted.id).progress.message, 'Requeued after restart');
+  assert.deepEqual(after.pending, [interrupted.id, waiting.id]);
+
+  const done = finished(after, waiting.id);
+  after.start();
+  assert.equal((await done).result, 2);
+  await after.save();
+});
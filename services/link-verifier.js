@@ -0,0 +1,170 @@
+// Link verification
+// Each resource URL is requested with HEAD, falling back to GET when the server rejects HEAD or answers with an error.
+// HTML pages are always read with GET so their title, heading and text can be checked for soft 404s - "page not found"
+// pages served with a 200. Requests go through the URL guard and robots.txt, and the service's host scheduler, so link
+// checks and scans of one host share its politeness limits.
+import NodeCache from 'node-cache';
+import { BlockedUrlError } from './url-guard.js';
+import { runWithConcurrency } from './concurrency.js';
+
+// 'flag' keeps failed links with verified: false, 'drop' removes them from the results
+export const LINK_CHECK_MODES = ['flag', 'drop'];
+
+// Enough of an HTML page for its title, first heading and opening text
+const MAX_HTML_BYTES = 64 * 1024;
+// Links checked per scan; the rest are left unchecked
+export const MAX_CHECKED_LINKS = 500;
+
+// A bare "404" isn't enough - "HTTP 404 explained" or "Top 404 pages" are real pages - but "404 - Page not found" matches
+// on its wording
+const NOT_FOUND = /\b(page not found|not found|page (doesn'?t|does not) exist|no longer (exists|available)|(couldn'?t|could not|can'?t|cannot) (find|be found))\b/i;
+
+// Statuses that say more about our access than about the link - the page may well exist
+const INCONCLUSIVE_STATUSES = [401, 403, 407, 429];
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+// verifyLinks is a boolean (true means 'flag') or a LINK_CHECK_MODES value - returns an error message or null
+export function verifyLinksError(verifyLinks) {
+  if (verifyLinks === undefined || typeof verifyLinks === 'boolean' || LINK_CHECK_MODES.includes(verifyLinks)) return null;
+  return `verifyLinks must be true, false or one of: ${LINK_CHECK_MODES.join(', ')}`;
+}
+
+const textOf = (html) => html
+  .replace(/<(script|style|noscript|template)[\s\S]*?<\/\1>/gi, ' ')
+  .replace(/<[^>]+>/g, ' ')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Why a page that answered 200 is really a "not found" page, or null
+export function detectSoft404(html, requestedUrl, finalUrl) {
+  const requested = new URL(requestedUrl);
+  const landed = new URL(finalUrl);
+  if (requested.pathname !== '/' && landed.pathname === '/' && requested.host.replace(/^www\./, '') === landed.host.replace(/^www\./, '')) {
+    return 'redirected to the home page';
+  }
+  if (!html) return null;
+
+  const title = textOf(html.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1] || '');
+  if (NOT_FOUND.test(title)) return `title "${title.slice(0, 100)}"`;
+  const heading = textOf(html.match(/<h1[^>]*>([\s\S]*?)<\/h1>/i)?.[1] || '');
+  if (NOT_FOUND.test(heading)) return `heading "${heading.slice(0, 100)}"`;
+  // Only short pages: a long page mentioning "not found" is usually an article about errors
+  const body = textOf(html.match(/<body[^>]*>([\s\S]*)/i)?.[1] || '');
+  if (body.length < 2000 && NOT_FOUND.test(body.slice(0, 300))) return 'page text says not found';
+  return null;
+}
+
+// The start of the response body, without downloading the rest
+async function readStart(response, maxBytes) {
+  const chunks = [];
+  let bytes = 0;
+  for await (const chunk of response.body) {
+    chunks.push(chunk);
+    bytes += chunk.length;
+    if (bytes >= maxBytes) break;
+  }
+  response.body.destroy?.();
+  return Buffer.concat(chunks).subarray(0, maxBytes).toString('utf8');
+}
+
+export class LinkVerifier {
+  // concurrency caps checks in flight across hosts; scheduler spaces them out per host; timeBudgetMs bounds one verifyAll()
+  constructor({ urlGuard, robots, scheduler, concurrency = 8, timeoutMs = 10000, timeBudgetMs = 60000, ttlSeconds = 3600 }) {
+    this.urlGuard = urlGuard;
+    this.robots = robots;
+    this.scheduler = scheduler;
+    this.concurrency = concurrency;
+    this.timeoutMs = timeoutMs;
+    this.timeBudgetMs = timeBudgetMs;
+    // Scans of one tool keep finding the same links
+    this.cache = new NodeCache({ stdTTL: ttlSeconds, checkperiod: 600, useClones: false });
+  }
+
+  static fromEnv({ urlGuard, robots, scheduler }) {
+    return new LinkVerifier({
+      urlGuard,
+      robots,
+      scheduler,
+      concurrency: parseInt(process.env.VERIFY_CONCURRENCY) || 8,
+      timeBudgetMs: parseInt(process.env.VERIFY_TIME_BUDGET_MS) || 60000
+    });
+  }
+
+  async request(url, method, delayMs, signal) {
+    return this.scheduler.schedule(url, () => this.urlGuard.fetch(url, {
+      method,
+      headers: { 'User-Agent': USER_AGENT, Accept: 'text/html,application/xhtml+xml,*/*;q=0.8' },
+      timeout: this.timeoutMs,
+      signal
+    }), { delayMs, signal });
+  }
+
+  // { state: 'ok' | 'broken' | 'unknown', status, finalUrl, contentType, soft404, method, error, checkedAt }
+  async check(url, { signal } = {}) {
+    const cached = this.cache.get(url);
+    if (cached) return cached;
+
+    const verification = { state: 'unknown', status: null, finalUrl: null, contentType: null, soft404: null, method: null, error: null };
+    try {
+      // Before robots.txt, so a host that doesn't resolve counts as a broken link rather than an unreadable robots.txt
+      await this.urlGuard.assertAllowed(url);
+      const { allowed, reason, crawlDelayMs } = await this.robots.check(url);
+      if (!allowed) {
+        verification.error = reason;
+        return this.remember(url, verification);
+      }
+
+      verification.method = 'HEAD';
+      let response = await this.request(url, 'HEAD', crawlDelayMs, signal).catch(error => {
+        if (signal?.aborted || error instanceof BlockedUrlError) throw error;
+        return null;
+      });
+      const isHtml = (res) => /html/i.test(res.headers.get('content-type') || '');
+      if (!response || !response.ok || isHtml(response)) {
+        verification.method = 'GET';
+        response = await this.request(url, 'GET', crawlDelayMs, signal);
+      }
+
+      verification.status = response.status;
+      verification.finalUrl = response.url || url;
+      verification.contentType = response.headers.get('content-type')?.split(';')[0].trim() || null;
+      const html = verification.method === 'GET' && response.ok && isHtml(response)
+        ? await readStart(response, MAX_HTML_BYTES)
+        : (response.body?.destroy?.(), null);
+
+      if (response.ok) {
+        verification.soft404 = detectSoft404(html, url, verification.finalUrl);
+        verification.state = verification.soft404 ? 'broken' : 'ok';
+      } else if (response.status >= 500 || INCONCLUSIVE_STATUSES.includes(response.status)) {
+        verification.state = 'unknown';
+      } else {
+        verification.state = 'broken';
+      }
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      verification.error = error.message;
+      // Blocked and unresolvable hosts can't be reached by anyone using the link; timeouts may pass
+      verification.state = error instanceof BlockedUrlError ? 'broken' : 'unknown';
+    }
+    return this.remember(url, verification);
+  }
+
+  remember(url, verification) {
+    const checked = { ...verification, checkedAt: new Date().toISOString() };
+    this.cache.set(url, checked);
+    return checked;
+  }
+
+  // Map of url -> verification for up to MAX_CHECKED_LINKS URLs. URLs not reached within the time budget are left out
+  async verifyAll(urls, { signal } = {}) {
+    const deadline = Date.now() + this.timeBudgetMs;
+    const results = new Map();
+    await runWithConcurrency(urls.slice(0, MAX_CHECKED_LINKS), this.concurrency, async (url) => {
+      if (Date.now() >= deadline) return;
+      results.set(url, await this.check(url, { signal }));
+    }, signal);
+    return results;
+  }
+}
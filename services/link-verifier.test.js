@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'node:stream';
+import { BlockedUrlError } from './url-guard.js';
+import { LinkVerifier, detectSoft404, verifyLinksError } from './link-verifier.js';
+
+const page = ({ title = 'Docs', h1 = 'Getting started', body = 'A real page with plenty of text.' } = {}) =>
+  `<html><head><title>${title}</title></head><body><h1>${h1}</h1><p>${body}</p></body></html>`;
+
+test('detectSoft404 flags not-found titles, headings and short pages', () => {
+  const url = 'https://example.com/docs/old';
+  assert.equal(detectSoft404(page({ title: 'Oops! Page not found' }), url, url), 'title "Oops! Page not found"');
+  assert.equal(detectSoft404(page({ title: '404 | Acme', h1: "We couldn't find that page" }), url, url), 'heading "We couldn\'t find that page"');
+  assert.equal(detectSoft404(page({ body: 'This page no longer exists.' }), url, url), 'page text says not found');
+  assert.equal(detectSoft404(page(), url, url), null);
+});
+
+test('detectSoft404 needs not-found wording, not just a 404', () => {
+  const url = 'https://example.com/blog/http-errors';
+  assert.equal(detectSoft404(page({ title: 'HTTP 404 explained', h1: 'What a 404 means' }), url, url), null);
+  assert.equal(detectSoft404(page({ title: '404' }), url, url), null);
+  assert.equal(detectSoft404(page({ title: '404 - Not Found' }), url, url), 'title "404 - Not Found"');
+});
+
+test('detectSoft404 ignores "not found" in long articles', () => {
+  const url = 'https://example.com/docs/errors';
+  assert.equal(detectSoft404(page({ h1: 'Errors', body: `Page not found errors happen when... ${'More text. '.repeat(300)}` }), url, url), null);
+});
+
+test('detectSoft404 flags deep links that land on the home page', () => {
+  assert.equal(detectSoft404(null, 'https://example.com/docs/old', 'https://www.example.com/'), 'redirected to the home page');
+  assert.equal(detectSoft404(null, 'https://example.com/', 'https://example.com/'), null);
+});
+
+test('verifyLinksError accepts booleans and the modes', () => {
+  assert.equal(verifyLinksError(true), null);
+  assert.equal(verifyLinksError('drop'), null);
+  assert.equal(verifyLinksError('strict'), 'verifyLinks must be true, false or one of: flag, drop');
+});
+
+const response = (status, { contentType = 'text/html', html = '', url } = {}) => ({
+  status,
+  ok: status >= 200 && status < 300,
+  url,
+  headers: new Map([['content-type', contentType]]),
+  body: Readable.from([Buffer.from(html)])
+});
+
+const verifierFor = (answer, { allowed = true, blocked = null } = {}) => {
+  const requests = [];
+  const scheduled = [];
+  const verifier = new LinkVerifier({
+    urlGuard: {
+      assertAllowed: async (url) => {
+        if (blocked) throw new BlockedUrlError(url, blocked);
+      },
+      fetch: async (url, { method }) => {
+        requests.push(method);
+        return answer(method, url);
+      }
+    },
+    robots: { check: async () => ({ allowed, reason: allowed ? null : 'disallowed by robots.txt', crawlDelayMs: 0 }) },
+    scheduler: {
+      schedule: (url, fn) => {
+        scheduled.push(url);
+        return fn();
+      }
+    }
+  });
+  return { verifier, requests, scheduled };
+};
+
+test('LinkVerifier uses HEAD for files and GET for HTML pages, through the scheduler', async () => {
+  const pdf = verifierFor(() => response(200, { contentType: 'application/pdf' }));
+  const file = await pdf.verifier.check('https://example.com/guide.pdf');
+  assert.equal(file.state, 'ok');
+  assert.deepEqual(pdf.requests, ['HEAD']);
+  assert.deepEqual(pdf.scheduled, ['https://example.com/guide.pdf']);
+
+  const html = verifierFor(() => response(200, { html: page({ title: 'Page not found' }) }));
+  const soft = await html.verifier.check('https://example.com/docs/old');
+  assert.deepEqual(html.requests, ['HEAD', 'GET']);
+  assert.equal(soft.state, 'broken');
+  assert.equal(soft.soft404, 'title "Page not found"');
+});
+
+test('LinkVerifier sorts statuses into broken and unknown', async () => {
+  for (const [status, state] of [[404, 'broken'], [410, 'broken'], [403, 'unknown'], [429, 'unknown'], [503, 'unknown']]) {
+    const { verifier } = verifierFor(() => response(status));
+    assert.equal((await verifier.check('https://example.com/a')).state, state, String(status));
+  }
+});
+
+test('LinkVerifier reports blocked hosts as broken and robots.txt refusals as unknown', async () => {
+  const unresolvable = verifierFor(() => response(200), { blocked: 'could not resolve' });
+  assert.equal((await unresolvable.verifier.check('https://gone.example.com/')).state, 'broken');
+
+  const disallowed = verifierFor(() => response(200), { allowed: false });
+  const result = await disallowed.verifier.check('https://example.com/private');
+  assert.equal(result.state, 'unknown');
+  assert.equal(result.error, 'disallowed by robots.txt');
+  assert.deepEqual(disallowed.requests, []);
+});
@@ -0,0 +1,65 @@
+// Locale handling
+// Pages declare their language (html lang, Content-Language, og:locale) and their translations (hreflang alternates).
+// A requested locale is scanned through its hreflang alternate when the page has one, otherwise by asking the same URL
+// for it with Accept-Language and browser locale emulation.
+
+export const MAX_LOCALES = 5;
+
+const LOCALE_TAG = /^[a-z]{2,3}(-[a-z]{4})?(-([a-z]{2}|\d{3}))?$/i;
+
+// "es_mx" -> "es-MX", "zh-hant-tw" -> "zh-Hant-TW"; null when it isn't a language tag
+export function normalizeLocale(tag) {
+  if (typeof tag !== 'string') return null;
+  const value = tag.trim().replace(/_/g, '-');
+  if (!LOCALE_TAG.test(value)) return null;
+  return value.split('-').map((part, index) => {
+    if (index === 0) return part.toLowerCase();
+    if (part.length === 4) return part[0].toUpperCase() + part.slice(1).toLowerCase();
+    return part.toUpperCase();
+  }).join('-');
+}
+
+// "es-MX" -> "es"
+export const primaryLanguage = (tag) => normalizeLocale(tag)?.split('-')[0] || null;
+
+// locales is a list of language tags such as ["es", "fr-CA"] - returns an error message or null
+export function localesError(locales, field = 'locales') {
+  if (locales === undefined) return null;
+  if (!Array.isArray(locales) || locales.length === 0) return `${field} must be a non-empty array of language tags`;
+  if (locales.length > MAX_LOCALES) return `${field} takes at most ${MAX_LOCALES} locales`;
+  const invalid = locales.filter(locale => !normalizeLocale(locale));
+  if (invalid.length) return `${field} has invalid language tags: ${invalid.map(String).join(', ')} (expected tags like "es" or "es-MX")`;
+  return null;
+}
+
+// Accept-Language header preferring the locale, then its base language
+export function acceptLanguage(locale) {
+  const language = primaryLanguage(locale);
+  return language && language !== locale ? `${locale},${language};q=0.9` : locale;
+}
+
+// The hreflang alternate for a locale: an exact tag match first, then any alternate in the same language
+export function findAlternate(alternates = [], locale) {
+  const candidates = alternates.filter(alternate => alternate.hreflang && alternate.hreflang.toLowerCase() !== 'x-default');
+  return candidates.find(alternate => normalizeLocale(alternate.hreflang) === locale) ||
+    candidates.find(alternate => primaryLanguage(alternate.hreflang) === primaryLanguage(locale)) ||
+    null;
+}
+
+// categorizedResources maps, merged and regrouped as { [language]: { [category]: resources } }.
+// Resources whose page declared no language go under "und" (undetermined)
+export function groupByLanguage(...categorizedMaps) {
+  const grouped = {};
+  for (const categorized of categorizedMaps) {
+    for (const [category, resources] of Object.entries(categorized)) {
+      for (const resource of resources) {
+        const language = resource.language || 'und';
+        grouped[language] ||= Object.fromEntries(Object.keys(categorized).map(key => [key, []]));
+        if (!grouped[language][category].some(existing => existing.url === resource.url)) {
+          grouped[language][category].push(resource);
+        }
+      }
+    }
+  }
+  return grouped;
+}
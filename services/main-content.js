@@ -0,0 +1,140 @@
+// Main-content extraction
+// Strips boilerplate, lets Readability score the remaining blocks, and returns the article as Markdown, text or HTML
+// cut to a token budget at block boundaries, so no sentence is chopped in half
+import { JSDOM, VirtualConsole } from 'jsdom';
+import { Readability } from '@mozilla/readability';
+import TurndownService from 'turndown';
+
+export const CONTENT_FORMATS = ['markdown', 'text', 'html'];
+
+export const DEFAULT_MAX_TOKENS = 2500;
+
+// Chrome around the content that Readability sometimes keeps - cookie banners in particular
+const BOILERPLATE_SELECTORS = [
+  'script', 'style', 'noscript', 'template', 'svg', 'iframe', 'form',
+  'nav', 'footer', 'aside', '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[role="dialog"]', '[aria-modal="true"]',
+  '[id*="cookie" i]', '[class*="cookie" i]', '[id*="consent" i]', '[class*="consent" i]', '[class*="newsletter" i]', '[class*="popup" i]'
+];
+
+const turndown = new TurndownService({ headingStyle: 'atx', codeBlockStyle: 'fenced', bulletListMarker: '-' });
+
+// Rough count for budgeting - about four characters per token for English prose
+export function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+// Code spans and Markdown links - a full stop inside them ("[docs](https://e.com/a.html)") doesn't end a sentence
+const UNBREAKABLE = /`[^`]*`|!?\[[^\]]*\]\([^)]*\)/g;
+
+// Cut text at the last sentence that fits. A sentence ends at . ! or ? (and any closing quotes or brackets)
+// followed by whitespace or the end of the text
+export function truncateSentences(text, maxTokens) {
+  const unbreakable = [...text.matchAll(UNBREAKABLE)].map(match => [match.index, match.index + match[0].length]);
+  const sentences = [];
+  let start = 0;
+  for (const match of text.matchAll(/[.!?]+["')\]]*(\s+|$)/g)) {
+    if (unbreakable.some(([from, to]) => match.index >= from && match.index < to)) continue;
+    const end = match.index + match[0].length;
+    if (end > start) sentences.push(text.slice(start, end));
+    start = end;
+  }
+  if (start < text.length) sentences.push(text.slice(start));
+
+  let kept = '';
+  for (const sentence of sentences) {
+    if (estimateTokens(kept + sentence) > maxTokens) break;
+    kept += sentence;
+  }
+  return kept.trim();
+}
+
+// Keep whole blocks while they fit the budget, then as many sentences of the next block as still fit.
+// HTML blocks are never split - cutting markup would leave tags unclosed.
+function fitBlocks(blocks, maxTokens, separator, { splitSentences = true } = {}) {
+  const kept = [];
+  let used = 0;
+  for (const block of blocks) {
+    const separatorCost = kept.length ? estimateTokens(separator) : 0;
+    const cost = estimateTokens(block) + separatorCost;
+    if (used + cost > maxTokens) {
+      const partial = splitSentences ? truncateSentences(block, maxTokens - used - separatorCost) : '';
+      if (partial) kept.push(partial);
+      return { content: kept.join(separator), truncated: true };
+    }
+    kept.push(block);
+    used += cost;
+  }
+  return { content: kept.join(separator), truncated: false };
+}
+
+// Split Markdown on blank lines without breaking a fenced code block apart
+function markdownBlocks(markdown) {
+  const blocks = [];
+  let open = null;
+  for (const part of markdown.split(/\n{2,}/)) {
+    open = open === null ? part : `${open}\n\n${part}`;
+    if ((open.match(/^```/gm) || []).length % 2 === 0) {
+      blocks.push(open.trim());
+      open = null;
+    }
+  }
+  if (open !== null) blocks.push(open.trim());
+  return blocks.filter(Boolean);
+}
+
+function textBlocks(element) {
+  const blockTags = 'p, li, h1, h2, h3, h4, h5, h6, pre, blockquote, td, th, dt, dd, figcaption';
+  const blocks = Array.from(element.querySelectorAll(blockTags))
+    .filter(node => !node.parentElement.closest(blockTags))
+    .map(node => node.tagName === 'PRE' ? node.textContent.trim() : node.textContent.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+  return blocks.length > 0 ? blocks : [element.textContent.replace(/\s+/g, ' ').trim()].filter(Boolean);
+}
+
+// html is the page as rendered (or fetched); url resolves relative links
+// Returns the article in the requested format plus a plain-text copy under the same budget
+export function extractMainContent(html, url, { format = 'markdown', maxTokens = DEFAULT_MAX_TOKENS } = {}) {
+  const dom = new JSDOM(html, { url, virtualConsole: new VirtualConsole() });
+  try {
+    const { document } = dom.window;
+    document.querySelectorAll(BOILERPLATE_SELECTORS.join(', ')).forEach(node => node.remove());
+
+    // Links and images must survive serialization with absolute URLs
+    document.querySelectorAll('a[href]').forEach(link => link.setAttribute('href', link.href));
+    document.querySelectorAll('img[src]').forEach(img => img.setAttribute('src', img.src));
+
+    const fallbackTitle = document.title;
+    const article = new Readability(document, { keepClasses: false }).parse();
+    const container = document.createElement('div');
+    container.innerHTML = article?.content || document.body?.innerHTML || '';
+
+    const text = fitBlocks(textBlocks(container), maxTokens, '\n\n');
+    let result;
+    if (format === 'html') {
+      // Readability wraps the article in single-child <div>s - budget the blocks inside them
+      let root = container;
+      while (root.children.length === 1 && root.firstElementChild.children.length > 0) {
+        root = root.firstElementChild;
+      }
+      result = fitBlocks(Array.from(root.children).map(node => node.outerHTML), maxTokens, '\n', { splitSentences: false });
+    } else if (format === 'text') {
+      result = text;
+    } else {
+      result = fitBlocks(markdownBlocks(turndown.turndown(container)), maxTokens, '\n\n');
+    }
+
+    return {
+      format,
+      title: article?.title || fallbackTitle || null,
+      byline: article?.byline || null,
+      excerpt: article?.excerpt || null,
+      content: result.content,
+      tokens: estimateTokens(result.content),
+      truncated: result.truncated,
+      readable: Boolean(article),
+      text: text.content
+    };
+  } finally {
+    dom.window.close();
+  }
+}
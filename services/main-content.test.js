@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { truncateSentences } from './main-content.js';
+
+test('truncateSentences keeps the sentences that fit', () => {
+  assert.equal(truncateSentences('One two three. Four five six. Seven eight nine.', 8), 'One two three. Four five six.');
+});
+
+test('truncateSentences does not end a sentence inside a link target', () => {
+  const text = 'Read the guide first. -   a [link](https://e.com/docs/a.html) to the setup page for more. Then continue.';
+  assert.equal(truncateSentences(text, 20), 'Read the guide first.');
+  assert.equal(truncateSentences(text, 25), 'Read the guide first. -   a [link](https://e.com/docs/a.html) to the setup page for more.');
+});
+
+test('truncateSentences does not end a sentence inside a code span or a number', () => {
+  assert.equal(truncateSentences('Version 1.2 adds `client.run()` calls. More later.', 11), 'Version 1.2 adds `client.run()` calls.');
+});
+
+test('truncateSentences keeps closing quotes and brackets with their sentence', () => {
+  assert.equal(truncateSentences('He said "stop." (Really!) Then left.', 7), 'He said "stop." (Really!)');
+});
+
+test('truncateSentences returns nothing when the first sentence does not fit', () => {
+  assert.equal(truncateSentences('A rather long opening sentence with many words.', 2), '');
+});
@@ -0,0 +1,201 @@
+// Pricing plan extraction
+// Builds plan objects from the pricing cards on the page (collectPricingCandidates) and from schema.org Offer data,
+// merging the two when they describe the same plan. Every plan carries a 0-1 confidence score.
+import { findEntities, propertyValue } from './structured-data.js';
+
+// Plans scoring below this are most likely stray prices ("$5 off your first order") rather than plans
+const MIN_CONFIDENCE = 0.35;
+
+const CURRENCY_CODES = ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'INR', 'JPY'];
+const CURRENCY_SYMBOLS = { 'US$': 'USD', 'CA$': 'CAD', 'C$': 'CAD', 'AU$': 'AUD', 'A$': 'AUD', '$': 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY', '₹': 'INR' };
+
+const PERIODS = [
+  [/(\/|\bper\b|\ba\b)\s*(mo|mth|month)\b|\bmonthly\b/i, 'month'],
+  [/(\/|\bper\b|\ba\b)\s*(yr|year)\b|\b(annual(ly)?|yearly)\b/i, 'year'],
+  [/(\/|\bper\b|\ba\b)\s*(wk|week)\b|\bweekly\b/i, 'week'],
+  [/\bone[- ]time\b|\blifetime\b/i, 'one-time']
+];
+
+// ISO 8601 billingDuration and UN/CEFACT unitCode values used in UnitPriceSpecification
+const SCHEMA_PERIODS = { P1M: 'month', P1Y: 'year', P12M: 'year', P1W: 'week', MON: 'month', ANN: 'year', WEE: 'week' };
+
+const UNITS = [
+  [/(\/|\bper\b|\beach\b)\s*(user|seat|member|editor|licen[cs]e|account)s?\b/i, 'seat'],
+  [/(\/|\bper\b|\beach\b)\s*(student|learner|pupil)s?\b/i, 'student'],
+  [/(\/|\bper\b|\beach\b)\s*teachers?\b/i, 'teacher'],
+  [/(\/|\bper\b|\beach\b)\s*(class|classroom)(es|s)?\b/i, 'classroom'],
+  [/(\/|\bper\b|\beach\b)\s*(school|campus|site)s?\b/i, 'school']
+];
+
+const EDUCATION_DISCOUNT = /\b(education(al)?|teachers?|students?|schools?|academic|edu|non-?profits?)\b.{0,40}\b(discount|pricing|price|plan|free|off)\b|\b(discount|free|special pricing)\b.{0,40}\b(education|teachers?|students?|schools?|academic)\b/i;
+
+// "Free" means a free tier, not a free trial
+const FREE = /\bfree\b(?!\s*(trial|for \d+ days))/i;
+
+const CUSTOM_PRICE = /\b(contact (us|sales)|custom|get a quote|request a quote|talk to sales)\b/i;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const round = (value) => Math.round(Math.min(1, value) * 100) / 100;
+
+// Digits with optional grouping: "1,299.50", "1.299,00", "1 299,00" (plain, no-break or narrow no-break spaces)
+const NUMBER = '\\d{1,3}(?:[ \\u00a0\\u202f]\\d{3})+(?:[.,]\\d+)?|\\d[\\d,.]*';
+const SYMBOL = '(US\\$|CA\\$|C\\$|AU\\$|A\\$|[$€£¥₹])';
+
+// The last separator is the decimal point unless exactly three digits follow it: "1.299,00" and "9,99" have decimal
+// commas, "1,299.50" a decimal point, and "1,299" / "1.299" are whole thousands
+function parseNumber(number) {
+  const digits = number.replace(/[ \u00a0\u202f]/g, '').replace(/[.,]+$/, '');
+  const last = Math.max(digits.lastIndexOf(','), digits.lastIndexOf('.'));
+  if (last === -1) return parseFloat(digits);
+  const whole = digits.slice(0, last).replace(/[.,]/g, '');
+  const fraction = digits.slice(last + 1);
+  return fraction.length === 3 ? parseFloat(whole + fraction) : parseFloat(`${whole}.${fraction}`);
+}
+
+// "$1,299.50/mo", "€1.299,00", "1 299,00 €", "€9,99", "49 USD", "Free" -> { amount, currency }
+export function parsePrice(text) {
+  const symbolMatch = text.match(new RegExp(`${SYMBOL}\\s?(${NUMBER})|(${NUMBER})\\s?${SYMBOL}`));
+  const codes = CURRENCY_CODES.join('|');
+  const codeMatch = text.match(new RegExp(`(${NUMBER})\\s?(${codes})\\b|\\b(${codes})\\s?(${NUMBER})`, 'i'));
+
+  let number = null;
+  let currency = null;
+  if (symbolMatch) {
+    number = symbolMatch[2] || symbolMatch[3];
+    currency = CURRENCY_SYMBOLS[symbolMatch[1] || symbolMatch[4]];
+  } else if (codeMatch) {
+    number = codeMatch[1] || codeMatch[4];
+    currency = (codeMatch[2] || codeMatch[3]).toUpperCase();
+  }
+
+  if (number !== null) {
+    const amount = parseNumber(number);
+    if (!Number.isNaN(amount)) return { amount, currency };
+  }
+  if (FREE.test(text)) return { amount: 0, currency: null };
+  return { amount: null, currency: null };
+}
+
+const match = (patterns, text) => patterns.find(([pattern]) => pattern.test(text))?.[1] || null;
+
+function planFromCard(card, cardCount) {
+  // An amount beats a bare "Free" label in the same card
+  const priceText = card.prices.find(text => /\d/.test(text)) || card.prices[0] || '';
+  const { amount, currency } = parsePrice(priceText);
+  const name = card.name || card.text.split('\n').map(line => line.trim())
+    .find(line => line && line.length <= 40 && !card.prices.some(price => price.includes(line) || line.includes(price))) || null;
+  const custom = amount === null && CUSTOM_PRICE.test(card.text);
+
+  let confidence = 0.1;
+  if (name) confidence += 0.2;
+  if (amount !== null || custom) confidence += 0.25;
+  if (currency) confidence += 0.05;
+  if (match(PERIODS, priceText) || match(PERIODS, card.text)) confidence += 0.15;
+  if (card.features.length >= 2) confidence += 0.15;
+  if (card.inPricingSection) confidence += 0.1;
+  if (cardCount >= 2) confidence += 0.1;
+
+  return {
+    name,
+    amount,
+    currency,
+    period: match(PERIODS, priceText) || match(PERIODS, card.text),
+    unit: match(UNITS, priceText) || match(UNITS, card.text),
+    isFree: amount === 0 || Boolean(name && FREE.test(name)),
+    customPricing: custom,
+    educationDiscount: EDUCATION_DISCOUNT.test(card.text),
+    highlighted: card.highlighted,
+    features: card.features,
+    priceText: priceText || null,
+    sources: ['dom'],
+    confidence: round(confidence)
+  };
+}
+
+function planFromOffer(offer) {
+  const spec = propertyValue(offer, 'priceSpecification');
+  const specValue = (property) => (spec && typeof spec === 'object' ? propertyValue(spec, property) : null);
+  const rawPrice = propertyValue(offer, 'price') ?? specValue('price') ?? propertyValue(offer, 'lowPrice');
+  const amount = rawPrice === null ? null : parseFloat(String(rawPrice).replace(/,/g, ''));
+  const currency = propertyValue(offer, 'priceCurrency') ?? specValue('priceCurrency');
+  const name = propertyValue(offer, 'name') ?? propertyValue(offer, 'category');
+  const description = [propertyValue(offer, 'description'), propertyValue(offer, 'eligibleCustomerType'), specValue('unitText')]
+    .filter(value => typeof value === 'string')
+    .join(' ');
+  const period = SCHEMA_PERIODS[String(specValue('billingDuration') || specValue('unitCode') || '').toUpperCase()] || match(PERIODS, description);
+
+  let confidence = 0.6;
+  if (name) confidence += 0.1;
+  if (amount !== null && !Number.isNaN(amount)) confidence += 0.15;
+  if (currency) confidence += 0.05;
+  if (period) confidence += 0.1;
+
+  return {
+    name: typeof name === 'string' ? name : null,
+    amount: Number.isNaN(amount) ? null : amount,
+    currency: typeof currency === 'string' ? currency.toUpperCase() : null,
+    period,
+    unit: match(UNITS, description),
+    isFree: amount === 0,
+    customPricing: false,
+    educationDiscount: EDUCATION_DISCOUNT.test(description),
+    highlighted: false,
+    features: [],
+    priceText: null,
+    sources: ['schema.org'],
+    confidence: round(confidence)
+  };
+}
+
+const sameName = (a, b) => a.name && b.name && a.name.trim().toLowerCase() === b.name.trim().toLowerCase();
+
+// A schema.org plan matching a DOM plan by name (or by amount and currency) fills in what the DOM lacked
+function mergePlan(plans, offerPlan) {
+  const target = plans.find(plan => sameName(plan, offerPlan)) ||
+    plans.find(plan => !plan.sources.includes('schema.org') && plan.amount !== null && plan.amount === offerPlan.amount &&
+      (!plan.currency || plan.currency === offerPlan.currency));
+  if (!target) {
+    plans.push(offerPlan);
+    return;
+  }
+  for (const field of ['name', 'amount', 'currency', 'period', 'unit']) {
+    if (target[field] === null) target[field] = offerPlan[field];
+  }
+  target.isFree = target.isFree || offerPlan.isFree;
+  target.educationDiscount = target.educationDiscount || offerPlan.educationDiscount;
+  target.sources.push('schema.org');
+  target.confidence = round(Math.max(target.confidence, offerPlan.confidence) + 0.1);
+}
+
+// candidates is collectPricingCandidates()'s output; structuredData is normalizeStructuredData()'s
+export function extractPricingPlans(candidates, structuredData) {
+  const plans = candidates.cards
+    .map(card => planFromCard(card, candidates.cards.length))
+    .filter(plan => plan.confidence >= MIN_CONFIDENCE && (plan.amount !== null || plan.customPricing));
+
+  const offers = [...findEntities(structuredData, 'Offer'), ...findEntities(structuredData, 'AggregateOffer')];
+  offers.map(planFromOffer).forEach(offerPlan => mergePlan(plans, offerPlan));
+
+  // "Teachers get 50% off Pro" outside the cards still flags the Pro plan
+  const educationMentions = candidates.educationMentions.filter(mention => EDUCATION_DISCOUNT.test(mention));
+  for (const plan of plans) {
+    const named = plan.name && new RegExp(`\\b${escapeRegExp(plan.name)}\\b`, 'i');
+    if (named && educationMentions.some(mention => named.test(mention))) {
+      plan.educationDiscount = true;
+    }
+  }
+
+  const currencies = plans.map(plan => plan.currency).filter(Boolean);
+
+  return {
+    plans,
+    currency: currencies.sort((a, b) => currencies.filter(c => c === b).length - currencies.filter(c => c === a).length)[0] || null,
+    hasFreeTier: plans.some(plan => plan.isFree),
+    educationDiscount: {
+      offered: plans.some(plan => plan.educationDiscount) || educationMentions.length > 0,
+      evidence: educationMentions
+    },
+    confidence: plans.length ? round(plans.reduce((sum, plan) => sum + plan.confidence, 0) / plans.length) : 0
+  };
+}
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePrice } from './pricing.js';
+
+test('parsePrice reads a decimal comma after dot-grouped thousands', () => {
+  assert.deepEqual(parsePrice('€1.299,00'), { amount: 1299, currency: 'EUR' });
+});
+
+test('parsePrice reads space-grouped thousands with the symbol after the amount', () => {
+  assert.deepEqual(parsePrice('1 299,00 €'), { amount: 1299, currency: 'EUR' });
+  assert.deepEqual(parsePrice('1\u202f299,00\u00a0€'), { amount: 1299, currency: 'EUR' });
+});
+
+test('parsePrice reads comma-grouped thousands with a decimal point', () => {
+  assert.deepEqual(parsePrice('$1,299.50/mo'), { amount: 1299.5, currency: 'USD' });
+  assert.deepEqual(parsePrice('$1,299'), { amount: 1299, currency: 'USD' });
+});
+
+test('parsePrice reads a decimal comma', () => {
+  assert.deepEqual(parsePrice('€9,99'), { amount: 9.99, currency: 'EUR' });
+});
+
+test('parsePrice reads currency codes before or after the amount', () => {
+  assert.deepEqual(parsePrice('49 USD per month'), { amount: 49, currency: 'USD' });
+  assert.deepEqual(parsePrice('GBP 12.50'), { amount: 12.5, currency: 'GBP' });
+});
+
+test('parsePrice treats "Free" as zero but not a free trial', () => {
+  assert.deepEqual(parsePrice('Free'), { amount: 0, currency: null });
+  assert.deepEqual(parsePrice('Free trial for 14 days'), { amount: null, currency: null });
+});
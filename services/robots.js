@@ -0,0 +1,204 @@
+// robots.txt compliance
+// Each origin's robots.txt is fetched once, cached, and evaluated for our user-agent token following RFC 9309:
+// the most specific matching group applies, the longest matching rule wins and Allow wins ties.
+import NodeCache from 'node-cache';
+import { BlockedUrlError } from './url-guard.js';
+
+const MAX_ROBOTS_BYTES = 500 * 1024;
+// A robots.txt answering 5xx is retried sooner than the normal cache lifetime
+const UNREACHABLE_TTL_SECONDS = 300;
+// Network errors and timeouts are often momentary, so they are only remembered long enough to spare a burst of retries
+const FETCH_FAILED_TTL_SECONDS = 15;
+// Crawl-delay values beyond this are treated as this
+export const MAX_CRAWL_DELAY_MS = 30000;
+
+export class RobotsBlockedError extends BlockedUrlError {
+  constructor(url, reason) {
+    super(url, reason);
+    this.name = 'RobotsBlockedError';
+  }
+}
+
+// { groups: [{ agents, rules: [{ allow, path }], crawlDelay }], sitemaps }
+export function parseRobots(text) {
+  const groups = [];
+  const sitemaps = [];
+  let group = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of text.split(/\r\n|\r|\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+    const key = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (key === 'user-agent') {
+      // Consecutive user-agent lines share one group
+      if (!lastWasAgent) {
+        group = { agents: [], rules: [], crawlDelay: null };
+        groups.push(group);
+      }
+      group.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+
+    if (key === 'sitemap') {
+      if (value) sitemaps.push(value);
+    } else if (!group) {
+      continue;
+    } else if ((key === 'allow' || key === 'disallow') && value) {
+      group.rules.push({ allow: key === 'allow', path: value });
+    } else if (key === 'crawl-delay' && /^\d+(\.\d+)?$/.test(value)) {
+      group.crawlDelay = parseFloat(value);
+    }
+  }
+
+  return { groups, sitemaps };
+}
+
+// Rule paths use * for any characters and a trailing $ to anchor the end. Matched without regular expressions: the
+// literal parts are found left to right with indexOf, taking the earliest match each time, so a rule with many
+// wildcards ("/*a*a*a*a*b") costs linear time rather than backtracking
+function ruleMatches(path, target) {
+  const anchored = path.endsWith('$');
+  const parts = (anchored ? path.slice(0, -1) : path).split('*');
+  const first = parts[0];
+  if (!target.startsWith(first)) return false;
+  if (parts.length === 1) return !anchored || target.length === first.length;
+
+  let position = first.length;
+  for (const part of parts.slice(1, -1)) {
+    const found = target.indexOf(part, position);
+    if (found === -1) return false;
+    position = found + part.length;
+  }
+  const last = parts[parts.length - 1];
+  if (anchored) return target.length - last.length >= position && target.endsWith(last);
+  return target.indexOf(last, position) !== -1;
+}
+
+// Paths are compared with the same percent-encoding, so /café and /caf%C3%A9 match alike
+function normalizePath(path) {
+  try {
+    return encodeURI(decodeURI(path));
+  } catch {
+    return path;
+  }
+}
+
+// { allowed, rule, crawlDelayMs } for a URL under parsed robots.txt rules
+export function evaluateRobots(robots, userAgent, url) {
+  const { pathname, search } = new URL(url);
+  const target = normalizePath(`${pathname}${search}`);
+  const token = userAgent.toLowerCase();
+
+  // Every group naming our token applies, merged; otherwise every "*" group
+  let applicable = robots.groups.filter(group => group.agents.includes(token));
+  if (applicable.length === 0) applicable = robots.groups.filter(group => group.agents.includes('*'));
+
+  let match = null;
+  for (const rule of applicable.flatMap(group => group.rules)) {
+    if (!ruleMatches(normalizePath(rule.path), target)) continue;
+    if (!match || rule.path.length > match.path.length || (rule.path.length === match.path.length && rule.allow)) {
+      match = rule;
+    }
+  }
+
+  const delays = applicable.map(group => group.crawlDelay).filter(delay => delay !== null);
+  return {
+    allowed: pathname === '/robots.txt' || !match || match.allow,
+    rule: match ? `${match.allow ? 'Allow' : 'Disallow'}: ${match.path}` : null,
+    crawlDelayMs: delays.length ? Math.min(Math.max(...delays) * 1000, MAX_CRAWL_DELAY_MS) : 0
+  };
+}
+
+export class RobotsPolicy {
+  // userAgent is the product token robots.txt groups are matched against
+  constructor({ urlGuard, userAgent = 'ScannerBot', enabled = true, ttlSeconds = 3600, timeoutMs = 5000 }) {
+    this.urlGuard = urlGuard;
+    this.userAgent = userAgent;
+    this.enabled = enabled;
+    this.ttlSeconds = ttlSeconds;
+    this.timeoutMs = timeoutMs;
+    this.cache = new NodeCache({ stdTTL: ttlSeconds, checkperiod: 600, useClones: false });
+    this.pending = new Map();
+  }
+
+  static fromEnv({ urlGuard }) {
+    return new RobotsPolicy({
+      urlGuard,
+      userAgent: process.env.ROBOTS_USER_AGENT || 'ScannerBot',
+      enabled: process.env.RESPECT_ROBOTS_TXT !== 'false',
+      ttlSeconds: parseInt(process.env.ROBOTS_CACHE_SECONDS) || 3600
+    });
+  }
+
+  // Parsed robots.txt for the URL's origin, or { unreachable } when it could not be read
+  async robotsFor(url) {
+    const origin = new URL(url).origin;
+    const cached = this.cache.get(origin);
+    if (cached) return cached;
+    // Concurrent scans of one site share a single download
+    if (!this.pending.has(origin)) {
+      this.pending.set(origin, this.download(origin).finally(() => this.pending.delete(origin)));
+    }
+    return this.pending.get(origin);
+  }
+
+  async download(origin) {
+    const robotsUrl = `${origin}/robots.txt`;
+    let robots;
+    let ttl = this.ttlSeconds;
+    try {
+      const response = await this.urlGuard.fetch(robotsUrl, {
+        headers: { 'User-Agent': `Mozilla/5.0 (compatible; ${this.userAgent}/1.0)` },
+        timeout: this.timeoutMs,
+        size: MAX_ROBOTS_BYTES
+      });
+      if (response.ok) {
+        robots = parseRobots(await response.text());
+      } else if (response.status >= 400 && response.status < 500) {
+        // No robots.txt (or no access to it) means no restrictions
+        robots = { groups: [], sitemaps: [] };
+      } else {
+        robots = { unreachable: `robots.txt at ${robotsUrl} returned HTTP ${response.status}` };
+        ttl = Math.min(UNREACHABLE_TTL_SECONDS, this.ttlSeconds);
+      }
+    } catch (error) {
+      robots = { unreachable: `robots.txt at ${robotsUrl} could not be fetched (${error.message})` };
+      ttl = Math.min(FETCH_FAILED_TTL_SECONDS, this.ttlSeconds);
+    }
+
+    this.cache.set(origin, robots, ttl);
+    return robots;
+  }
+
+  // { allowed, reason, crawlDelayMs } - an unreachable robots.txt disallows the whole site, as RFC 9309 asks
+  async check(url) {
+    if (!this.enabled) return { allowed: true, reason: null, crawlDelayMs: 0 };
+
+    const robots = await this.robotsFor(url);
+    if (robots.unreachable) return { allowed: false, reason: `${robots.unreachable}, so the site is treated as disallowed`, crawlDelayMs: 0 };
+
+    const { allowed, rule, crawlDelayMs } = evaluateRobots(robots, this.userAgent, url);
+    return {
+      allowed,
+      reason: allowed ? null : `disallowed by robots.txt for ${this.userAgent} (${rule})`,
+      crawlDelayMs
+    };
+  }
+
+  // Throws RobotsBlockedError for a disallowed URL; returns the site's Crawl-delay otherwise
+  async assertAllowed(url) {
+    const { allowed, reason, crawlDelayMs } = await this.check(url);
+    if (!allowed) throw new RobotsBlockedError(url, reason);
+    return { crawlDelayMs };
+  }
+
+  status() {
+    return { enabled: this.enabled, userAgent: this.userAgent, cachedOrigins: this.cache.keys().length };
+  }
+}
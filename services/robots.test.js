@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RobotsPolicy, evaluateRobots, parseRobots } from './robots.js';
+
+const ROBOTS = `
+# Comments are ignored
+User-agent: OtherBot
+Disallow: /
+
+User-agent: ScannerBot
+User-agent: AnotherBot
+Disallow: /private
+Allow: /private/public
+Disallow: /*.pdf$
+Crawl-delay: 2
+
+User-agent: *
+Disallow: /admin
+
+Sitemap: https://example.com/sitemap.xml
+`;
+
+test('parseRobots groups consecutive user-agent lines and collects sitemaps', () => {
+  const robots = parseRobots(ROBOTS);
+  assert.equal(robots.groups.length, 3);
+  assert.deepEqual(robots.groups[1].agents, ['scannerbot', 'anotherbot']);
+  assert.equal(robots.groups[1].crawlDelay, 2);
+  assert.deepEqual(robots.sitemaps, ['https://example.com/sitemap.xml']);
+});
+
+test('evaluateRobots applies the longest matching rule of our group', () => {
+  const robots = parseRobots(ROBOTS);
+  const check = (path) => evaluateRobots(robots, 'ScannerBot', `https://example.com${path}`);
+  assert.deepEqual(check('/private/page'), { allowed: false, rule: 'Disallow: /private', crawlDelayMs: 2000 });
+  assert.equal(check('/private/public/page').allowed, true);
+  assert.equal(check('/files/guide.pdf').allowed, false);
+  assert.equal(check('/files/guide.pdf?download=1').allowed, true);
+  // Only the * group's rules apply when it isn't ours
+  assert.equal(check('/admin').allowed, true);
+  assert.equal(evaluateRobots(robots, 'SomeBot', 'https://example.com/admin').allowed, false);
+});
+
+test('evaluateRobots lets Allow win ties and always allows robots.txt itself', () => {
+  const robots = parseRobots('User-agent: *\nDisallow: /\nDisallow: /docs\nAllow: /docs');
+  assert.equal(evaluateRobots(robots, 'ScannerBot', 'https://example.com/docs/a').allowed, true);
+  assert.equal(evaluateRobots(robots, 'ScannerBot', 'https://example.com/robots.txt').allowed, true);
+  assert.equal(evaluateRobots(robots, 'ScannerBot', 'https://example.com/other').allowed, false);
+});
+
+test('evaluateRobots compares percent-encoded and plain paths alike', () => {
+  const robots = parseRobots('User-agent: *\nDisallow: /café');
+  assert.equal(evaluateRobots(robots, 'ScannerBot', 'https://example.com/caf%C3%A9/menu').allowed, false);
+});
+
+test('evaluateRobots matches wildcards and end anchors', () => {
+  const check = (rule, path) => evaluateRobots(parseRobots(`User-agent: *\nDisallow: ${rule}`), 'ScannerBot', `https://example.com${path}`).allowed;
+  assert.equal(check('/*/edit', '/docs/page/edit'), false);
+  assert.equal(check('/*/edit', '/edit'), true);
+  assert.equal(check('/docs$', '/docs'), false);
+  assert.equal(check('/docs$', '/docs/'), true);
+  assert.equal(check('/*.php$', '/index.php'), false);
+  assert.equal(check('/*.php$', '/index.php5'), true);
+  assert.equal(check('/a*b*b$', '/axbb'), false);
+  assert.equal(check('/a*b*b$', '/axb'), true);
+  assert.equal(check('*', '/anything'), false);
+});
+
+test('evaluateRobots matches many-wildcard rules in linear time', () => {
+  const robots = parseRobots('User-agent: *\nDisallow: /*a*a*a*a*a*a*a*a*a*a*a*a*ab');
+  const started = Date.now();
+  assert.equal(evaluateRobots(robots, 'ScannerBot', `https://example.com/${'a'.repeat(40)}`).allowed, true);
+  assert.equal(evaluateRobots(robots, 'ScannerBot', `https://example.com/${'a'.repeat(40)}b`).allowed, false);
+  assert.ok(Date.now() - started < 100);
+});
+
+const policyAnswering = (answer) => {
+  let downloads = 0;
+  const urlGuard = {
+    fetch: async () => {
+      downloads++;
+      return answer();
+    }
+  };
+  return { policy: new RobotsPolicy({ urlGuard }), downloads: () => downloads };
+};
+
+// Seconds until the cached robots.txt for example.com expires
+const secondsCached = (policy) => Math.round((policy.cache.getTtl('https://example.com') - Date.now()) / 1000);
+
+test('RobotsPolicy disallows the site for 5 minutes while robots.txt answers 5xx', async () => {
+  const { policy, downloads } = policyAnswering(() => ({ ok: false, status: 503 }));
+  assert.equal((await policy.check('https://example.com/a')).allowed, false);
+  assert.equal((await policy.check('https://example.com/b')).allowed, false);
+  assert.equal(downloads(), 1);
+  assert.equal(secondsCached(policy), 300);
+});
+
+test('RobotsPolicy treats a missing robots.txt as allowing everything', async () => {
+  const { policy } = policyAnswering(() => ({ ok: false, status: 404 }));
+  assert.deepEqual(await policy.check('https://example.com/a'), { allowed: true, reason: null, crawlDelayMs: 0 });
+  assert.equal(secondsCached(policy), 3600);
+});
+
+test('RobotsPolicy remembers a network failure only briefly', async () => {
+  const { policy } = policyAnswering(() => {
+    throw new Error('network timeout');
+  });
+  const blocked = await policy.check('https://example.com/a');
+  assert.equal(blocked.allowed, false);
+  assert.match(blocked.reason, /could not be fetched \(network timeout\)/);
+  assert.equal(secondsCached(policy), 15);
+});
@@ -0,0 +1,113 @@
+// Scan result cache
+// Keyed by normalized URL + engine + options so equivalent requests share one browser run
+import { createHash } from 'node:crypto';
+import NodeCache from 'node-cache';
+
+// Query parameters that never change page content
+const TRACKING_PARAMS = /^(utm_\w+|gclid|fbclid|mc_cid|mc_eid|ref)$/i;
+
+export function normalizeUrl(url) {
+  const parsed = new URL(url);
+  parsed.hash = '';
+  parsed.hostname = parsed.hostname.toLowerCase();
+
+  const params = [...parsed.searchParams.entries()]
+    .filter(([name]) => !TRACKING_PARAMS.test(name))
+    .sort(([a], [b]) => a.localeCompare(b));
+  parsed.search = new URLSearchParams(params).toString();
+
+  if (parsed.pathname.length > 1 && parsed.pathname.endsWith('/')) {
+    parsed.pathname = parsed.pathname.replace(/\/+$/, '');
+  }
+
+  return parsed.toString();
+}
+
+// JSON.stringify with sorted keys so { a, b } and { b, a } hash the same
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+const hash = (value) => createHash('sha256').update(value).digest('hex');
+
+export class ScanCache {
+  constructor({ ttlSeconds = 86400, maxEntries = 500 } = {}) {
+    this.ttlSeconds = ttlSeconds;
+    this.maxEntries = maxEntries;
+    this.cache = new NodeCache({ stdTTL: ttlSeconds, checkperiod: 600, useClones: false });
+    this.stats = { hits: 0, misses: 0 };
+  }
+
+  keyFor(url, engine, options = {}) {
+    const { fresh, ...cacheableOptions } = options;
+    return hash(`${normalizeUrl(url)}|${engine}|${stableStringify(cacheableOptions)}`);
+  }
+
+  // Returns { result, etag, storedAt, ageSeconds, maxAgeSeconds } or null
+  get(key) {
+    const entry = this.cache.get(key);
+    if (!entry) {
+      this.stats.misses++;
+      return null;
+    }
+
+    this.stats.hits++;
+    const ageSeconds = Math.floor((Date.now() - entry.storedAt) / 1000);
+    return { ...entry, ageSeconds, maxAgeSeconds: Math.max(0, this.ttlSeconds - ageSeconds) };
+  }
+
+  set(key, url, result) {
+    if (this.cache.keys().length >= this.maxEntries && !this.cache.has(key)) {
+      this.evictOldest();
+    }
+
+    const entry = {
+      result,
+      url: normalizeUrl(url),
+      host: new URL(url).hostname.toLowerCase(),
+      etag: `"${hash(JSON.stringify(result)).slice(0, 32)}"`,
+      storedAt: Date.now()
+    };
+    this.cache.set(key, entry);
+    return { ...entry, ageSeconds: 0, maxAgeSeconds: this.ttlSeconds };
+  }
+
+  evictOldest() {
+    let oldestKey = null;
+    let oldestAt = Infinity;
+    for (const key of this.cache.keys()) {
+      const entry = this.cache.get(key);
+      if (entry && entry.storedAt < oldestAt) {
+        oldestAt = entry.storedAt;
+        oldestKey = key;
+      }
+    }
+    if (oldestKey) this.cache.del(oldestKey);
+  }
+
+  // Remove every entry for an exact URL (any engine/options) or for a domain and its subdomains
+  purge({ url, domain }) {
+    const targetUrl = url ? normalizeUrl(url) : null;
+    const targetDomain = domain ? domain.toLowerCase().replace(/^\./, '') : null;
+
+    const keys = this.cache.keys().filter(key => {
+      const entry = this.cache.get(key);
+      if (!entry) return false;
+      if (targetUrl) return entry.url === targetUrl;
+      return entry.host === targetDomain || entry.host.endsWith(`.${targetDomain}`);
+    });
+
+    this.cache.del(keys);
+    return keys.length;
+  }
+
+  status() {
+    return { entries: this.cache.keys().length, maxEntries: this.maxEntries, ttlSeconds: this.ttlSeconds, ...this.stats };
+  }
+}
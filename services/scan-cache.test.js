@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ScanCache, normalizeUrl } from './scan-cache.js';
+
+const newCache = (t, options) => {
+  const cache = new ScanCache(options);
+  t.after(() => cache.cache.close());
+  return cache;
+};
+
+test('normalizeUrl drops fragments, tracking parameters and trailing slashes', () => {
+  assert.equal(normalizeUrl('https://Example.COM/docs/?utm_source=x&b=2&a=1#top'), 'https://example.com/docs?a=1&b=2');
+  assert.equal(normalizeUrl('https://example.com/?gclid=abc'), 'https://example.com/');
+  assert.equal(normalizeUrl('https://example.com/Docs'), 'https://example.com/Docs');
+});
+
+test('keyFor ignores option order and the fresh flag, but not the engine', (t) => {
+  const cache = newCache(t);
+  const key = cache.keyFor('https://example.com/', 'full', { screenshot: true, locale: 'de' });
+  assert.equal(cache.keyFor('https://example.com/#x', 'full', { locale: 'de', screenshot: true, fresh: true }), key);
+  assert.notEqual(cache.keyFor('https://example.com/', 'simple', { screenshot: true, locale: 'de' }), key);
+  assert.notEqual(cache.keyFor('https://example.com/', 'full', { screenshot: false, locale: 'de' }), key);
+});
+
+test('entries carry an ETag of the result and report their age', (t) => {
+  const cache = newCache(t, { ttlSeconds: 3600 });
+  const key = cache.keyFor('https://example.com/', 'full');
+
+  assert.equal(cache.get(key), null);
+  const stored = cache.set(key, 'https://example.com/', { title: 'Home' });
+  assert.match(stored.etag, /^"[a-f0-9]{32}"$/);
+  assert.equal(stored.maxAgeSeconds, 3600);
+  assert.equal(cache.set(key, 'https://example.com/', { title: 'Home' }).etag, stored.etag);
+  assert.notEqual(cache.set('other', 'https://example.com/', { title: 'Changed' }).etag, stored.etag);
+
+  cache.cache.get(key).storedAt -= 90 * 1000;
+  const hit = cache.get(key);
+  assert.deepEqual(hit.result, { title: 'Home' });
+  assert.equal(hit.ageSeconds, 90);
+  assert.equal(hit.maxAgeSeconds, 3510);
+  assert.deepEqual(cache.status(), { entries: 2, maxEntries: 500, ttlSeconds: 3600, hits: 1, misses: 1 });
+});
+
+test('a full cache evicts its oldest entry', (t) => {
+  const cache = newCache(t, { maxEntries: 2 });
+  cache.set('a', 'https://a.example/', 1);
+  cache.set('b', 'https://b.example/', 2);
+  cache.cache.get('b').storedAt -= 1000;
+  cache.set('a', 'https://a.example/', 3);
+  cache.set('c', 'https://c.example/', 4);
+  assert.deepEqual(cache.cache.keys().sort(), ['a', 'c']);
+});
+
+test('purge removes a URL under any engine, or a domain with its subdomains', (t) => {
+  const cache = newCache(t);
+  for (const [url, engine] of [['https://example.com/docs/', 'full'], ['https://example.com/docs', 'simple'], ['https://blog.example.com/', 'full'],
+    ['https://example.com/pricing', 'full'], ['https://notexample.com/', 'full']]) {
+    cache.set(cache.keyFor(url, engine), url, { url });
+  }
+
+  assert.equal(cache.purge({ url: 'https://EXAMPLE.com/docs#intro' }), 2);
+  assert.equal(cache.purge({ domain: '.Example.com' }), 2);
+  assert.equal(cache.status().entries, 1);
+});
@@ -0,0 +1,211 @@
+// Sitemap discovery
+// Sitemaps are found through robots.txt Sitemap: lines, falling back to /sitemap.xml. Sitemap indexes are followed and
+// gzipped sitemaps unpacked, so a site's whole URL list (with lastmod dates) is read once per origin and cached.
+import { gunzipSync } from 'node:zlib';
+import NodeCache from 'node-cache';
+
+const MAX_SITEMAP_BYTES = 20 * 1024 * 1024;
+// Sitemap files read per origin, indexes included
+const MAX_SITEMAP_FILES = 20;
+// URLs kept per origin
+const MAX_SITEMAP_URLS = 20000;
+// Resources added per targeted URL, newest first
+export const MAX_SITEMAP_RESOURCES = 200;
+
+// sitemaps is an optional boolean (default true) - returns an error message or null
+export function sitemapsOptionError(sitemaps) {
+  if (sitemaps === undefined || typeof sitemaps === 'boolean') return null;
+  return 'sitemaps must be true or false';
+}
+
+const decodeXml = (value) => value
+  .replace(/^<!\[CDATA\[([\s\S]*)\]\]>$/, '$1')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&')
+  .trim();
+
+// W3C datetime ("2024-03-01", "2024-03-01T10:00+01:00") -> ISO string, or null
+function parseLastmod(value) {
+  if (!value || !/^\d{4}(-\d{2}(-\d{2})?)?([T ]|$)/.test(value)) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// { kind: 'index' | 'urlset', entries: [{ loc, lastmod }] }. Namespace prefixes (<ns:loc>) are tolerated
+export function parseSitemap(xml) {
+  if (!/<(\w+:)?(urlset|sitemapindex)[\s>]/.test(xml)) throw new Error('not a sitemap');
+  const kind = /<(\w+:)?sitemapindex[\s>]/.test(xml) ? 'index' : 'urlset';
+  const entryTag = kind === 'index' ? 'sitemap' : 'url';
+  const entries = [];
+  const entryPattern = new RegExp(`<(?:\\w+:)?${entryTag}[\\s>]([\\s\\S]*?)</(?:\\w+:)?${entryTag}>`, 'g');
+  const field = (block, name) => block.match(new RegExp(`<(?:\\w+:)?${name}>([\\s\\S]*?)</(?:\\w+:)?${name}>`))?.[1];
+
+  for (const [, block] of xml.matchAll(entryPattern)) {
+    const loc = field(block, 'loc');
+    if (!loc) continue;
+    entries.push({ loc: decodeXml(loc), lastmod: parseLastmod(decodeXml(field(block, 'lastmod') || '')) });
+  }
+  return { kind, entries };
+}
+
+// Gzipped sitemaps are recognised by their magic bytes, whatever their name or content type says
+function sitemapText(buffer) {
+  const gzipped = buffer[0] === 0x1f && buffer[1] === 0x8b;
+  return (gzipped ? gunzipSync(buffer, { maxOutputLength: MAX_SITEMAP_BYTES }) : buffer).toString('utf8');
+}
+
+const hostOf = (url) => url.hostname.replace(/^www\./, '');
+
+// Settles with the promise, or rejects as soon as the signal aborts - the promise itself keeps running
+function untilAborted(promise, signal) {
+  if (!signal) return promise;
+  signal.throwIfAborted();
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+const parseUrl = (value) => {
+  try {
+    return new URL(value);
+  } catch {
+    return null;
+  }
+};
+
+// The part of the site a targeted URL covers: /hc/en-us for https://support.example.com/hc/en-us/,
+// and the whole site for a home page. A trailing file name (/docs/index.html) is dropped
+function scopeOf(targetUrl) {
+  const url = new URL(targetUrl);
+  const path = url.pathname.replace(/\/[^/]*\.\w+$/, '/').replace(/\/+$/, '');
+  return { host: hostOf(url), path };
+}
+
+const inScope = (url, scope) =>
+  hostOf(url) === scope.host && (url.pathname === scope.path || url.pathname.startsWith(`${scope.path}/`));
+
+// Sitemap entries for each targeted URL: { [urlType]: [{ loc, lastmod }] }. An entry goes to the most specific target
+// covering it, so help-center articles land under helpCenter rather than under a target for the whole site. Newest first, up to
+// MAX_SITEMAP_RESOURCES per target; entries without a lastmod come last
+export function entriesForTargets(entries, targets) {
+  const scoped = targets.map(([urlType, url]) => ({ urlType, scope: scopeOf(url), entries: [] }));
+  for (const entry of entries) {
+    const url = parseUrl(entry.loc);
+    if (!url) continue;
+    const owner = scoped
+      .filter(target => inScope(url, target.scope))
+      .sort((a, b) => b.scope.path.length - a.scope.path.length)[0];
+    owner?.entries.push(entry);
+  }
+
+  return Object.fromEntries(scoped.map(({ urlType, entries: owned }) => [
+    urlType,
+    owned
+      .sort((a, b) => (b.lastmod || '').localeCompare(a.lastmod || ''))
+      .slice(0, MAX_SITEMAP_RESOURCES)
+  ]));
+}
+
+// "https://support.example.com/hc/en-us/articles/360001-How-do-refunds-work" -> "How do refunds work"
+export function titleFromUrl(value) {
+  const url = parseUrl(value);
+  const slug = url?.pathname.split('/').filter(Boolean).pop();
+  if (!slug) return null;
+  let text = slug;
+  try {
+    text = decodeURIComponent(slug);
+  } catch {}
+  text = text
+    .replace(/\.\w+$/, '')
+    // Zendesk and Freshdesk put a numeric article id in front of the slug
+    .replace(/^\d{4,}-?/, '')
+    .replace(/[-_+]+/g, ' ')
+    .trim();
+  return text ? text[0].toUpperCase() + text.slice(1) : null;
+}
+
+export class SitemapReader {
+  // robots supplies the Sitemap: lines and decides which sitemap files may be read; scheduler spaces out the downloads
+  constructor({ urlGuard, robots, scheduler, ttlSeconds = 3600, timeoutMs = 15000 }) {
+    this.urlGuard = urlGuard;
+    this.robots = robots;
+    this.scheduler = scheduler;
+    this.timeoutMs = timeoutMs;
+    this.cache = new NodeCache({ stdTTL: ttlSeconds, checkperiod: 600, useClones: false });
+    this.pending = new Map();
+  }
+
+  // { sitemaps, entries, errors } for the URL's origin - sitemaps lists the files read
+  async entriesFor(url, { signal } = {}) {
+    const origin = new URL(url).origin;
+    const cached = this.cache.get(origin);
+    if (cached) return cached;
+    // Targets on one site share a single read. It runs without any caller's signal, so one scan being cancelled
+    // doesn't fail the others waiting on it; each caller stops waiting when its own signal aborts
+    if (!this.pending.has(origin)) {
+      const read = this.read(origin)
+        .then(sitemaps => {
+          this.cache.set(origin, sitemaps);
+          return sitemaps;
+        })
+        .finally(() => this.pending.delete(origin));
+      this.pending.set(origin, read);
+    }
+    return untilAborted(this.pending.get(origin), signal);
+  }
+
+  async read(origin, signal) {
+    const robots = await this.robots.robotsFor(origin);
+    const declared = robots.sitemaps || [];
+    const queue = declared.length ? [...declared] : [`${origin}/sitemap.xml`];
+    const seen = new Set(queue);
+    const sitemaps = [];
+    const entries = new Map();
+    const errors = [];
+
+    while (queue.length > 0 && sitemaps.length < MAX_SITEMAP_FILES && entries.size < MAX_SITEMAP_URLS) {
+      signal?.throwIfAborted();
+      const sitemapUrl = queue.shift();
+      try {
+        const { kind, entries: found } = parseSitemap(await this.download(sitemapUrl, signal));
+        sitemaps.push(sitemapUrl);
+        for (const entry of found) {
+          if (kind === 'index') {
+            if (!seen.has(entry.loc)) {
+              seen.add(entry.loc);
+              queue.push(entry.loc);
+            }
+          } else if (entries.size < MAX_SITEMAP_URLS && !entries.has(entry.loc)) {
+            entries.set(entry.loc, entry);
+          }
+        }
+      } catch (error) {
+        if (signal?.aborted) throw error;
+        // No /sitemap.xml is normal, so the guessed location is not an error
+        if (declared.length) errors.push(`${sitemapUrl}: ${error.message}`);
+      }
+    }
+
+    console.log(`🗺️  ${origin}: ${entries.size} URLs from ${sitemaps.length} sitemaps`);
+    return { sitemaps, entries: [...entries.values()], errors };
+  }
+
+  async download(sitemapUrl, signal) {
+    const { crawlDelayMs } = await this.robots.assertAllowed(sitemapUrl);
+    return this.scheduler.schedule(sitemapUrl, async () => {
+      const response = await this.urlGuard.fetch(sitemapUrl, {
+        headers: { 'User-Agent': `Mozilla/5.0 (compatible; ${this.robots.userAgent}/1.0)` },
+        timeout: this.timeoutMs,
+        size: MAX_SITEMAP_BYTES,
+        signal
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return sitemapText(await response.buffer());
+    }, { delayMs: crawlDelayMs, signal });
+  }
+}
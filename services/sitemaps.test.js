@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { gzipSync } from 'node:zlib';
+import { SitemapReader, entriesForTargets, parseSitemap, titleFromUrl } from './sitemaps.js';
+
+test('parseSitemap reads url sets with lastmod dates', () => {
+  const xml = `<?xml version="1.0"?>
+    <urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+      <url><loc>https://example.com/a?x=1&amp;y=2</loc><lastmod>2024-03-01</lastmod></url>
+      <url><loc><![CDATA[https://example.com/b]]></loc><lastmod>yesterday</lastmod></url>
+      <url><lastmod>2024-03-01</lastmod></url>
+    </urlset>`;
+  assert.deepEqual(parseSitemap(xml), {
+    kind: 'urlset',
+    entries: [
+      { loc: 'https://example.com/a?x=1&y=2', lastmod: '2024-03-01T00:00:00.000Z' },
+      { loc: 'https://example.com/b', lastmod: null }
+    ]
+  });
+});
+
+test('parseSitemap reads indexes and namespace prefixes', () => {
+  const xml = '<sm:sitemapindex xmlns:sm="http://www.sitemaps.org/schemas/sitemap/0.9"><sm:sitemap><sm:loc>https://example.com/s1.xml</sm:loc></sm:sitemap></sm:sitemapindex>';
+  assert.deepEqual(parseSitemap(xml), { kind: 'index', entries: [{ loc: 'https://example.com/s1.xml', lastmod: null }] });
+  assert.throws(() => parseSitemap('<html><body>Not found</body></html>'), /not a sitemap/);
+});
+
+test('entriesForTargets gives each entry to the most specific target, newest first', () => {
+  const entries = [
+    { loc: 'https://www.example.com/hc/en-us/articles/1-old', lastmod: '2023-01-01T00:00:00.000Z' },
+    { loc: 'https://example.com/hc/en-us/articles/2-new', lastmod: '2024-01-01T00:00:00.000Z' },
+    { loc: 'https://example.com/hc/en-us/articles/3-undated', lastmod: null },
+    { loc: 'https://example.com/docs/intro', lastmod: null },
+    { loc: 'https://example.com/hc/en-usa', lastmod: null },
+    { loc: 'https://other.com/hc/en-us/articles/4', lastmod: null }
+  ];
+  const byTarget = entriesForTargets(entries, [
+    ['helpCenter', 'https://example.com/hc/en-us/'],
+    ['tutorials', 'https://example.com/index.html']
+  ]);
+  assert.deepEqual(byTarget.helpCenter.map(entry => entry.loc), [
+    'https://example.com/hc/en-us/articles/2-new',
+    'https://www.example.com/hc/en-us/articles/1-old',
+    'https://example.com/hc/en-us/articles/3-undated'
+  ]);
+  assert.deepEqual(byTarget.tutorials.map(entry => entry.loc), ['https://example.com/docs/intro', 'https://example.com/hc/en-usa']);
+});
+
+test('titleFromUrl turns the last path segment into a title', () => {
+  assert.equal(titleFromUrl('https://support.example.com/hc/en-us/articles/360001-How-do-refunds-work'), 'How do refunds work');
+  assert.equal(titleFromUrl('https://example.com/docs/getting_started.html'), 'Getting started');
+  assert.equal(titleFromUrl('https://example.com/blog/caf%C3%A9-tips/'), 'Café tips');
+  assert.equal(titleFromUrl('https://example.com/'), null);
+  assert.equal(titleFromUrl('not a url'), null);
+});
+
+const sitemapXml = '<urlset><url><loc>https://example.com/docs/a</loc></url></urlset>';
+
+const readerFor = (download) => new SitemapReader({
+  urlGuard: {
+    fetch: async (url, { signal } = {}) => ({
+      ok: true,
+      status: 200,
+      buffer: async () => {
+        const body = await download(url);
+        signal?.throwIfAborted();
+        return body;
+      }
+    })
+  },
+  robots: { userAgent: 'ScannerBot', robotsFor: async () => ({ sitemaps: [] }), assertAllowed: async () => ({ crawlDelayMs: 0 }) },
+  scheduler: { schedule: (url, fn) => fn() }
+});
+
+test('SitemapReader unpacks gzipped sitemaps and caches the read per origin', async () => {
+  let downloads = 0;
+  const reader = readerFor(() => {
+    downloads++;
+    return gzipSync(sitemapXml);
+  });
+  const first = await reader.entriesFor('https://example.com/docs/');
+  const second = await reader.entriesFor('https://example.com/hc/');
+  assert.deepEqual(first.entries, [{ loc: 'https://example.com/docs/a', lastmod: null }]);
+  assert.equal(second, first);
+  assert.equal(downloads, 1);
+});
+
+test('SitemapReader keeps a shared read going when the first caller cancels', async () => {
+  let release;
+  const gate = new Promise(resolve => { release = resolve; });
+  const reader = readerFor(async () => {
+    await gate;
+    return Buffer.from(sitemapXml);
+  });
+
+  const cancelled = new AbortController();
+  const first = reader.entriesFor('https://example.com/docs/', { signal: cancelled.signal });
+  const second = reader.entriesFor('https://example.com/hc/', { signal: new AbortController().signal });
+  cancelled.abort(new Error('cancelled'));
+  release();
+
+  await assert.rejects(first, /cancelled/);
+  assert.equal((await second).entries.length, 1);
+});
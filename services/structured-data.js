@@ -0,0 +1,326 @@
+// Structured data normalization
+// Merges JSON-LD, microdata, RDFa, OpenGraph and Twitter cards into schema.org-typed entities.
+// @graph is flattened, @id references are resolved, and every property value records the source it came from.
+
+export const STRUCTURED_DATA_SOURCES = ['json-ld', 'microdata', 'rdfa', 'opengraph', 'twitter'];
+
+const SCHEMA_PREFIX = /^(https?:\/\/schema\.org\/|schema:)/i;
+
+// Nesting beyond this is cut off - real pages rarely go past four levels
+const MAX_DEPTH = 6;
+
+// og:type -> schema.org type
+const OPENGRAPH_TYPES = {
+  website: 'WebPage',
+  article: 'Article',
+  product: 'Product',
+  book: 'Book',
+  profile: 'Person',
+  'video.movie': 'Movie',
+  'video.episode': 'TVEpisode',
+  'video.tv_show': 'TVSeries',
+  'video.other': 'VideoObject',
+  'music.song': 'MusicRecording'
+};
+
+// OpenGraph / Twitter property -> schema.org property on the page entity
+const PAGE_PROPERTIES = {
+  'og:title': 'name',
+  'og:description': 'description',
+  'og:url': 'url',
+  'og:image': 'image',
+  'og:image:url': 'image',
+  'og:image:secure_url': 'image',
+  'og:locale': 'inLanguage',
+  'og:updated_time': 'dateModified',
+  'article:published_time': 'datePublished',
+  'article:modified_time': 'dateModified',
+  'article:author': 'author',
+  'article:section': 'articleSection',
+  'article:tag': 'keywords',
+  'twitter:title': 'name',
+  'twitter:description': 'description',
+  'twitter:url': 'url',
+  'twitter:image': 'image',
+  'twitter:image:src': 'image'
+};
+
+const TWITTER_APP_PLATFORMS = { iphone: 'iOS', ipad: 'iOS', googleplay: 'Android' };
+
+const shortName = (name) => String(name).replace(SCHEMA_PREFIX, '');
+
+class Entity {
+  constructor(types, id) {
+    this.types = types;
+    this.id = id;
+    this.sources = [];
+    this.properties = {};
+    this.mergedInto = null;
+  }
+}
+
+// An @id that is only resolved once every source has been read
+class Reference {
+  constructor(id) {
+    this.id = id;
+  }
+}
+
+class EntityGraph {
+  constructor() {
+    this.entities = [];
+    this.byId = new Map();
+    this.nested = new Set();
+    this.referencedIds = new Set();
+  }
+
+  // Nodes sharing an @id (or itemid / RDFa resource) become one entity
+  entity(types, id, source) {
+    let entity = id ? this.byId.get(id) : null;
+    if (!entity) {
+      entity = new Entity([], id || null);
+      this.entities.push(entity);
+      if (id) this.byId.set(id, entity);
+    }
+    for (const type of types.map(shortName)) {
+      if (!entity.types.includes(type)) entity.types.push(type);
+    }
+    if (!entity.sources.includes(source)) entity.sources.push(source);
+    return entity;
+  }
+
+  addValue(entity, property, value, source) {
+    if (value === null || value === undefined || value === '') return;
+    if (value instanceof Entity) this.nested.add(value);
+    if (value instanceof Reference) this.referencedIds.add(value.id);
+
+    const name = shortName(property);
+    const values = entity.properties[name] || (entity.properties[name] = []);
+    if (values.some(existing => sameValue(existing.value, value))) return;
+    values.push({ value, source });
+  }
+}
+
+function sameValue(a, b) {
+  if (a instanceof Reference && b instanceof Reference) return a.id === b.id;
+  return a === b;
+}
+
+function resolveMerged(entity) {
+  while (entity.mergedInto) entity = entity.mergedInto;
+  return entity;
+}
+
+function firstLiteral(entity, property) {
+  const found = (entity.properties[property] || []).find(({ value }) => typeof value === 'string');
+  return found ? found.value.trim().toLowerCase() : null;
+}
+
+// JSON-LD node -> Entity, Reference or literal; @graph members are added as top-level entities
+function addJsonLdNode(graph, node) {
+  if (Array.isArray(node)) {
+    node.forEach(member => addJsonLdNode(graph, member));
+    return null;
+  }
+  if (node === null || typeof node !== 'object') {
+    return typeof node === 'string' ? node.trim() : node;
+  }
+  if ('@value' in node) return node['@value'];
+  if ('@graph' in node) {
+    addJsonLdNode(graph, node['@graph']);
+    return null;
+  }
+
+  const id = typeof node['@id'] === 'string' ? node['@id'] : null;
+  const types = [].concat(node['@type'] || []).filter(type => typeof type === 'string');
+  const keys = Object.keys(node).filter(key => !key.startsWith('@'));
+  if (id && types.length === 0 && keys.length === 0) return new Reference(id);
+
+  const entity = graph.entity(types, id, 'json-ld');
+  for (const key of keys) {
+    for (const member of [].concat(node[key])) {
+      const value = Array.isArray(member) ? null : addJsonLdNode(graph, member);
+      graph.addValue(entity, key, value, 'json-ld');
+    }
+  }
+  return entity;
+}
+
+// Microdata / RDFa item tree from collectStructuredData -> Entity
+function addItem(graph, item, source) {
+  const types = item.type.map(type => item.vocab && !type.includes(':') ? `${item.vocab.replace(/\/?$/, '/')}${type}` : type);
+  const entity = graph.entity(types, item.id, source);
+  for (const [property, values] of Object.entries(item.properties)) {
+    for (const value of values) {
+      graph.addValue(entity, property, value && typeof value === 'object' ? addItem(graph, value, source) : value, source);
+    }
+  }
+  return entity;
+}
+
+// OpenGraph and Twitter describe the page itself, plus any video, offer, site or app it points at
+function addMetaTags(graph, openGraph, twitter) {
+  const ogType = openGraph.find(([property]) => property === 'og:type')?.[1]?.toLowerCase();
+  let page = null;
+  const pageEntity = (source) => {
+    page = page || graph.entity([OPENGRAPH_TYPES[ogType] || 'WebPage'], null, source);
+    if (!page.sources.includes(source)) page.sources.push(source);
+    return page;
+  };
+
+  const child = (parent, property, type, source) => {
+    const existing = parent.properties[property]?.find(({ value }) => value instanceof Entity && value.types.includes(type));
+    if (existing) return existing.value;
+    const entity = graph.entity([type], null, source);
+    graph.addValue(parent, property, entity, source);
+    return entity;
+  };
+
+  for (const [property, value] of openGraph) {
+    if (PAGE_PROPERTIES[property]) {
+      graph.addValue(pageEntity('opengraph'), PAGE_PROPERTIES[property], value, 'opengraph');
+    } else if (property === 'og:site_name') {
+      graph.addValue(child(pageEntity('opengraph'), 'isPartOf', 'WebSite', 'opengraph'), 'name', value, 'opengraph');
+    } else if (['og:video', 'og:video:url', 'og:video:secure_url'].includes(property)) {
+      graph.addValue(child(pageEntity('opengraph'), 'video', 'VideoObject', 'opengraph'), 'contentUrl', value, 'opengraph');
+    } else if (['og:video:type', 'og:video:width', 'og:video:height'].includes(property)) {
+      const name = { 'og:video:type': 'encodingFormat', 'og:video:width': 'width', 'og:video:height': 'height' }[property];
+      graph.addValue(child(pageEntity('opengraph'), 'video', 'VideoObject', 'opengraph'), name, value, 'opengraph');
+    } else if (/^(product|og):price:(amount|currency)$/.test(property) || property === 'product:availability') {
+      const name = property.endsWith('amount') ? 'price' : property.endsWith('currency') ? 'priceCurrency' : 'availability';
+      graph.addValue(child(pageEntity('opengraph'), 'offers', 'Offer', 'opengraph'), name, value, 'opengraph');
+    }
+  }
+
+  const apps = {};
+  for (const [property, value] of twitter) {
+    const app = property.match(/^twitter:app:(name|id|url):(iphone|ipad|googleplay)$/);
+    if (PAGE_PROPERTIES[property]) {
+      graph.addValue(pageEntity('twitter'), PAGE_PROPERTIES[property], value, 'twitter');
+    } else if (['twitter:player', 'twitter:player:width', 'twitter:player:height'].includes(property)) {
+      const name = { 'twitter:player': 'embedUrl', 'twitter:player:width': 'width', 'twitter:player:height': 'height' }[property];
+      graph.addValue(child(pageEntity('twitter'), 'video', 'VideoObject', 'twitter'), name, value, 'twitter');
+    } else if (app) {
+      const [, field, platform] = app;
+      const entity = apps[platform] || (apps[platform] = graph.entity(['SoftwareApplication'], null, 'twitter'));
+      graph.addValue(entity, 'operatingSystem', TWITTER_APP_PLATFORMS[platform], 'twitter');
+      graph.addValue(entity, { name: 'name', id: 'identifier', url: 'downloadUrl' }[field], value, 'twitter');
+    }
+  }
+}
+
+// An entity without an @id describes the same thing as one with matching type and url (or name) -
+// fold it into that one, preferring entities that have an @id
+function mergeDuplicates(graph) {
+  const seen = new Map();
+  const withIdsFirst = [...graph.entities].sort((a, b) => Number(Boolean(b.id)) - Number(Boolean(a.id)));
+  for (const entity of withIdsFirst) {
+    if (entity.types.length === 0) continue;
+    const identity = firstLiteral(entity, 'url') || firstLiteral(entity, 'name');
+    if (!identity) continue;
+
+    const key = `${entity.types[0]}|${identity}`;
+    const target = seen.get(key);
+    if (!target) {
+      seen.set(key, entity);
+      continue;
+    }
+    if (entity.id) continue;
+    for (const source of entity.sources) {
+      if (!target.sources.includes(source)) target.sources.push(source);
+    }
+    for (const [property, values] of Object.entries(entity.properties)) {
+      for (const { value, source } of values) graph.addValue(target, property, value, source);
+    }
+    entity.mergedInto = target;
+  }
+}
+
+// Plain JSON output: nested entities and resolved references are inlined, cycles are cut with { circular: true }
+function materialize(graph, entity, stack = []) {
+  entity = resolveMerged(entity);
+  const head = { type: entity.types[0] || null, id: entity.id };
+  if (entity.types.length > 1) head.types = entity.types;
+  if (stack.includes(entity)) return { ...head, circular: true };
+  if (stack.length >= MAX_DEPTH) return { ...head, truncated: true };
+
+  const properties = {};
+  for (const [name, values] of Object.entries(entity.properties)) {
+    properties[name] = values.map(({ value, source }) => {
+      if (value instanceof Entity) return { value: materialize(graph, value, [...stack, entity]), source };
+      if (value instanceof Reference) {
+        const target = graph.byId.get(value.id);
+        return { value: target ? materialize(graph, target, [...stack, entity]) : { id: value.id, unresolved: true }, source };
+      }
+      return { value, source };
+    });
+  }
+  return { ...head, sources: entity.sources, properties };
+}
+
+// raw is collectStructuredData()'s output
+export function normalizeStructuredData(raw) {
+  const graph = new EntityGraph();
+  const errors = [];
+  const sources = Object.fromEntries(STRUCTURED_DATA_SOURCES.map(source => [source, 0]));
+
+  raw.jsonLd.forEach((script, index) => {
+    try {
+      // Some CMSs wrap the JSON in HTML comments or CDATA markers
+      const json = script.trim().replace(/^<!--|-->$/g, '').replace(/^\/\*<!\[CDATA\[\*\/|\/\*\]\]>\*\/$/g, '');
+      addJsonLdNode(graph, JSON.parse(json));
+      sources['json-ld']++;
+    } catch (error) {
+      errors.push(`json-ld #${index + 1}: ${error.message}`);
+    }
+  });
+  raw.microdata.forEach(item => addItem(graph, item, 'microdata'));
+  raw.rdfa.forEach(item => addItem(graph, item, 'rdfa'));
+  addMetaTags(graph, raw.openGraph, raw.twitter);
+  sources.microdata = raw.microdata.length;
+  sources.rdfa = raw.rdfa.length;
+  sources.opengraph = raw.openGraph.length;
+  sources.twitter = raw.twitter.length;
+
+  mergeDuplicates(graph);
+
+  const live = graph.entities.filter(entity => !entity.mergedInto);
+  const topLevel = live.filter(entity => !graph.nested.has(entity) && !(entity.id && graph.referencedIds.has(entity.id)));
+  const types = {};
+  for (const entity of live) {
+    for (const type of entity.types) types[type] = (types[type] || 0) + 1;
+  }
+
+  return {
+    // Fall back to every entity when references make each one someone else's child
+    entities: (topLevel.length > 0 ? topLevel : live).map(entity => materialize(graph, entity)),
+    types,
+    sources,
+    errors
+  };
+}
+
+// Every entity of a type anywhere in normalized structured data, nested ones included
+export function findEntities(structuredData, type) {
+  const found = [];
+  const seen = new Set();
+  const visit = (entity) => {
+    if (!entity || typeof entity !== 'object' || !entity.properties) return;
+    // Resolved references inline the same entity in several places
+    const key = entity.id || entity;
+    if ((entity.type === type || entity.types?.includes(type)) && !seen.has(key)) {
+      seen.add(key);
+      found.push(entity);
+    }
+    for (const values of Object.values(entity.properties)) {
+      values.forEach(({ value }) => visit(value));
+    }
+  };
+  structuredData.entities.forEach(visit);
+  return found;
+}
+
+// First value of a property on a normalized entity, or null
+export function propertyValue(entity, property) {
+  return entity?.properties?.[property]?.[0]?.value ?? null;
+}
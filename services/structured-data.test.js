@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findEntities, normalizeStructuredData, propertyValue } from './structured-data.js';
+
+const raw = (sources) => ({ jsonLd: [], microdata: [], rdfa: [], openGraph: [], twitter: [], ...sources });
+
+test('normalizeStructuredData flattens @graph and resolves @id references', () => {
+  const data = normalizeStructuredData(raw({
+    jsonLd: [JSON.stringify({
+      '@context': 'https://schema.org',
+      '@graph': [
+        { '@type': 'Organization', '@id': '#org', name: 'Acme' },
+        { '@type': 'WebSite', '@id': '#site', url: 'https://acme.com/', publisher: { '@id': '#org' } }
+      ]
+    })]
+  }));
+
+  assert.deepEqual(data.entities.map(entity => entity.type), ['WebSite']);
+  assert.deepEqual(propertyValue(data.entities[0], 'publisher'), {
+    type: 'Organization',
+    id: '#org',
+    sources: ['json-ld'],
+    properties: { name: [{ value: 'Acme', source: 'json-ld' }] }
+  });
+  assert.deepEqual(data.types, { Organization: 1, WebSite: 1 });
+  assert.equal(data.sources['json-ld'], 1);
+});
+
+test('normalizeStructuredData reports JSON-LD syntax errors and tolerates comment wrappers', () => {
+  const data = normalizeStructuredData(raw({ jsonLd: ['{ "@type": "Product", ', '<!--{"@type":"Product","name":"Pro"}-->'] }));
+  assert.equal(data.errors.length, 1);
+  assert.match(data.errors[0], /^json-ld #1: /);
+  assert.equal(propertyValue(data.entities[0], 'name'), 'Pro');
+});
+
+test('normalizeStructuredData merges microdata and RDFa items that describe the same thing', () => {
+  const data = normalizeStructuredData(raw({
+    jsonLd: [JSON.stringify({ '@type': 'Product', '@id': 'https://acme.com/#pro', name: 'Acme Pro' })],
+    microdata: [{ type: ['https://schema.org/Product'], id: null, vocab: null, properties: { name: ['Acme Pro'], sku: ['PRO-1'] } }],
+    rdfa: [{ type: ['Product'], id: null, vocab: 'https://schema.org/', properties: { name: ['Acme Pro'], color: ['blue'] } }]
+  }));
+
+  assert.equal(data.entities.length, 1);
+  const [product] = data.entities;
+  assert.deepEqual(product.sources, ['json-ld', 'microdata', 'rdfa']);
+  assert.equal(propertyValue(product, 'sku'), 'PRO-1');
+  assert.equal(product.properties.color[0].source, 'rdfa');
+});
+
+test('normalizeStructuredData maps OpenGraph and Twitter tags onto the page entity', () => {
+  const data = normalizeStructuredData(raw({
+    openGraph: [['og:type', 'video.other'], ['og:title', 'Intro'], ['og:site_name', 'Acme'], ['og:video', 'https://acme.com/intro.mp4']],
+    twitter: [['twitter:title', 'Intro'], ['twitter:player', 'https://acme.com/embed/intro'], ['twitter:app:name:iphone', 'Acme']]
+  }));
+
+  const [page] = findEntities(data, 'VideoObject').filter(entity => entity.properties.name);
+  assert.deepEqual(page.sources, ['opengraph', 'twitter']);
+  assert.equal(propertyValue(page, 'name'), 'Intro');
+  assert.equal(propertyValue(propertyValue(page, 'isPartOf'), 'name'), 'Acme');
+  const video = propertyValue(page, 'video');
+  assert.equal(propertyValue(video, 'contentUrl'), 'https://acme.com/intro.mp4');
+  assert.equal(propertyValue(video, 'embedUrl'), 'https://acme.com/embed/intro');
+  assert.equal(propertyValue(findEntities(data, 'SoftwareApplication')[0], 'operatingSystem'), 'iOS');
+});
+
+test('normalizeStructuredData cuts reference cycles', () => {
+  const data = normalizeStructuredData(raw({
+    jsonLd: [JSON.stringify([
+      { '@type': 'Person', '@id': '#a', name: 'A', knows: { '@id': '#b' } },
+      { '@type': 'Person', '@id': '#b', name: 'B', knows: { '@id': '#a' } }
+    ])]
+  }));
+  const a = data.entities.find(entity => entity.id === '#a');
+  assert.deepEqual(propertyValue(propertyValue(a, 'knows'), 'knows'), { type: 'Person', id: '#a', circular: true });
+});
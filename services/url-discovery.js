@@ -0,0 +1,283 @@
+// TargetedUrls discovery
+// Proposes the helpCenter, tutorials, videos, integrations, faq, training, api and pricing URLs for a tool from its main
+// page alone. Evidence comes from the main page's nav, footer and body links, the site's sitemap, and probes of common
+// subdomains (support., developers.) and paths (/pricing, /integrations). Each piece of evidence has a weight; a
+// candidate's confidence combines them as independent signals, 1 - (1 - w1)(1 - w2)...
+
+export const DISCOVERY_DEFAULTS = {
+  minConfidence: 0.4,
+  probe: true
+};
+
+// Slot rules: text matches link text, path matches the first path segment (after any locale prefix),
+// subdomains and paths are probed when the page and sitemap leave the slot unresolved
+export const DISCOVERY_SLOTS = {
+  helpCenter: {
+    text: /\b(help( ?cent(er|re))?|support( cent(er|re)| portal)?|knowledge ?base|help ?desk)\b/i,
+    path: /^(help|support|hc|help-?cent(er|re)|knowledge-?base|kb)$/i,
+    hosts: /(^|\.)(zendesk\.com|intercom\.help|freshdesk\.com|helpscoutdocs\.com|document360\.io)$/i,
+    subdomains: ['support', 'help'],
+    paths: ['/help', '/support']
+  },
+  tutorials: {
+    text: /\b(tutorials?|guides?|getting started|how[- ]tos?)\b/i,
+    path: /^(tutorials?|guides?|getting-started|how-?to)$/i,
+    subdomains: [],
+    paths: ['/tutorials', '/guides']
+  },
+  videos: {
+    text: /\b(videos?|video library|youtube)\b/i,
+    path: /^(videos?|video-library)$/i,
+    // A YouTube or Vimeo channel rather than a single video
+    hosts: /(^|\.)(youtube\.com|vimeo\.com)$/i,
+    channel: (url) => (/youtube\.com$/i.test(url.hostname)
+      ? /^\/(@[\w.-]+|c\/[\w.-]+|channel\/[\w-]+|user\/[\w.-]+)\/?$/i.test(url.pathname)
+      : /^\/(showcase\/\d+|channels\/[\w-]+|(?!\d+\/?$)[a-z][\w-]*)\/?$/i.test(url.pathname)),
+    subdomains: [],
+    paths: ['/videos']
+  },
+  integrations: {
+    text: /\b(integrations?|app (directory|marketplace)|marketplace|connectors?)\b/i,
+    path: /^(integrations?|apps|marketplace|connectors?)$/i,
+    subdomains: ['marketplace', 'apps'],
+    paths: ['/integrations', '/apps']
+  },
+  faq: {
+    text: /\b(faqs?|frequently asked( questions)?)\b/i,
+    path: /^(faqs?|frequently-asked-questions)$/i,
+    subdomains: [],
+    paths: ['/faq', '/faqs']
+  },
+  training: {
+    text: /\b(training|academy|courses?|certifications?|webinars?|university)\b/i,
+    path: /^(training|academy|courses?|certifications?|webinars?|university)$/i,
+    subdomains: ['academy', 'learn', 'training', 'university'],
+    paths: ['/training', '/academy', '/webinars']
+  },
+  api: {
+    text: /\b(api( docs| reference| documentation)?|developers?( docs| portal| cent(er|re)| hub)?|dev docs)\b/i,
+    path: /^(api|apis|developers?|api-docs|api-reference)$/i,
+    hosts: /(^|\.)readme\.io$/i,
+    subdomains: ['developers', 'developer', 'api'],
+    paths: ['/developers', '/api']
+  },
+  pricing: {
+    text: /\b(pricing|plans( (&|and) pricing)?|prices)\b/i,
+    path: /^(pricing|plans|prices)$/i,
+    subdomains: [],
+    paths: ['/pricing', '/plans']
+  }
+};
+
+export const DISCOVERY_SLOT_NAMES = Object.keys(DISCOVERY_SLOTS);
+
+// Link text matches by where the link sits; a matching URL adds URL_WEIGHT on top
+const TEXT_WEIGHTS = { nav: 0.5, footer: 0.4, body: 0.25 };
+const URL_WEIGHT = 0.3;
+const SITEMAP_WEIGHT = 0.35;
+const PROBE_WEIGHT = 0.45;
+// Probes run for slots still below this
+const PROBE_BELOW = 0.6;
+// Unlisted sections need this many sitemap URLs under them
+const MIN_SITEMAP_SECTION = 3;
+// Deep links are usually single articles rather than the section's landing page
+const DEEP_LINK_FACTOR = 0.5;
+
+const LOCALE_SEGMENT = /^[a-z]{2}([-_][a-z]{2})?$/i;
+
+// minConfidence is 0-1; probe is a boolean - returns an error message or null
+export function discoveryOptionsError({ minConfidence, probe } = {}) {
+  if (minConfidence !== undefined && !(typeof minConfidence === 'number' && minConfidence >= 0 && minConfidence <= 1)) {
+    return 'minConfidence must be a number from 0 to 1';
+  }
+  if (probe !== undefined && typeof probe !== 'boolean') return 'probe must be true or false';
+  return null;
+}
+
+const parseUrl = (value) => {
+  try {
+    return new URL(value);
+  } catch {
+    return null;
+  }
+};
+
+// "support.example.co.uk" -> "example.co.uk"
+export function siteDomain(hostname) {
+  const labels = hostname.replace(/^www\./, '').split('.');
+  const secondLevel = labels.length > 2 && labels[labels.length - 1].length === 2 && labels[labels.length - 2].length <= 3;
+  return labels.slice(secondLevel ? -3 : -2).join('.');
+}
+
+const INDEX_PAGE = /\/index\.\w+$/i;
+
+// Path segments without a leading locale: /en-us/pricing -> ["pricing"]. Two-letter slot paths (/hc, /kb) are kept
+const segmentsOf = (url) => {
+  const segments = url.pathname.replace(INDEX_PAGE, '').split('/').filter(Boolean);
+  const localized = segments.length > 1 && LOCALE_SEGMENT.test(segments[0]) &&
+    !Object.values(DISCOVERY_SLOTS).some(rule => rule.path.test(segments[0]));
+  return localized ? segments.slice(1) : segments;
+};
+
+// The landing-page form of a URL: no query, hash, index page or trailing slash
+const canonical = (url) => `${url.origin}${url.pathname.replace(INDEX_PAGE, '/').replace(/(.)\/$/, '$1')}`;
+
+// Whether the URL could fill the slot: on the tool's own domain, or on a host the slot allows (Zendesk, YouTube...)
+function onSite(url, rule, domain) {
+  if (siteDomain(url.hostname) === domain) return true;
+  if (!rule.hosts?.test(url.hostname)) return false;
+  return !rule.channel || rule.channel(url);
+}
+
+// Whether the URL itself says what it is: a matching first path segment, subdomain or allowed host
+function urlMatches(url, rule, mainHost) {
+  const [first] = segmentsOf(url);
+  if (first && rule.path.test(first)) return true;
+  const subdomain = url.hostname.replace(/^www\./, '').split('.')[0];
+  if (url.hostname !== mainHost && rule.subdomains.includes(subdomain.toLowerCase())) return true;
+  return Boolean(rule.hosts?.test(url.hostname));
+}
+
+// Evidence from the main page's links: [{ slot, url, weight, evidence }]
+export function linkEvidence(links, mainUrl) {
+  const main = new URL(mainUrl);
+  const domain = siteDomain(main.hostname);
+  const evidence = [];
+
+  for (const link of links) {
+    const url = parseUrl(link.href);
+    if (!url || canonical(url) === canonical(main)) continue;
+
+    for (const [slot, rule] of Object.entries(DISCOVERY_SLOTS)) {
+      if (!onSite(url, rule, domain)) continue;
+      const textMatch = rule.text.test(link.text);
+      const urlMatch = urlMatches(url, rule, main.hostname);
+      if (!textMatch && !urlMatch) continue;
+
+      const depthFactor = segmentsOf(url).length > 2 ? DEEP_LINK_FACTOR : 1;
+      const where = link.region === 'body' ? 'page body' : link.region;
+      if (textMatch) {
+        evidence.push({ slot, url: canonical(url), weight: TEXT_WEIGHTS[link.region] * depthFactor, evidence: `"${link.text}" link in ${where}` });
+      }
+      if (urlMatch) {
+        evidence.push({ slot, url: canonical(url), weight: URL_WEIGHT * depthFactor, evidence: `URL ${url.host}${url.pathname} matches ${slot}` });
+      }
+    }
+  }
+  return evidence;
+}
+
+// Evidence from sitemap entries: section landing pages the sitemap lists, or the section most of a slot's URLs sit under
+export function sitemapEvidence(entries, mainUrl) {
+  const main = new URL(mainUrl);
+  const sections = new Map();
+
+  for (const entry of entries) {
+    const url = parseUrl(entry.loc);
+    if (!url || siteDomain(url.hostname) !== siteDomain(main.hostname)) continue;
+    const segments = segmentsOf(url);
+    if (segments.length === 0) continue;
+    const prefix = url.pathname.slice(0, url.pathname.indexOf(segments[0]) + segments[0].length);
+    const key = `${url.origin}${prefix}`;
+    const section = sections.get(key) || { first: segments[0], listed: false, count: 0 };
+    section.listed ||= segments.length === 1;
+    section.count++;
+    sections.set(key, section);
+  }
+
+  const evidence = [];
+  for (const [url, section] of sections) {
+    if (!section.listed && section.count < MIN_SITEMAP_SECTION) continue;
+    for (const [slot, rule] of Object.entries(DISCOVERY_SLOTS)) {
+      if (!rule.path.test(section.first)) continue;
+      evidence.push({
+        slot,
+        url,
+        weight: SITEMAP_WEIGHT,
+        evidence: section.listed ? 'Listed in the sitemap' : `${section.count} sitemap URLs under ${new URL(url).pathname}`
+      });
+    }
+  }
+  return evidence;
+}
+
+// Combines evidence per slot into { [slot]: [{ url, confidence, evidence }] }, best candidate first
+export function rankCandidates(evidence) {
+  const bySlot = Object.fromEntries(DISCOVERY_SLOT_NAMES.map(slot => [slot, new Map()]));
+
+  for (const item of evidence) {
+    const candidates = bySlot[item.slot];
+    const candidate = candidates.get(item.url) || { url: item.url, signals: new Map() };
+    // The same kind of evidence counts once - ten footer links to one page are one signal
+    if (!candidate.signals.has(item.evidence) || candidate.signals.get(item.evidence) < item.weight) {
+      candidate.signals.set(item.evidence, item.weight);
+    }
+    candidates.set(item.url, candidate);
+  }
+
+  return Object.fromEntries(Object.entries(bySlot).map(([slot, candidates]) => [
+    slot,
+    [...candidates.values()]
+      .map(({ url, signals }) => ({
+        url,
+        confidence: Math.round((1 - [...signals.values()].reduce((miss, weight) => miss * (1 - weight), 1)) * 100) / 100,
+        evidence: [...signals.entries()].sort((a, b) => b[1] - a[1]).map(([text]) => text)
+      }))
+      // Shorter URLs win ties - the section's landing page over a page inside it
+      .sort((a, b) => b.confidence - a.confidence || a.url.length - b.url.length)
+  ]));
+}
+
+// URLs worth probing for slots the links and sitemap left below PROBE_BELOW: [{ slot, url }]
+export function probeTargets(mainUrl, ranked) {
+  const main = new URL(mainUrl);
+  const domain = siteDomain(main.hostname);
+  // IP addresses and single-label hosts have no subdomains to try
+  const hasSubdomains = domain.includes('.') && !/^[\d.]+$|^\[/.test(main.hostname);
+  const targets = [];
+
+  for (const [slot, rule] of Object.entries(DISCOVERY_SLOTS)) {
+    if ((ranked[slot][0]?.confidence || 0) >= PROBE_BELOW) continue;
+    if (hasSubdomains) rule.subdomains.forEach(subdomain => targets.push({ slot, url: `https://${subdomain}.${domain}/` }));
+    for (const path of rule.paths) targets.push({ slot, url: `${main.origin}${path}` });
+  }
+  return targets;
+}
+
+// Evidence from a probe that answered: the page it landed on, unless it was bounced back to the home page
+export function probeEvidence({ slot, url }, finalUrl, mainUrl) {
+  const landed = parseUrl(finalUrl);
+  const main = new URL(mainUrl);
+  if (!landed) return null;
+  if (siteDomain(landed.hostname) !== siteDomain(main.hostname) && !DISCOVERY_SLOTS[slot].hosts?.test(landed.hostname)) return null;
+  const probedSubdomain = new URL(url).pathname === '/';
+  if (!probedSubdomain && segmentsOf(landed).length === 0) return null;
+  if (canonical(landed) === canonical(main)) return null;
+
+  return {
+    slot,
+    url: canonical(landed),
+    weight: PROBE_WEIGHT,
+    evidence: canonical(landed) === canonical(new URL(url)) ? `${url} responds` : `${url} redirects here`
+  };
+}
+
+// { urls: TargetedUrls, slots: { [slot]: { url, confidence, evidence, alternatives } } }. A slot whose best candidate
+// is below minConfidence is left out of urls, and its slot entry has url null
+export function proposeTargetedUrls(mainUrl, ranked, { minConfidence = DISCOVERY_DEFAULTS.minConfidence } = {}) {
+  const urls = { main: mainUrl };
+  const slots = {};
+
+  for (const slot of DISCOVERY_SLOT_NAMES) {
+    const [best, ...others] = ranked[slot];
+    const accepted = best && best.confidence >= minConfidence;
+    if (accepted) urls[slot] = best.url;
+    slots[slot] = {
+      url: accepted ? best.url : null,
+      confidence: best?.confidence || 0,
+      evidence: best?.evidence || [],
+      alternatives: (accepted ? others : ranked[slot]).slice(0, 3).map(({ url, confidence }) => ({ url, confidence }))
+    };
+  }
+  return { urls, slots };
+}
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { linkEvidence, probeEvidence, proposeTargetedUrls, rankCandidates, sitemapEvidence, siteDomain } from './url-discovery.js';
+
+const MAIN = 'https://www.example.com/';
+
+test('siteDomain strips subdomains but keeps two-part country suffixes', () => {
+  assert.equal(siteDomain('support.example.com'), 'example.com');
+  assert.equal(siteDomain('help.example.co.uk'), 'example.co.uk');
+  assert.equal(siteDomain('www.example.io'), 'example.io');
+});
+
+test('linkEvidence weighs link text by region and matches URL paths after a locale', () => {
+  const evidence = linkEvidence([
+    { href: 'https://support.example.com/hc/en-us', text: 'Help Center', region: 'nav' },
+    { href: 'https://www.example.com/en-us/pricing/', text: 'Plans', region: 'footer' },
+    { href: 'https://www.example.com/', text: 'Help', region: 'nav' },
+    { href: 'https://elsewhere.com/help', text: 'Help', region: 'nav' }
+  ], MAIN);
+
+  assert.deepEqual(evidence, [
+    { slot: 'helpCenter', url: 'https://support.example.com/hc/en-us', weight: 0.5, evidence: '"Help Center" link in nav' },
+    { slot: 'helpCenter', url: 'https://support.example.com/hc/en-us', weight: 0.3, evidence: 'URL support.example.com/hc/en-us matches helpCenter' },
+    { slot: 'pricing', url: 'https://www.example.com/en-us/pricing', weight: 0.4, evidence: '"Plans" link in footer' },
+    { slot: 'pricing', url: 'https://www.example.com/en-us/pricing', weight: 0.3, evidence: 'URL www.example.com/en-us/pricing/ matches pricing' }
+  ]);
+});
+
+test('linkEvidence accepts hosted help centers and video channels, not single videos', () => {
+  const evidence = linkEvidence([
+    { href: 'https://acme.zendesk.com/hc', text: 'Support', region: 'footer' },
+    { href: 'https://www.youtube.com/@acme', text: 'YouTube', region: 'footer' },
+    { href: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ', text: 'Watch the video', region: 'body' }
+  ], MAIN);
+  assert.deepEqual([...new Set(evidence.map(({ slot, url }) => `${slot} ${url}`))], [
+    'helpCenter https://acme.zendesk.com/hc',
+    'videos https://www.youtube.com/@acme'
+  ]);
+});
+
+test('sitemapEvidence finds listed sections and sections with enough URLs', () => {
+  const evidence = sitemapEvidence([
+    { loc: 'https://www.example.com/integrations' },
+    { loc: 'https://www.example.com/tutorials/a' },
+    { loc: 'https://www.example.com/tutorials/b' },
+    { loc: 'https://www.example.com/tutorials/c' },
+    { loc: 'https://www.example.com/faq/one' }
+  ], MAIN);
+  assert.deepEqual(evidence.map(({ slot, url, evidence: text }) => [slot, url, text]), [
+    ['integrations', 'https://www.example.com/integrations', 'Listed in the sitemap'],
+    ['tutorials', 'https://www.example.com/tutorials', '3 sitemap URLs under /tutorials']
+  ]);
+});
+
+test('rankCandidates combines distinct signals and counts repeated ones once', () => {
+  const ranked = rankCandidates([
+    { slot: 'pricing', url: 'https://www.example.com/pricing', weight: 0.5, evidence: '"Pricing" link in nav' },
+    { slot: 'pricing', url: 'https://www.example.com/pricing', weight: 0.5, evidence: '"Pricing" link in nav' },
+    { slot: 'pricing', url: 'https://www.example.com/pricing', weight: 0.3, evidence: 'URL matches pricing' },
+    { slot: 'pricing', url: 'https://www.example.com/pricing/teams', weight: 0.15, evidence: 'URL matches pricing' }
+  ]);
+  assert.deepEqual(ranked.pricing, [
+    { url: 'https://www.example.com/pricing', confidence: 0.65, evidence: ['"Pricing" link in nav', 'URL matches pricing'] },
+    { url: 'https://www.example.com/pricing/teams', confidence: 0.15, evidence: ['URL matches pricing'] }
+  ]);
+  assert.deepEqual(ranked.faq, []);
+});
+
+test('probeEvidence ignores probes bounced back to the home page', () => {
+  assert.equal(probeEvidence({ slot: 'pricing', url: 'https://www.example.com/pricing' }, 'https://www.example.com/', MAIN), null);
+  assert.deepEqual(probeEvidence({ slot: 'helpCenter', url: 'https://support.example.com/' }, 'https://support.example.com/hc/en-us', MAIN), {
+    slot: 'helpCenter',
+    url: 'https://support.example.com/hc/en-us',
+    weight: 0.45,
+    evidence: 'https://support.example.com/ redirects here'
+  });
+});
+
+test('proposeTargetedUrls keeps slots that reach minConfidence and lists alternatives', () => {
+  const ranked = rankCandidates([
+    { slot: 'pricing', url: 'https://www.example.com/pricing', weight: 0.5, evidence: 'nav link' },
+    { slot: 'pricing', url: 'https://www.example.com/plans', weight: 0.3, evidence: 'URL' },
+    { slot: 'faq', url: 'https://www.example.com/faq', weight: 0.25, evidence: 'body link' }
+  ]);
+  const { urls, slots } = proposeTargetedUrls(MAIN, ranked);
+
+  assert.deepEqual(urls, { main: MAIN, pricing: 'https://www.example.com/pricing' });
+  assert.deepEqual(slots.pricing, {
+    url: 'https://www.example.com/pricing',
+    confidence: 0.5,
+    evidence: ['nav link'],
+    alternatives: [{ url: 'https://www.example.com/plans', confidence: 0.3 }]
+  });
+  assert.deepEqual(slots.faq, { url: null, confidence: 0.25, evidence: ['body link'], alternatives: [{ url: 'https://www.example.com/faq', confidence: 0.25 }] });
+  assert.equal(proposeTargetedUrls(MAIN, ranked, { minConfidence: 0.2 }).urls.faq, 'https://www.example.com/faq');
+});
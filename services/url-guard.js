@@ -0,0 +1,221 @@
+// SSRF guard for scan targets
+// Only http(s) URLs are allowed, and their hostnames are resolved so that private, loopback and link-local
+// addresses are refused unless the operator allowlists them. Browser requests are checked again as they are made.
+import { BlockList, isIP } from 'node:net';
+import { promises as dns } from 'node:dns';
+import fetch from 'node-fetch';
+
+// Addresses a public scanner should never reach. BlockList matches IPv4 ranges against IPv4-mapped IPv6 addresses
+// (::ffff:127.0.0.1) too, so ::ffff:0:0/96 is deliberately absent - listing it would block every IPv4 address
+const BLOCKED_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+
+const blockedAddresses = new BlockList();
+for (const [network, prefix, type] of BLOCKED_RANGES) {
+  blockedAddresses.addSubnet(network, prefix, type);
+}
+
+// Schemes the page itself may use for subresources - they never leave the browser
+const IN_BROWSER_SCHEMES = ['data:', 'blob:', 'about:'];
+
+export class BlockedUrlError extends Error {
+  constructor(url, reason) {
+    super(`Blocked URL ${url}: ${reason}`);
+    this.name = 'BlockedUrlError';
+    this.url = url;
+    this.reason = reason;
+  }
+}
+
+export function isBlockedAddress(address) {
+  const type = isIP(address) === 6 ? 'ipv6' : 'ipv4';
+  return blockedAddresses.check(address, type);
+}
+
+// The navigation error to report for a failed goto - a blocked redirect beats Chromium's ERR_BLOCKED_BY_CLIENT
+export function navigationError(blocked, error) {
+  const entry = blocked.find(request => request.navigation);
+  return entry ? new BlockedUrlError(entry.url, entry.reason) : error;
+}
+
+export class UrlGuard {
+  // allowlist entries are hostnames (intranet.example), wildcard suffixes (*.corp.example) or IPs/CIDRs (10.20.0.0/16)
+  constructor({ allowlist = [], dnsCacheMs = 60 * 1000 } = {}) {
+    this.allowedHosts = [];
+    this.allowedSuffixes = [];
+    this.allowedAddresses = new BlockList();
+    this.dnsCacheMs = dnsCacheMs;
+    this.dnsCache = new Map();
+
+    for (const entry of allowlist.map(value => value.trim().toLowerCase()).filter(Boolean)) {
+      const [network, prefix] = entry.split('/');
+      const version = isIP(network);
+      if (version) {
+        const type = version === 6 ? 'ipv6' : 'ipv4';
+        if (prefix) {
+          this.allowedAddresses.addSubnet(network, parseInt(prefix), type);
+        } else {
+          this.allowedAddresses.addAddress(network, type);
+        }
+      } else if (entry.startsWith('*.')) {
+        this.allowedSuffixes.push(entry.slice(1));
+      } else {
+        this.allowedHosts.push(entry);
+      }
+    }
+  }
+
+  static fromEnv() {
+    return new UrlGuard({ allowlist: (process.env.SCAN_HOST_ALLOWLIST || '').split(',') });
+  }
+
+  isHostAllowlisted(hostname) {
+    return this.allowedHosts.includes(hostname) || this.allowedSuffixes.some(suffix => hostname.endsWith(suffix));
+  }
+
+  isAddressAllowlisted(address) {
+    return this.allowedAddresses.check(address, isIP(address) === 6 ? 'ipv6' : 'ipv4');
+  }
+
+  // Resolve every address for a hostname - any one of them being private is enough to refuse it
+  async resolve(hostname) {
+    const cached = this.dnsCache.get(hostname);
+    if (cached && cached.expiresAt > Date.now()) return cached.addresses;
+
+    const addresses = dns.lookup(hostname, { all: true, verbatim: true })
+      .then(results => results.map(result => result.address));
+    this.dnsCache.set(hostname, { addresses, expiresAt: Date.now() + this.dnsCacheMs });
+    addresses.catch(() => this.dnsCache.delete(hostname));
+    return addresses;
+  }
+
+  // Returns the reason a URL may not be scanned, or null
+  async check(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return 'not a valid URL';
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      return `${parsed.protocol} URLs are not allowed`;
+    }
+
+    const hostname = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+    if (this.isHostAllowlisted(hostname)) return null;
+
+    let addresses;
+    try {
+      addresses = isIP(hostname) ? [hostname] : await this.resolve(hostname);
+    } catch {
+      return `could not resolve ${hostname}`;
+    }
+
+    const blocked = addresses.find(address => isBlockedAddress(address) && !this.isAddressAllowlisted(address));
+    if (!blocked) return null;
+    return isIP(hostname)
+      ? `${hostname} is a private or reserved address`
+      : `${hostname} resolves to a private or reserved address (${blocked})`;
+  }
+
+  async assertAllowed(url) {
+    const reason = await this.check(url);
+    if (reason) throw new BlockedUrlError(url, reason);
+  }
+
+  // node-fetch with every redirect hop checked - redirects are followed by hand, up to maxRedirects
+  async fetch(url, options = {}, maxRedirects = 5) {
+    let current = url;
+    for (let hop = 0; hop <= maxRedirects; hop++) {
+      await this.assertAllowed(current);
+      const response = await fetch(current, { ...options, redirect: 'manual' });
+      const location = response.headers.get('location');
+      if (response.status < 300 || response.status >= 400 || !location) return response;
+      current = new URL(location, current).toString();
+    }
+    throw new Error(`Too many redirects for ${url}`);
+  }
+
+  // Like check, but lets the page use data:, blob: and about: URLs
+  checkRequest(url) {
+    return IN_BROWSER_SCHEMES.some(scheme => url.startsWith(scheme)) ? null : this.check(url);
+  }
+
+  // Check every request a Playwright context makes. Route handlers are not called for redirects,
+  // so each request is fetched without following them and every Location is checked before the browser follows it.
+  // Returns the list that blocked requests are recorded in.
+  async protectPlaywrightContext(context) {
+    const blocked = [];
+
+    await context.route('**/*', async (route) => {
+      const request = route.request();
+      const url = request.url();
+      const reason = await this.checkRequest(url);
+      if (reason) {
+        blocked.push({ url, reason, navigation: request.isNavigationRequest() });
+        return route.abort('blockedbyclient').catch(() => {});
+      }
+
+      try {
+        const response = await route.fetch({ maxRedirects: 0 });
+        const location = response.headers()['location'];
+        if (response.status() >= 300 && response.status() < 400 && location) {
+          const target = new URL(location, url).toString();
+          const redirectReason = await this.checkRequest(target);
+          if (redirectReason) {
+            blocked.push({ url: target, reason: redirectReason, navigation: request.isNavigationRequest() });
+            return route.abort('blockedbyclient').catch(() => {});
+          }
+        }
+        await route.fulfill({ response });
+      } catch {
+        await route.abort('failed').catch(() => {});
+      }
+    });
+
+    // WebSockets skip same-origin checks entirely, and no scan needs one
+    await context.routeWebSocket(/.*/, ws => ws.close());
+
+    return blocked;
+  }
+
+  // Check every request a Puppeteer page makes - interception pauses each redirect hop as its own request
+  async protectPuppeteerPage(page) {
+    const blocked = [];
+
+    await page.setRequestInterception(true);
+    page.on('request', async (request) => {
+      if (request.isInterceptResolutionHandled()) return;
+      const url = request.url();
+      const reason = await this.checkRequest(url);
+      if (reason) {
+        blocked.push({ url, reason, navigation: request.isNavigationRequest() });
+        return request.abort('blockedbyclient').catch(() => {});
+      }
+      request.continue().catch(() => {});
+    });
+
+    // Interception does not cover WebSockets, so refuse them outright
+    const session = await page.target().createCDPSession();
+    await session.send('Network.setBlockedURLs', { urls: ['ws://*', 'wss://*'] });
+
+    return blocked;
+  }
+}
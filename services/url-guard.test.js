@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { BlockedUrlError, UrlGuard, isBlockedAddress, navigationError } from './url-guard.js';
+
+test('isBlockedAddress covers private, loopback, link-local and IPv4-mapped addresses', () => {
+  for (const address of ['10.1.2.3', '127.0.0.1', '169.254.169.254', '172.31.0.1', '192.168.1.1', '100.64.0.1', '0.0.0.0',
+    '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:10.0.0.1', '64:ff9b::a00:1']) {
+    assert.equal(isBlockedAddress(address), true, address);
+  }
+  for (const address of ['93.184.216.34', '172.32.0.1', '2606:2800:220:1:248:1893:25c8:1946']) {
+    assert.equal(isBlockedAddress(address), false, address);
+  }
+});
+
+test('check refuses other schemes, private IP literals and hostnames that resolve to them', async () => {
+  const guard = new UrlGuard();
+  guard.resolve = async (hostname) => (hostname === 'internal.example' ? ['93.184.216.34', '10.0.0.5'] : ['93.184.216.34']);
+
+  assert.equal(await guard.check('not a url'), 'not a valid URL');
+  assert.equal(await guard.check('file:///etc/passwd'), 'file: URLs are not allowed');
+  assert.equal(await guard.check('http://127.0.0.1:8080/'), '127.0.0.1 is a private or reserved address');
+  assert.equal(await guard.check('http://[::ffff:127.0.0.1]/'), '::ffff:7f00:1 is a private or reserved address');
+  assert.equal(await guard.check('http://[::1]/'), '::1 is a private or reserved address');
+  assert.equal(await guard.check('https://internal.example/'), 'internal.example resolves to a private or reserved address (10.0.0.5)');
+  assert.equal(await guard.check('https://example.com/'), null);
+  await assert.rejects(guard.assertAllowed('http://10.0.0.1/'), BlockedUrlError);
+});
+
+test('the allowlist admits hostnames, wildcard suffixes and CIDRs', async () => {
+  const guard = new UrlGuard({ allowlist: ['intranet.example', '*.corp.example', '10.20.0.0/16', ' '] });
+  guard.resolve = async () => ['10.99.0.1'];
+
+  assert.equal(await guard.check('http://intranet.example/'), null);
+  assert.equal(await guard.check('http://wiki.corp.example/'), null);
+  assert.equal(await guard.check('http://10.20.3.4/'), null);
+  assert.equal(await guard.check('http://10.21.0.1/'), '10.21.0.1 is a private or reserved address');
+  assert.match(await guard.check('http://corp.example.evil/'), /resolves to a private or reserved address/);
+});
+
+test('fetch checks every redirect hop', async (t) => {
+  const server = http.createServer((req, res) => {
+    const redirects = { '/hop': '/ok', '/metadata': 'http://169.254.169.254/latest/meta-data/', '/loop': '/loop' };
+    if (redirects[req.url]) {
+      res.writeHead(302, { location: redirects[req.url] });
+      return res.end();
+    }
+    res.end('ok');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const guard = new UrlGuard({ allowlist: ['127.0.0.1'] });
+
+  const response = await guard.fetch(`${base}/hop`);
+  assert.equal(await response.text(), 'ok');
+  await assert.rejects(guard.fetch(`${base}/metadata`), (error) => {
+    assert.ok(error instanceof BlockedUrlError);
+    assert.equal(error.url, 'http://169.254.169.254/latest/meta-data/');
+    return true;
+  });
+  await assert.rejects(guard.fetch(`${base}/loop`, {}, 2), /Too many redirects/);
+  await assert.rejects(new UrlGuard().fetch(`${base}/hop`), BlockedUrlError);
+});
+
+test('checkRequest lets pages use in-browser schemes', async () => {
+  const guard = new UrlGuard();
+  assert.equal(await guard.checkRequest('data:image/png;base64,AAAA'), null);
+  assert.equal(await guard.checkRequest('blob:https://example.com/1234'), null);
+  assert.equal(await guard.checkRequest('http://127.0.0.1/'), '127.0.0.1 is a private or reserved address');
+});
+
+test('navigationError prefers a blocked navigation over the browser error', () => {
+  const browserError = new Error('net::ERR_BLOCKED_BY_CLIENT');
+  const blocked = [
+    { url: 'http://10.0.0.1/pixel.gif', reason: 'private', navigation: false },
+    { url: 'http://10.0.0.2/', reason: '10.0.0.2 is a private or reserved address', navigation: true }
+  ];
+  const error = navigationError(blocked, browserError);
+  assert.ok(error instanceof BlockedUrlError);
+  assert.equal(error.message, 'Blocked URL http://10.0.0.2/: 10.0.0.2 is a private or reserved address');
+  assert.equal(navigationError(blocked.slice(0, 1), browserError), browserError);
+});
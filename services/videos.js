@@ -0,0 +1,164 @@
+// Video discovery
+// Turns collectVideoEmbeds() output into videos with a provider, id, canonical watch URL, title, thumbnail and duration.
+// schema.org VideoObject data on the page fills in what the embed lacks. Iframes that aren't videos (maps, forms) are dropped.
+import { findEntities, propertyValue } from './structured-data.js';
+
+export const VIDEO_PROVIDERS = ['youtube', 'vimeo', 'wistia', 'loom', 'native'];
+
+const VIDEO_FILE = /\.(mp4|webm|ogv|ogg|mov|m4v|m3u8)$/i;
+
+// Default iframe titles that say nothing about the video
+const GENERIC_TITLE = /^((youtube|vimeo|wistia|loom)\s*)?(embedded\s*|embed\s*)?(video\s*)?(player|embed|video|iframe)?$/i;
+
+const parseUrl = (value) => {
+  try {
+    return new URL(value);
+  } catch {
+    return null;
+  }
+};
+
+const youtube = (id) => ({
+  provider: 'youtube',
+  id,
+  url: `https://www.youtube.com/watch?v=${id}`,
+  embedUrl: `https://www.youtube.com/embed/${id}`,
+  thumbnail: `https://i.ytimg.com/vi/${id}/hqdefault.jpg`
+});
+
+const nativeVideo = (src) => ({ provider: 'native', id: null, url: src, embedUrl: null, thumbnail: null });
+
+// { provider, id, url, embedUrl, thumbnail } for a video page, embed or file URL, or null when it isn't one
+export function parseVideoUrl(value) {
+  const url = parseUrl(value);
+  if (!url || !/^https?:$/.test(url.protocol)) return null;
+  const host = url.hostname.replace(/^(www|m)\./, '');
+  const path = url.pathname;
+  let match;
+
+  if (/^(youtube\.com|youtube-nocookie\.com|youtu\.be)$/.test(host)) {
+    const list = url.searchParams.get('list');
+    if (list && (path === '/playlist' || path.startsWith('/embed/videoseries'))) {
+      return {
+        provider: 'youtube',
+        id: list,
+        url: `https://www.youtube.com/playlist?list=${list}`,
+        embedUrl: `https://www.youtube.com/embed/videoseries?list=${list}`,
+        thumbnail: null
+      };
+    }
+    const id = host === 'youtu.be'
+      ? path.split('/')[1]
+      : ((match = path.match(/^\/(?:embed|shorts|live|v)\/([\w-]+)/)) ? match[1] : url.searchParams.get('v'));
+    return id && /^[\w-]{11}$/.test(id) ? youtube(id) : null;
+  }
+
+  if (host === 'vimeo.com' || host === 'player.vimeo.com') {
+    if (/^\/(showcase|album|user|groups\/[^/]+$)/.test(path)) return null;
+    // Unlisted videos need their privacy hash: vimeo.com/123/abc or player.vimeo.com/video/123?h=abc
+    if (!(match = path.match(/\/(\d+)(?:\/([\da-f]{6,}))?\/?$/))) return null;
+    const [, id, pathHash] = match;
+    const hash = pathHash || url.searchParams.get('h');
+    return {
+      provider: 'vimeo',
+      id,
+      url: `https://vimeo.com/${id}${hash ? `/${hash}` : ''}`,
+      embedUrl: `https://player.vimeo.com/video/${id}${hash ? `?h=${hash}` : ''}`,
+      thumbnail: null
+    };
+  }
+
+  if (/(^|\.)(wistia\.(com|net)|wi\.st)$/.test(host)) {
+    if (!(match = path.match(/\/(?:embed\/iframe|embed\/medias|medias)\/([a-z0-9]+)/i))) return null;
+    const id = match[1];
+    // Share pages live on the account's own subdomain; the standalone player works for every account
+    const accountPage = /\/medias\//.test(path) && !/^fast\./.test(host) && !path.startsWith('/embed');
+    return {
+      provider: 'wistia',
+      id,
+      url: accountPage ? `https://${url.hostname}/medias/${id}` : `https://fast.wistia.net/embed/iframe/${id}`,
+      embedUrl: `https://fast.wistia.net/embed/iframe/${id}`,
+      thumbnail: null
+    };
+  }
+
+  if (host === 'loom.com') {
+    if (!(match = path.match(/^\/(?:share|embed)\/([\da-f]{32})/i))) return null;
+    const id = match[1];
+    return {
+      provider: 'loom',
+      id,
+      url: `https://www.loom.com/share/${id}`,
+      embedUrl: `https://www.loom.com/embed/${id}`,
+      thumbnail: `https://cdn.loom.com/sessions/thumbnails/${id}-with-play.gif`
+    };
+  }
+
+  if (VIDEO_FILE.test(path)) return nativeVideo(url.href);
+  return null;
+}
+
+// ISO 8601 duration ("PT1M30S") or plain seconds -> whole seconds
+export function parseDuration(value) {
+  if (typeof value === 'number') return Number.isFinite(value) && value > 0 ? Math.round(value) : null;
+  if (typeof value !== 'string') return null;
+  if (/^\d+(\.\d+)?$/.test(value.trim())) return Math.round(parseFloat(value));
+  const match = value.trim().match(/^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/i);
+  if (!match || !match.slice(1).some(Boolean)) return null;
+  const [, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  return Math.round(days * 86400 + hours * 3600 + minutes * 60 + parseFloat(seconds));
+}
+
+const usefulTitle = (title) => (title && !GENERIC_TITLE.test(title.trim()) ? title.trim() : null);
+
+// A property that may hold a URL string or an ImageObject / MediaObject
+const urlValue = (value) => {
+  if (typeof value === 'string') return value;
+  if (value && typeof value === 'object') return propertyValue(value, 'url') || propertyValue(value, 'contentUrl');
+  return null;
+};
+
+const keyOf = (video) => `${video.provider}:${video.id || video.url}`;
+
+// embeds is collectVideoEmbeds()'s output; structuredData is normalizeStructuredData()'s (optional).
+// Returns [{ provider, id, url, embedUrl, title, thumbnail, duration, section }], one per video
+export function extractVideos(embeds, structuredData = null) {
+  const videos = new Map();
+
+  for (const embed of embeds) {
+    const parsed = parseVideoUrl(embed.src) || (embed.kind === 'video' ? nativeVideo(embed.src) : null);
+    if (!parsed) continue;
+
+    const existing = videos.get(keyOf(parsed));
+    if (existing) {
+      existing.title ||= usefulTitle(embed.title);
+      existing.section ||= embed.section || null;
+      continue;
+    }
+    videos.set(keyOf(parsed), {
+      ...parsed,
+      title: usefulTitle(embed.title),
+      thumbnail: embed.poster || parsed.thumbnail,
+      duration: embed.duration || null,
+      section: embed.section || null
+    });
+  }
+
+  for (const entity of structuredData ? findEntities(structuredData, 'VideoObject') : []) {
+    const parsed = ['embedUrl', 'contentUrl', 'url']
+      .map(property => parseVideoUrl(urlValue(propertyValue(entity, property))))
+      .find(Boolean);
+    if (!parsed) continue;
+
+    const name = propertyValue(entity, 'name');
+    const thumbnail = urlValue(propertyValue(entity, 'thumbnailUrl')) || urlValue(propertyValue(entity, 'thumbnail'));
+    const video = videos.get(keyOf(parsed)) || { ...parsed, title: null, duration: null, section: null };
+    video.title ||= typeof name === 'string' ? usefulTitle(name) : null;
+    // The publisher's own thumbnail beats the provider default
+    video.thumbnail = (typeof thumbnail === 'string' && thumbnail) || video.thumbnail;
+    video.duration ||= parseDuration(propertyValue(entity, 'duration'));
+    videos.set(keyOf(parsed), video);
+  }
+
+  return [...videos.values()];
+}
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDuration, parseVideoUrl } from './videos.js';
+
+test('parseVideoUrl recognises YouTube watch, short, embed and playlist URLs', () => {
+  for (const url of [
+    'https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=10',
+    'https://youtu.be/dQw4w9WgXcQ',
+    'https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ?rel=0',
+    'https://m.youtube.com/shorts/dQw4w9WgXcQ'
+  ]) {
+    assert.deepEqual(parseVideoUrl(url), {
+      provider: 'youtube',
+      id: 'dQw4w9WgXcQ',
+      url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+      embedUrl: 'https://www.youtube.com/embed/dQw4w9WgXcQ',
+      thumbnail: 'https://i.ytimg.com/vi/dQw4w9WgXcQ/hqdefault.jpg'
+    }, url);
+  }
+  assert.equal(parseVideoUrl('https://www.youtube.com/embed/videoseries?list=PL123').url, 'https://www.youtube.com/playlist?list=PL123');
+  assert.equal(parseVideoUrl('https://www.youtube.com/channel/UC123'), null);
+});
+
+test('parseVideoUrl keeps the privacy hash of unlisted Vimeo videos', () => {
+  assert.deepEqual(parseVideoUrl('https://player.vimeo.com/video/76979871?h=8272103f6e'), {
+    provider: 'vimeo',
+    id: '76979871',
+    url: 'https://vimeo.com/76979871/8272103f6e',
+    embedUrl: 'https://player.vimeo.com/video/76979871?h=8272103f6e',
+    thumbnail: null
+  });
+  assert.equal(parseVideoUrl('https://vimeo.com/76979871').url, 'https://vimeo.com/76979871');
+  assert.equal(parseVideoUrl('https://vimeo.com/showcase/123'), null);
+});
+
+test('parseVideoUrl recognises Wistia, Loom and video files', () => {
+  assert.equal(parseVideoUrl('https://acme.wistia.com/medias/abc123xyz').url, 'https://acme.wistia.com/medias/abc123xyz');
+  assert.equal(parseVideoUrl('https://fast.wistia.net/embed/iframe/abc123xyz').embedUrl, 'https://fast.wistia.net/embed/iframe/abc123xyz');
+  const loomId = '0123456789abcdef0123456789abcdef';
+  assert.equal(parseVideoUrl(`https://www.loom.com/embed/${loomId}`).url, `https://www.loom.com/share/${loomId}`);
+  assert.deepEqual(parseVideoUrl('https://cdn.example.com/intro.mp4'), {
+    provider: 'native', id: null, url: 'https://cdn.example.com/intro.mp4', embedUrl: null, thumbnail: null
+  });
+});
+
+test('parseVideoUrl ignores other iframes and non-http URLs', () => {
+  assert.equal(parseVideoUrl('https://www.google.com/maps/embed?pb=1'), null);
+  assert.equal(parseVideoUrl('javascript:alert(1)'), null);
+  assert.equal(parseVideoUrl('not a url'), null);
+});
+
+test('parseDuration reads ISO 8601 durations and plain seconds', () => {
+  assert.equal(parseDuration('PT1M30S'), 90);
+  assert.equal(parseDuration('PT1H'), 3600);
+  assert.equal(parseDuration('95.4'), 95);
+  assert.equal(parseDuration('P'), null);
+  assert.equal(parseDuration(-5), null);
+});
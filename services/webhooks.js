@@ -0,0 +1,137 @@
+// Signed webhook callbacks
+// POSTs scan results to caller-supplied URLs, retrying with backoff and keeping a delivery log
+import { createHmac, randomUUID } from 'node:crypto';
+import fetch from 'node-fetch';
+
+// Signature sent in X-Scanner-Signature - receivers recompute it over the raw body
+export function signPayload(body, secret) {
+  return `sha256=${createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+// Returns an error message for an unusable callback URL, or null
+export function validateCallbackUrl(callbackUrl) {
+  let parsed;
+  try {
+    parsed = new URL(callbackUrl);
+  } catch {
+    return `Invalid callbackUrl: ${callbackUrl}`;
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return 'callbackUrl must use http or https';
+  }
+  return null;
+}
+
+export class WebhookDispatcher {
+  // urlGuard re-checks the callback host on every attempt, since its DNS may have changed since the job was queued
+  constructor({ urlGuard, maxAttempts = 5, baseDelayMs = 2000, timeoutMs = 10000, logSize = 500 } = {}) {
+    this.urlGuard = urlGuard;
+    this.maxAttempts = maxAttempts;
+    this.baseDelayMs = baseDelayMs;
+    this.timeoutMs = timeoutMs;
+    this.logSize = logSize;
+    this.deliveries = new Map();
+  }
+
+  // Queue a delivery and return its log record; attempts run in the background
+  deliver({ url, event, data, secret, clientId, jobId = null }) {
+    const delivery = {
+      id: randomUUID(),
+      url,
+      event,
+      jobId,
+      clientId,
+      status: 'pending',
+      attempts: [],
+      nextAttemptAt: null,
+      createdAt: new Date().toISOString(),
+      deliveredAt: null
+    };
+
+    this.deliveries.set(delivery.id, delivery);
+    this.trimLog();
+
+    const body = JSON.stringify({
+      event,
+      deliveryId: delivery.id,
+      timestamp: delivery.createdAt,
+      data
+    });
+
+    this.attempt(delivery, body, secret);
+    return delivery;
+  }
+
+  async attempt(delivery, body, secret) {
+    const startedAt = Date.now();
+    const record = { at: new Date(startedAt).toISOString(), statusCode: null, error: null, durationMs: 0 };
+
+    try {
+      await this.urlGuard.assertAllowed(delivery.url);
+      const response = await fetch(delivery.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'ScannerService-Webhook/1.0',
+          'X-Scanner-Event': delivery.event,
+          'X-Scanner-Delivery': delivery.id,
+          'X-Scanner-Signature': signPayload(body, secret)
+        },
+        body,
+        timeout: this.timeoutMs,
+        redirect: 'manual'
+      });
+      record.statusCode = response.status;
+      if (!response.ok) {
+        record.error = `HTTP ${response.status}`;
+      }
+    } catch (error) {
+      record.error = error.message;
+    }
+
+    record.durationMs = Date.now() - startedAt;
+    delivery.attempts.push(record);
+
+    if (!record.error) {
+      delivery.status = 'delivered';
+      delivery.nextAttemptAt = null;
+      delivery.deliveredAt = new Date().toISOString();
+      console.log(`📬 Webhook ${delivery.event} delivered to ${delivery.url}`);
+      return;
+    }
+
+    if (delivery.attempts.length >= this.maxAttempts) {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = null;
+      console.error(`Webhook ${delivery.id} to ${delivery.url} failed after ${delivery.attempts.length} attempts: ${record.error}`);
+      return;
+    }
+
+    // Exponential backoff: 2s, 4s, 8s, ...
+    const delay = this.baseDelayMs * 2 ** (delivery.attempts.length - 1);
+    delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+    setTimeout(() => this.attempt(delivery, body, secret), delay).unref();
+  }
+
+  get(id) {
+    return this.deliveries.get(id) || null;
+  }
+
+  // Newest first, optionally filtered by client, job or status
+  list({ clientId, jobId, status, limit = 50 } = {}) {
+    return [...this.deliveries.values()]
+      .filter(d => (!clientId || d.clientId === clientId) && (!jobId || d.jobId === jobId) && (!status || d.status === status))
+      .reverse()
+      .slice(0, limit);
+  }
+
+  // Drop the oldest finished deliveries once the log is full
+  trimLog() {
+    for (const [id, delivery] of this.deliveries) {
+      if (this.deliveries.size <= this.logSize) break;
+      if (delivery.status !== 'pending') {
+        this.deliveries.delete(id);
+      }
+    }
+  }
+}
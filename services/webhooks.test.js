@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { BlockedUrlError } from './url-guard.js';
+import { WebhookDispatcher, signPayload, validateCallbackUrl } from './webhooks.js';
+
+const allowAll = { assertAllowed: async () => {} };
+
+async function settled(delivery) {
+  while (delivery.status === 'pending') await new Promise(resolve => setTimeout(resolve, 5));
+  return delivery;
+}
+
+test('validateCallbackUrl accepts only http(s) URLs', () => {
+  assert.equal(validateCallbackUrl('https://hooks.example.com/scan'), null);
+  assert.equal(validateCallbackUrl('ftp://hooks.example.com/'), 'callbackUrl must use http or https');
+  assert.equal(validateCallbackUrl('hooks'), 'Invalid callbackUrl: hooks');
+});
+
+test('deliveries are signed and retried until the receiver accepts them', async (t) => {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.statusCode = received.length === 1 ? 503 : 204;
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  t.mock.method(console, 'log', () => {});
+
+  const dispatcher = new WebhookDispatcher({ urlGuard: allowAll, baseDelayMs: 10 });
+  const delivery = dispatcher.deliver({
+    url: `http://127.0.0.1:${server.address().port}/hook`,
+    event: 'scan.completed',
+    data: { jobId: 'job-1' },
+    secret: 'shh',
+    clientId: 'ci',
+    jobId: 'job-1'
+  });
+  await settled(delivery);
+
+  assert.equal(delivery.status, 'delivered');
+  assert.deepEqual(delivery.attempts.map(attempt => [attempt.statusCode, attempt.error]), [[503, 'HTTP 503'], [204, null]]);
+  const { headers, body } = received[1];
+  assert.equal(headers['x-scanner-signature'], signPayload(body, 'shh'));
+  assert.equal(headers['x-scanner-event'], 'scan.completed');
+  assert.equal(headers['x-scanner-delivery'], delivery.id);
+  assert.deepEqual(JSON.parse(body), { event: 'scan.completed', deliveryId: delivery.id, timestamp: delivery.createdAt, data: { jobId: 'job-1' } });
+});
+
+test('a callback host the guard refuses fails without being contacted', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const urlGuard = { assertAllowed: async (url) => { throw new BlockedUrlError(url, '10.0.0.1 is a private or reserved address'); } };
+  const dispatcher = new WebhookDispatcher({ urlGuard, maxAttempts: 2, baseDelayMs: 1 });
+  const delivery = await settled(dispatcher.deliver({ url: 'http://10.0.0.1/hook', event: 'scan.failed', data: {}, secret: 's', clientId: 'ci' }));
+
+  assert.equal(delivery.status, 'failed');
+  assert.deepEqual(delivery.attempts.map(attempt => attempt.statusCode), [null, null]);
+  assert.match(delivery.attempts[0].error, /^Blocked URL http:\/\/10\.0\.0\.1\/hook/);
+});
+
+test('list filters deliveries newest first, and the log drops finished ones when full', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const refuse = { assertAllowed: async () => { throw new Error('refused'); } };
+  const dispatcher = new WebhookDispatcher({ urlGuard: refuse, maxAttempts: 1, logSize: 2 });
+  const send = (jobId, clientId) => dispatcher.deliver({ url: 'https://hooks.example/', event: 'scan.completed', data: {}, secret: 's', clientId, jobId });
+
+  const first = await settled(send('job-1', 'ci'));
+  const second = await settled(send('job-2', 'ops'));
+  assert.deepEqual(dispatcher.list().map(delivery => delivery.jobId), ['job-2', 'job-1']);
+  assert.deepEqual(dispatcher.list({ clientId: 'ci' }), [first]);
+  assert.deepEqual(dispatcher.list({ status: 'delivered' }), []);
+
+  await settled(send('job-3', 'ci'));
+  assert.equal(dispatcher.get(first.id), null);
+  assert.equal(dispatcher.get(second.id), second);
+});
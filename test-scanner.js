@@ -2,6 +2,7 @@
 
 // Simple test script for the scanner service
 const baseUrl = process.argv[2] || 'http://localhost:3000';
+const apiKey = process.env.SCANNER_API_KEY || 'test-api-key';
 
 async function testEndpoint(endpoint, method = 'GET', body = null) {
   try {
@@ -10,7 +11,8 @@ async function testEndpoint(endpoint, method = 'GET', body = null) {
     const options = {
       method,
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        'X-API-Key': apiKey
       }
     };
     
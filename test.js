@@ -14,7 +14,7 @@ async function testScanner() {
     const health = await fetch(`${SERVICE_URL}/health`);
     const healthData = await health.json();
     console.log('   Status:', healthData.status);
-    console.log('   Engines:', healthData.playwright, '&', healthData.puppeteer);
+    console.log('   Engines:', healthData.engines?.join(', '), '- default:', healthData.defaultEngine);
   } catch (error) {
     console.error('   ❌ Health check failed:', error.message);
   }